@@ -1,11 +1,20 @@
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const {
+    Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits, MessageFlags,
+    SlashCommandBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ChannelType, InteractionContextType
+} = require('discord.js');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
 const fs = require('fs').promises;
+const { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { diffLines } = require('diff');
+const multer = require('multer');
+const { createMessageStore, createSessionStore, createSeenIdStore, getMessageParts, readJsonFile, writeJsonAtomic } = require('./storage');
+const { openApiDocument } = require('./openapi');
 
 // Initialize Discord client
 const client = new Client({
@@ -32,13 +41,75 @@ if (process.env.NODE_ENV === 'production') {
     app.set('trust proxy', 1);
 }
 
-if (!process.env.SESSION_SECRET) {
-    console.warn('⚠️  SESSION_SECRET not set. Using temporary secret for development.');
+// Runtime state - the database, JSON stores, logs, secrets and approval attachments - lives in one directory,
+// kept out of the project tree (DATA_DIR, default ./data)
+const DATA_DIR = process.env.DATA_DIR || 'data';
+mkdirSync(DATA_DIR, { recursive: true });
+
+// Older versions wrote their state into the working directory - move it over on the first start
+const LEGACY_DATA_FILES = [
+    'session-secret', 'messages.json', 'sessions.json', 'users.json', 'login-failures.json', 'audit.log',
+    'scheduled.json', 'review-channels.json', 'approvals.json', 'approval-files', 'drafts.json', 'templates.json',
+    'tokens.json', 'webhooks.json', 'webhook-deliveries.log',
+    ...(process.env.DATABASE_FILE ? [] : ['linkcrafter.db', 'linkcrafter.db-wal', 'linkcrafter.db-shm'])
+];
+for (const name of LEGACY_DATA_FILES) {
+    const target = path.join(DATA_DIR, name);
+    if (existsSync(name) && !existsSync(target)) {
+        renameSync(name, target);
+        console.log(`📦 Moved ${name} into ${DATA_DIR}/`);
+    }
+}
+
+// Without SESSION_SECRET, development signs cookies with a secret generated once and kept in session-secret,
+// so stored sessions still verify after a restart
+const SESSION_SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+
+function loadSessionSecret() {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET;
+    }
+
+    try {
+        const secret = readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+        if (secret) {
+            console.warn(`⚠️  SESSION_SECRET not set. Using the development secret in ${SESSION_SECRET_FILE}.`);
+            return secret;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    try {
+        writeFileSync(SESSION_SECRET_FILE, secret + '\n', { mode: 0o600 });
+        console.warn(`⚠️  SESSION_SECRET not set. Generated a development secret and saved it to ${SESSION_SECRET_FILE}.`);
+    } catch (error) {
+        console.warn(`⚠️  SESSION_SECRET not set and ${SESSION_SECRET_FILE} could not be written (${error.message}).`);
+        console.warn('⚠️  Using a temporary secret: every restart will log all staff out. Set SESSION_SECRET.');
+    }
+    return secret;
 }
 
+const sessionSecret = loadSessionSecret();
+
+// Message storage - SQLite by default, STORAGE_BACKEND=json keeps the legacy messages.json file
+const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'linkcrafter.db');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+
+// Sessions are kept next to the messages (a table in the database, or sessions.json) so restarts do not log staff out
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const sessionStore = createSessionStore({
+    backend: STORAGE_BACKEND,
+    databaseFile: DATABASE_FILE,
+    jsonFile: SESSIONS_FILE
+});
+
 // Configure session middleware
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'dev-session-secret-' + Date.now(),
+    store: sessionStore,
+    secret: sessionSecret,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -62,7 +133,35 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(bodyParser.json());
+// Keep the raw body as well - inbound webhook signatures are computed over the exact bytes
+app.use(bodyParser.json({
+    verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+    }
+}));
+
+// CSRF protection for state-changing API calls made with a session cookie
+// The dashboard gets the token from /api/auth-status and sends it as X-CSRF-Token on every non-GET fetch
+// API tokens are exempt (no cookies involved), as are the login steps and signed inbound webhooks
+const CSRF_EXEMPT_PATHS = ['/api/login', '/api/login/2fa'];
+// API token header - requireAuth uses the same pattern, so a request skipped here is always authenticated by its token
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+app.use('/api', (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    if (BEARER_PATTERN.test(req.get('Authorization') || '')) return next();
+    const url = req.originalUrl.split('?')[0];
+    if (CSRF_EXEMPT_PATHS.includes(url) || url.startsWith('/api/hooks/')) return next();
+    if (!req.session || !req.session.authenticated) return next(); // requireAuth answers with a 401
+
+    const expected = req.session.csrfToken;
+    const sent = req.get('X-CSRF-Token') || '';
+    if (!expected || sent.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected))) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token - reload the page and try again' });
+    }
+    next();
+});
 
 // Handle trailing slash with internal rewrite (no redirect to avoid loops)
 app.use((req, res, next) => {
@@ -75,306 +174,4776 @@ app.use((req, res, next) => {
 // Serve static files normally - auth protection is handled by API endpoints
 app.use(express.static('public'));
 
-// Default staff credentials - use environment variables for production
-async function getStaffUsers() {
+// Staff account storage file
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+// What each staff role is allowed to do
+const ROLE_PERMISSIONS = {
+    admin: ['messages:read', 'messages:send', 'messages:edit', 'messages:delete', 'messages:approve', 'templates:manage', 'users:manage', 'audit:read', 'webhooks:manage', 'channels:manage'],
+    editor: ['messages:read', 'messages:send', 'messages:edit', 'messages:delete', 'messages:approve', 'templates:manage'],
+    viewer: ['messages:read']
+};
+
+// Permissions an API token can be given - account management and the audit log stay in the dashboard
+const TOKEN_SCOPES = ['messages:read', 'messages:send', 'messages:edit', 'messages:delete', 'templates:manage'];
+
+// What a request may do: the account's role, narrowed to the token's scopes when it came with an API token
+function userPermissions(user) {
+    const permissions = ROLE_PERMISSIONS[user.role] || [];
+    return user.token ? permissions.filter(permission => user.token.scopes.includes(permission)) : permissions;
+}
+
+// Load staff accounts from storage
+async function loadUsers() {
+    return readJsonFile(USERS_FILE, []);
+}
+
+// Save staff accounts to storage
+async function saveUsers(users) {
+    await writeJsonAtomic(USERS_FILE, users);
+}
+
+// Make sure there is a bootstrap admin account - use environment variables for production
+async function ensureStaffUsers() {
+    const users = await loadUsers();
+
     if (process.env.STAFF_USERNAME && process.env.STAFF_PASSWORD_HASH) {
-        return {
-            [process.env.STAFF_USERNAME]: process.env.STAFF_PASSWORD_HASH
-        };
+        if (!users.some(user => user.username === process.env.STAFF_USERNAME)) {
+            users.push({
+                username: process.env.STAFF_USERNAME,
+                passwordHash: process.env.STAFF_PASSWORD_HASH,
+                role: 'admin',
+                disabled: false,
+                createdAt: new Date().toISOString(),
+                createdBy: null
+            });
+            await saveUsers(users);
+        }
+    } else if (users.length === 0) {
+        // Development default - admin "staff" with password "staff123"
+        users.push({
+            username: 'staff',
+            passwordHash: await bcrypt.hash('staff123', 10),
+            role: 'admin',
+            disabled: false,
+            createdAt: new Date().toISOString(),
+            createdBy: null
+        });
+        await saveUsers(users);
     }
-    
-    // Development default - hash for "staff123"
-    const defaultHash = await bcrypt.hash('staff123', 10);
+}
+
+// Strip the password hash and two-factor secrets before sending an account to the dashboard
+function publicUser(user) {
+    // Older records kept the failed login counters on the account - they now live in login-failures.json
+    const {
+        passwordHash, totpSecret, totpPendingSecret, totpLastStep, recoveryCodeHashes,
+        failedLogins, lastFailedLoginAt, lastFailedLoginIp, lockedUntil, ...rest
+    } = user;
     return {
-        'staff': defaultHash
+        ...rest,
+        ...loginFailureState(user.username),
+        twoFactorEnabled: !!totpSecret,
+        recoveryCodesLeft: totpSecret ? (recoveryCodeHashes || []).length : 0
     };
 }
 
-let STAFF_USERS = {};
+// Authentication middleware - accepts a session cookie or an `Authorization: Bearer <API token>` header
+// Also rejects sessions and tokens of accounts that were disabled or removed
+const requireAuth = async (req, res, next) => {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.match(BEARER_PATTERN);
+    if (bearer) {
+        return authenticateToken(req, res, next, bearer[1]);
+    }
+    // A malformed token header never falls back to the session cookie
+    if (/^Bearer\b/i.test(authorization)) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+    }
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-    if (req.session && req.session.authenticated) {
-        return next();
-    } else {
+    if (!req.session || !req.session.authenticated) {
         return res.status(401).json({ error: 'Authentication required' });
     }
-};
 
-// Message storage file
-const MESSAGES_FILE = 'messages.json';
+    try {
+        const users = await loadUsers();
+        const user = users.find(u => u.username === req.session.username);
+        if (!user || user.disabled) {
+            return req.session.destroy(() => {
+                res.status(401).json({ error: 'Authentication required' });
+            });
+        }
+
+        // For the session list - saved at most once a minute
+        if (!req.session.lastSeenAt || Date.now() - new Date(req.session.lastSeenAt) > 60 * 1000) {
+            req.session.lastSeenAt = new Date().toISOString();
+            req.session.ip = req.ip;
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
 
-// Load messages from storage
-async function loadMessages() {
+// Authenticate a request by API token - it acts as its owner, limited to the token's scopes and channels
+async function authenticateToken(req, res, next, secret) {
     try {
-        const data = await fs.readFile(MESSAGES_FILE, 'utf8');
-        return JSON.parse(data);
+        const token = await findApiToken(secret);
+        const users = token ? await loadUsers() : [];
+        const user = token && users.find(u => u.username === token.owner);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+        }
+
+        req.user = {
+            ...user,
+            token: { id: token.id, name: token.name, scopes: token.scopes, channelIds: token.allowedChannelIds }
+        };
+        next();
     } catch (error) {
-        return [];
+        console.error('Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
     }
 }
 
-// Save messages to storage
-async function saveMessages(messages) {
-    await fs.writeFile(MESSAGES_FILE, JSON.stringify(messages, null, 2));
-}
+// Middleware for dashboard-only routes (after requireAuth) - turns away API tokens
+const requireSession = (req, res, next) => {
+    if (req.user.token) {
+        return res.status(403).json({ error: 'API tokens cannot use this endpoint' });
+    }
+    next();
+};
 
-// Initialize staff users
-(async () => {
-    STAFF_USERS = await getStaffUsers();
-    console.log('🔐 Staff authentication initialized');
-})();
+// Permission middleware - use instead of requireAuth on routes that need a specific permission
+const requirePermission = (permission) => [
+    requireAuth,
+    (req, res, next) => {
+        const permissions = userPermissions(req.user);
+        if (!permissions.includes(permission)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+        next();
+    }
+];
 
-// Discord bot ready event
-client.once('ready', () => {
-    console.log(`✅ Discord bot logged in as ${client.user.tag}`);
-});
+// Check a staff account's guild/channel allow-list - admins and accounts without a list can use every channel
+function canAccessChannel(user, guildId, channelId) {
+    // An API token can be narrowed to some channels on top of that, even for admins
+    if (user.token && user.token.channelIds.length > 0 && !user.token.channelIds.includes(channelId)) {
+        return false;
+    }
 
-// Root route is now handled by static middleware above
+    const guildIds = user.allowedGuildIds || [];
+    const channelIds = user.allowedChannelIds || [];
 
-// Authentication endpoints
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-        return res.status(400).json({ error: 'Username and password required' });
+    if (user.role === 'admin' || (guildIds.length === 0 && channelIds.length === 0)) {
+        return true;
     }
-    
-    // Ensure staff users are loaded
-    if (Object.keys(STAFF_USERS).length === 0) {
-        STAFF_USERS = await getStaffUsers();
+    return guildIds.includes(guildId) || channelIds.includes(channelId);
+}
+
+// Staff can use a guild when they can use at least one of its channels
+function canAccessGuild(user, guild) {
+    return guild.channels.cache.some(channel => canAccessChannel(user, guild.id, channel.id));
+}
+
+// Check, when a delayed send goes out, that its author may still send to the channel - the account could have been
+// removed, disabled, moved to a role without messages:send or narrowed to other channels since the send was queued
+async function assertAuthorCanSend(username, guildId, channelId) {
+    await staffUsersReady;
+    const author = (await loadUsers()).find(user => user.username === username);
+    const reason = !author
+        ? `${username} no longer has an account`
+        : author.disabled
+            ? `${username}'s account is disabled`
+            : !userPermissions(author).includes('messages:send')
+                ? `${username} can no longer send messages`
+                : !canAccessChannel(author, guildId, channelId)
+                    ? `${username} no longer has access to this channel`
+                    : null;
+    if (reason) {
+        const error = new Error(reason);
+        error.status = 403;
+        throw error;
     }
-    
-    const hashedPassword = STAFF_USERS[username];
-    if (!hashedPassword) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+}
+
+// Validate an allow-list from the request body: undefined keeps the current list
+function parseIdList(value) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && /^\d+$/.test(id))) {
+        throw new Error('Allowed guilds and channels must be lists of Discord IDs');
     }
-    
+    return [...new Set(value)];
+}
+
+// Opened before the server starts listening
+let messageStore;
+
+// Audit log file - one JSON entry per line, only ever appended to
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+
+// Append an entry to the audit log
+// A failed write is logged but never fails the staff action itself
+async function recordAudit(action, actor, details = {}) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        action,
+        actor,
+        ...details
+    };
+
     try {
-        const validPassword = await bcrypt.compare(password, hashedPassword);
-        if (validPassword) {
-            req.session.authenticated = true;
-            req.session.username = username;
-            res.json({ success: true, username });
-        } else {
-            res.status(401).json({ error: 'Invalid credentials' });
-        }
+        await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n');
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        console.error('Error writing audit log:', error);
     }
-});
+    return entry;
+}
 
-app.post('/api/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            console.error('Logout error:', err);
-            return res.status(500).json({ error: 'Logout failed' });
-        }
-        res.json({ success: true });
-    });
-});
+// Load all audit entries, oldest first
+async function loadAudit() {
+    try {
+        const data = await fs.readFile(AUDIT_FILE, 'utf8');
+        return data
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    } catch (error) {
+        return [];
+    }
+}
 
-app.get('/api/auth-status', (req, res) => {
-    res.json({ 
-        authenticated: !!(req.session && req.session.authenticated),
-        username: req.session?.username || null
-    });
-});
+// Open dashboards listening on /api/events (server-sent events)
+const eventSubscribers = new Set();
+
+// Push an event to every open dashboard
+// Events that carry a guildId/channelId only go to staff who can access that channel,
+// and streams of accounts that were disabled or removed are closed
+async function publishEvent(type, data = {}) {
+    if (eventSubscribers.size === 0) return;
 
-// API endpoint to get all guilds and channels
-app.get('/api/channels', requireAuth, async (req, res) => {
     try {
-        if (!client.user) {
-            return res.status(503).json({ error: 'Bot not ready' });
+        const users = await loadUsers();
+        const frame = `event: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+
+        for (const subscriber of eventSubscribers) {
+            const user = users.find(u => u.username === subscriber.username);
+            if (!user || user.disabled) {
+                subscriber.res.end();
+                continue;
+            }
+            if (data.channelId && !canAccessChannel(user, data.guildId, data.channelId)) continue;
+            subscriber.res.write(frame);
         }
+    } catch (error) {
+        console.error('Error publishing event:', error);
+    }
+}
 
-        const guilds = client.guilds.cache.map(guild => ({
-            id: guild.id,
-            name: guild.name,
-            channels: guild.channels.cache
-                .filter(channel => channel.type === 0) // Text channels only
-                .map(channel => ({
-                    id: channel.id,
-                    name: channel.name
-                }))
-        }));
+// The part of a stored message that goes out with message events - dashboards reload what they need
+function messageEvent(message, actor) {
+    return {
+        messageId: message.id,
+        channelId: message.channelId,
+        channelName: message.channelName,
+        guildId: message.guildId,
+        guildName: message.guildName,
+        actor
+    };
+}
 
-        res.json(guilds);
-    } catch (error) {
-        console.error('Error fetching channels:', error);
-        res.status(500).json({ error: 'Failed to fetch channels' });
+// Whether the bot is connected to Discord right now
+function botStatus() {
+    return {
+        botReady: client.isReady(),
+        botTag: client.user?.tag || 'Not logged in'
+    };
+}
+
+// Scheduled message queue file (kept alongside messages.json)
+const SCHEDULE_FILE = path.join(DATA_DIR, 'scheduled.json');
+
+// Load scheduled jobs from storage
+async function loadSchedule() {
+    return readJsonFile(SCHEDULE_FILE, []);
+}
+
+// Save scheduled jobs to storage
+async function saveSchedule(jobs) {
+    await writeJsonAtomic(SCHEDULE_FILE, jobs);
+}
+
+// Channels in review mode: sends there wait for a second staff member's approval
+const REVIEW_CHANNELS_FILE = path.join(DATA_DIR, 'review-channels.json');
+
+async function loadReviewChannels() {
+    return readJsonFile(REVIEW_CHANNELS_FILE, []);
+}
+
+async function saveReviewChannels(channels) {
+    await writeJsonAtomic(REVIEW_CHANNELS_FILE, channels);
+}
+
+async function requiresApproval(channelId) {
+    return (await loadReviewChannels()).some(entry => entry.channelId === channelId);
+}
+
+// Sends waiting for approval; their attachments are kept on disk until the request is decided
+const APPROVALS_FILE = path.join(DATA_DIR, 'approvals.json');
+const APPROVAL_FILES_DIR = path.join(DATA_DIR, 'approval-files');
+
+async function loadApprovals() {
+    return readJsonFile(APPROVALS_FILE, []);
+}
+
+async function saveApprovals(approvals) {
+    await writeJsonAtomic(APPROVALS_FILE, approvals);
+}
+
+// Unsent messages from the send form, saved per staff member
+const DRAFTS_FILE = path.join(DATA_DIR, 'drafts.json');
+const DRAFT_MAX_BYTES = 64 * 1024;
+
+async function loadDrafts() {
+    return readJsonFile(DRAFTS_FILE, []);
+}
+
+async function saveDrafts(drafts) {
+    await writeJsonAtomic(DRAFTS_FILE, drafts);
+}
+
+// Message template library file
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+
+// Load message templates from storage
+async function loadTemplates() {
+    return readJsonFile(TEMPLATES_FILE, []);
+}
+
+// Save message templates to storage
+async function saveTemplates(templates) {
+    await writeJsonAtomic(TEMPLATES_FILE, templates);
+}
+
+// API token file - only a SHA-256 hash of each token is kept
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+
+// Tokens look like lcapi_<43 random characters>
+const TOKEN_PREFIX = 'lcapi_';
+
+// Load API tokens from storage
+async function loadTokens() {
+    return readJsonFile(TOKENS_FILE, []);
+}
+
+// Change the stored API tokens - changes run one at a time, each on a fresh read of the file,
+// so a lastUsedAt update can never write back a token that was revoked in the meantime
+let tokensWriteQueue = Promise.resolve();
+function updateTokens(change) {
+    const result = tokensWriteQueue.then(async () => {
+        const tokens = await loadTokens();
+        const value = await change(tokens);
+        await writeJsonAtomic(TOKENS_FILE, tokens);
+        return value;
+    });
+    tokensWriteQueue = result.catch(() => {});
+    return result;
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Strip the hash before sending a token to the dashboard
+function publicToken(token) {
+    const { tokenHash, ...rest } = token;
+    return rest;
+}
+
+// Find the active token for a secret from a bearer header
+// lastUsedAt is saved at most once a minute so busy tokens do not rewrite the file on every request
+async function findApiToken(secret) {
+    if (!secret.startsWith(TOKEN_PREFIX)) return null;
+
+    const tokens = await loadTokens();
+    const hash = hashToken(secret);
+    const token = tokens.find(t => t.tokenHash === hash);
+    const now = new Date();
+    if (!token || token.revokedAt || (token.expiresAt && new Date(token.expiresAt) <= now)) {
+        return null;
     }
-});
 
-// API endpoint to send a message
-app.post('/api/send-message', requireAuth, async (req, res) => {
-    try {
-        const { channelId, content, useEmbed, title, color } = req.body;
+    if (!token.lastUsedAt || now - new Date(token.lastUsedAt) > 60 * 1000) {
+        token.lastUsedAt = now.toISOString();
+        await updateTokens(current => {
+            const stored = current.find(t => t.id === token.id);
+            if (stored) stored.lastUsedAt = token.lastUsedAt;
+        });
+    }
+    return token;
+}
 
-        if (!channelId || !content) {
-            return res.status(400).json({ error: 'Channel ID and content are required' });
-        }
+// Where a request came from, as stored on messages and in the audit log
+function requestSource(req) {
+    return req.user.token ? 'api' : 'web';
+}
 
-        const channel = client.channels.cache.get(channelId);
-        if (!channel) {
-            return res.status(404).json({ error: 'Channel not found' });
-        }
+// Who files an approval request - the API token's id is kept so the send can check the token is still live
+function requestIdentity(req) {
+    return { username: req.user.username, from: requestSource(req), sourceId: req.user.token ? req.user.token.id : null };
+}
 
-        let message;
-        if (useEmbed) {
-            const embed = new EmbedBuilder()
-                .setDescription(content);
-            
-            if (title) embed.setTitle(title);
-            if (color) embed.setColor(color);
+// Check, when a delayed send goes out, that the API token it came through is still live, may send and reaches the channel
+async function assertTokenCanSend(tokenId, channelId) {
+    const token = (await loadTokens()).find(t => t.id === tokenId);
+    const reason = !token || token.revokedAt
+        ? 'The API token it was created with was revoked'
+        : token.expiresAt && new Date(token.expiresAt) <= new Date()
+            ? 'The API token it was created with has expired'
+            : !token.scopes.includes('messages:send')
+                ? 'The API token it was created with can no longer send messages'
+                : token.allowedChannelIds.length > 0 && !token.allowedChannelIds.includes(channelId)
+                    ? 'The API token it was created with can no longer use this channel'
+                    : null;
+    if (reason) {
+        const error = new Error(reason);
+        error.status = 403;
+        throw error;
+    }
+}
 
-            message = await channel.send({ embeds: [embed] });
-        } else {
-            message = await channel.send(content);
-        }
+// Inbound webhook endpoints - secrets are kept as-is because signatures are checked against them
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
 
-        // Store message info
-        const messages = await loadMessages();
-        const messageData = {
-            id: message.id,
-            channelId: channel.id,
-            channelName: channel.name,
-            guildId: channel.guild.id,
-            guildName: channel.guild.name,
-            content,
-            title: useEmbed && title ? title : null,
-            color: useEmbed && color ? color : null,
-            timestamp: new Date().toISOString(),
-            isEmbed: useEmbed
-        };
+// Inbound webhook deliveries - one JSON entry per line, like the audit log
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.log');
+
+// Load inbound webhooks from storage
+async function loadWebhooks() {
+    return readJsonFile(WEBHOOKS_FILE, []);
+}
 
-        messages.push(messageData);
-        await saveMessages(messages);
+// Save inbound webhooks to storage
+async function saveWebhooks(webhooks) {
+    await writeJsonAtomic(WEBHOOKS_FILE, webhooks);
+}
 
-        res.json({ success: true, messageId: message.id, messageData });
+// Append a delivery to the delivery log
+async function recordDelivery(delivery) {
+    try {
+        await fs.appendFile(WEBHOOK_DELIVERIES_FILE, JSON.stringify(delivery) + '\n');
     } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({ error: 'Failed to send message' });
+        console.error('Error writing webhook delivery log:', error);
     }
-});
+}
 
-// API endpoint to get all sent messages
-app.get('/api/messages', requireAuth, async (req, res) => {
+// Load all webhook deliveries, oldest first
+async function loadDeliveries() {
     try {
-        const messages = await loadMessages();
-        res.json(messages);
+        const data = await fs.readFile(WEBHOOK_DELIVERIES_FILE, 'utf8');
+        return data
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
     } catch (error) {
-        console.error('Error fetching messages:', error);
-        res.status(500).json({ error: 'Failed to fetch messages' });
+        return [];
     }
-});
+}
 
-// API endpoint to edit a message
-app.put('/api/edit-message/:messageId', requireAuth, async (req, res) => {
-    try {
-        const { messageId } = req.params;
-        const { content, title, color } = req.body;
+// Parse one field of a cron expression into the list of allowed values
+function parseCronField(field, min, max) {
+    const values = new Set();
 
-        if (!content) {
-            return res.status(400).json({ error: 'Content is required' });
+    for (const part of field.split(',')) {
+        // "*", "5" or "1-5", optionally followed by a "/step" - nothing else gets through
+        if (!/^(\*|\d+(-\d+)?)(\/\d+)?$/.test(part)) {
+            throw new Error(`Invalid cron field "${field}"`);
         }
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let start;
+        let end;
 
-        // Find message in storage
-        const messages = await loadMessages();
-        const messageIndex = messages.findIndex(msg => msg.id === messageId);
-        
-        if (messageIndex === -1) {
-            return res.status(404).json({ error: 'Message not found in storage' });
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(n => parseInt(n, 10));
+        } else {
+            start = parseInt(range, 10);
+            end = stepText === undefined ? start : max;
         }
 
-        const storedMessage = messages[messageIndex];
-        
-        // Get the Discord channel and message
-        const channel = client.channels.cache.get(storedMessage.channelId);
-        if (!channel) {
-            return res.status(404).json({ error: 'Channel not found' });
+        if ([start, end, step].some(Number.isNaN) || step < 1 || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron field "${field}"`);
         }
 
-        const discordMessage = await channel.messages.fetch(messageId);
-        if (!discordMessage) {
-            return res.status(404).json({ error: 'Discord message not found' });
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
         }
+    }
 
-        // Edit the message
-        if (storedMessage.isEmbed || title || color) {
-            const embed = new EmbedBuilder()
-                .setDescription(content);
-            
-            if (title) embed.setTitle(title);
-            if (color) embed.setColor(color);
+    return values;
+}
 
-            await discordMessage.edit({ embeds: [embed] });
-        } else {
-            await discordMessage.edit(content);
-        }
+// Longest length of each month - February counts its leap day
+const MONTH_LENGTHS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
 
-        // Update stored message
-        messages[messageIndex] = {
-            ...storedMessage,
-            content,
-            title: title || storedMessage.title,
-            color: color || storedMessage.color,
-            lastEdited: new Date().toISOString(),
-            isEmbed: !!(title || color || storedMessage.isEmbed)
-        };
-        
-        await saveMessages(messages);
+// Parse a standard 5-field cron expression: minute hour day-of-month month day-of-week
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+    }
 
-        res.json({ success: true, messageData: messages[messageIndex] });
-    } catch (error) {
-        console.error('Error editing message:', error);
-        res.status(500).json({ error: 'Failed to edit message' });
+    const [minutes, hours, days, months, weekdays] = fields;
+    const cron = {
+        minutes: parseCronField(minutes, 0, 59),
+        hours: parseCronField(hours, 0, 23),
+        days: parseCronField(days, 1, 31),
+        months: parseCronField(months, 1, 12),
+        // 0 and 7 are both Sunday
+        weekdays: new Set([...parseCronField(weekdays, 0, 7)].map(day => day % 7)),
+        anyDay: days === '*',
+        anyWeekday: weekdays === '*'
+    };
+
+    // Only the day of the month can rule out every date ("0 0 31 2 *") - a restricted weekday always comes round
+    if (cron.anyWeekday && ![...cron.months].some(month => [...cron.days].some(day => day <= MONTH_LENGTHS[month - 1]))) {
+        throw new Error('Cron expression never matches');
     }
-});
+    return cron;
+}
 
-// API endpoint to delete a message from storage
-app.delete('/api/delete-message/:messageId', requireAuth, async (req, res) => {
-    try {
-        const { messageId } = req.params;
-        
-        const messages = await loadMessages();
-        const filteredMessages = messages.filter(msg => msg.id !== messageId);
-        
-        if (messages.length === filteredMessages.length) {
-            return res.status(404).json({ error: 'Message not found' });
+// Find the next time (server local time) after `from` that matches a cron expression
+function nextCronRun(expression, from = new Date()) {
+    const cron = parseCron(expression);
+    const earliest = new Date(from);
+    earliest.setSeconds(0, 0);
+    earliest.setMinutes(earliest.getMinutes() + 1);
+
+    const hours = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+    const day = new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate());
+
+    // Search day by day, then through the matching hours and minutes of a matching day
+    // Eight years always include a 29 February, the rarest date parseCron lets through
+    for (let i = 0; i <= 8 * 366; i++, day.setDate(day.getDate() + 1)) {
+        const dayMatches = cron.days.has(day.getDate());
+        const weekdayMatches = cron.weekdays.has(day.getDay());
+        // Like classic cron: if both day fields are restricted, either may match
+        const dateMatches = cron.anyDay || cron.anyWeekday
+            ? dayMatches && weekdayMatches
+            : dayMatches || weekdayMatches;
+        if (!cron.months.has(day.getMonth() + 1) || !dateMatches) continue;
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                // Times skipped by a daylight saving change come out shifted - they do not exist that day
+                if (candidate >= earliest && candidate.getHours() === hour && candidate.getMinutes() === minute) {
+                    return candidate;
+                }
+            }
         }
-        
-        await saveMessages(filteredMessages);
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error deleting message:', error);
-        res.status(500).json({ error: 'Failed to delete message' });
     }
-});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        botReady: !!client.user,
-        botTag: client.user?.tag || 'Not logged in'
+    throw new Error('Cron expression never matches');
+}
+
+// Initialize staff users
+// A users.json that cannot be read stops the server instead of being replaced by a fresh admin account
+const staffUsersReady = (async () => {
+    try {
+        await ensureStaffUsers();
+    } catch (error) {
+        console.error('❌ Failed to load staff accounts:', error.message);
+        process.exit(1);
+    }
+    console.log('🔐 Staff authentication initialized');
+})();
+
+// Discord bot ready event
+client.once('ready', () => {
+    console.log(`✅ Discord bot logged in as ${client.user.tag}`);
+    // Catch up on anything that came due while the bot was offline
+    processScheduledMessages();
+    runScheduledSync();
+    registerSlashCommands();
+});
+
+// Tell open dashboards when the bot goes offline or comes back
+client.on('ready', () => publishEvent('bot_status', botStatus()));
+client.on('shardDisconnect', () => publishEvent('bot_status', { ...botStatus(), botReady: false }));
+client.on('shardResume', () => publishEvent('bot_status', botStatus()));
+
+// Root route is now handled by static middleware above
+
+// Login protection
+const LOGIN_LIMITS = {
+    ipFailures: 20, // failed logins from one IP...
+    ipWindowMinutes: 15, // ...within this window block that IP until the window ends
+    accountFailures: 5, // failed logins in a row lock an account...
+    lockoutMinutes: 15, // ...for this long
+    twoFactorMinutes: 5 // time to enter the two-factor code after the password
+};
+
+// Failed logins per IP: ip -> { count, windowStart }
+const loginFailuresByIp = new Map();
+
+// Seconds until an IP may try again, 0 when it is not blocked
+function ipRetryAfter(ip) {
+    const entry = loginFailuresByIp.get(ip);
+    if (!entry || entry.count < LOGIN_LIMITS.ipFailures) return 0;
+    const remaining = entry.windowStart + LOGIN_LIMITS.ipWindowMinutes * 60 * 1000 - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+function recordIpFailure(ip) {
+    const now = Date.now();
+    const entry = loginFailuresByIp.get(ip);
+    if (!entry || now - entry.windowStart > LOGIN_LIMITS.ipWindowMinutes * 60 * 1000) {
+        loginFailuresByIp.set(ip, { count: 1, windowStart: now });
+    } else {
+        entry.count++;
+    }
+}
+
+// Forget IP windows that ended
+setInterval(() => {
+    const cutoff = Date.now() - LOGIN_LIMITS.ipWindowMinutes * 60 * 1000;
+    for (const [ip, entry] of loginFailuresByIp) {
+        if (entry.windowStart < cutoff) loginFailuresByIp.delete(ip);
+    }
+}, 60 * 1000);
+
+// Failed logins per account: username -> { failedLogins, lastFailedLoginAt, lastFailedLoginIp, lockedUntil }
+// Kept apart from users.json, so the login form - open to anyone - never rewrites the staff accounts
+const LOGIN_FAILURES_FILE = path.join(DATA_DIR, 'login-failures.json');
+const loginFailures = new Map();
+// An unreadable file starts the counters afresh rather than turning every login away
+const loginFailuresReady = readJsonFile(LOGIN_FAILURES_FILE, {})
+    .catch(error => {
+        console.error('Error loading login failures, starting without them:', error.message);
+        return {};
+    })
+    .then(entries => Object.entries(entries).forEach(([username, entry]) => loginFailures.set(username, entry)));
+
+// Write the map out - one write at a time, each with the latest state
+let loginFailuresWrite = Promise.resolve();
+function saveLoginFailures() {
+    loginFailuresWrite = loginFailuresWrite
+        .then(() => writeJsonAtomic(LOGIN_FAILURES_FILE, Object.fromEntries(loginFailures)))
+        .catch(error => console.error('Error saving login failures:', error));
+    return loginFailuresWrite;
+}
+
+// The failed login fields shown on a staff account
+function loginFailureState(username) {
+    const { failedLogins = 0, lastFailedLoginAt = null, lastFailedLoginIp = null, lockedUntil = null } = loginFailures.get(username) || {};
+    return { failedLogins, lastFailedLoginAt, lastFailedLoginIp, lockedUntil };
+}
+
+// Forget the failures of a staff member - after a login, or when an admin lifts the lockout
+async function clearLoginFailures(username) {
+    if (loginFailures.delete(username)) {
+        await saveLoginFailures();
+    }
+}
+
+// Forget old failures that did not lock anything, so guessed usernames do not pile up
+setInterval(() => {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    let changed = false;
+    for (const [username, entry] of loginFailures) {
+        const locked = entry.lockedUntil && new Date(entry.lockedUntil) > Date.now();
+        if (!locked && new Date(entry.lastFailedLoginAt) < cutoff) {
+            loginFailures.delete(username);
+            changed = true;
+        }
+    }
+    if (changed) saveLoginFailures();
+}, 60 * 60 * 1000);
+
+// Seconds until a locked account may try again, 0 when it is not locked
+function accountRetryAfter(username) {
+    const { lockedUntil } = loginFailureState(username);
+    const remaining = lockedUntil ? new Date(lockedUntil) - Date.now() : 0;
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+// Count a failed login against the IP and the account, locking the account at the limit
+async function recordLoginFailure(req, username, reason) {
+    recordIpFailure(req.ip);
+
+    await loginFailuresReady;
+    const entry = { ...loginFailureState(username) };
+    entry.failedLogins++;
+    entry.lastFailedLoginAt = new Date().toISOString();
+    entry.lastFailedLoginIp = req.ip;
+    let locked = false;
+    if (entry.failedLogins >= LOGIN_LIMITS.accountFailures) {
+        entry.lockedUntil = new Date(Date.now() + LOGIN_LIMITS.lockoutMinutes * 60 * 1000).toISOString();
+        entry.failedLogins = 0;
+        locked = true;
+    }
+    loginFailures.set(username, entry);
+    await saveLoginFailures();
+
+    await recordAudit('login_failed', username, { ip: req.ip, details: { reason } });
+    if (locked) {
+        await recordAudit('login_locked', username, { ip: req.ip, details: { minutes: LOGIN_LIMITS.lockoutMinutes } });
+    }
+}
+
+// Compared against for unknown usernames, so they take as long to answer as real ones
+const DUMMY_PASSWORD_HASH = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+
+// Answer a blocked login with 429 and Retry-After
+function tooManyAttempts(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `${message} - try again in ${Math.ceil(retryAfter / 60)} minute(s)` });
+}
+
+// Start the staff member's session - a fresh session id, so one from before the login cannot be reused
+// Also records where it was started for the Account tab's session list
+function startSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(error => {
+            if (error) return reject(error);
+            const now = new Date().toISOString();
+            req.session.authenticated = true;
+            req.session.username = user.username;
+            req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+            req.session.createdAt = now;
+            req.session.lastSeenAt = now;
+            req.session.ip = req.ip;
+            req.session.userAgent = (req.get('User-Agent') || '').slice(0, 300);
+            resolve();
+        });
+    });
+}
+
+// Successful login: clear the failure count and start the session
+async function completeLogin(req, username, details) {
+    const users = await loadUsers();
+    const user = users.find(u => u.username === username);
+    await clearLoginFailures(username);
+
+    await startSession(req, user);
+    await recordAudit('login', username, { ip: req.ip, details });
+    return user;
+}
+
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 second steps)
+const TOTP_ISSUER = 'LinkCrafter';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return text;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// The time step a code matches (one step of clock drift either way), or null
+// Steps up to `lastStep` were used already and are refused, so a code works only once
+function verifyTotp(secret, code, lastStep = -1) {
+    const text = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(text)) return null;
+
+    const now = Math.floor(Date.now() / 30000);
+    for (const step of [now - 1, now, now + 1]) {
+        if (step > lastStep && crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(text))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Ten single-use recovery codes like 3f9a1-c07d2; only their hashes are stored
+function createRecoveryCodes() {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+// Check a two-factor code (TOTP or recovery code) for an account and save what it used up
+// Returns 'totp' or 'recovery', or null when the code is wrong
+async function checkSecondFactor(username, code, { allowRecovery = true } = {}) {
+    const users = await loadUsers();
+    const user = users.find(u => u.username === username);
+    if (!user || !user.totpSecret) return null;
+
+    const step = verifyTotp(user.totpSecret, code, user.totpLastStep);
+    if (step !== null) {
+        user.totpLastStep = step;
+        await saveUsers(users);
+        return 'totp';
+    }
+
+    const hash = hashRecoveryCode(code);
+    if (allowRecovery && (user.recoveryCodeHashes || []).includes(hash)) {
+        user.recoveryCodeHashes = user.recoveryCodeHashes.filter(h => h !== hash);
+        await saveUsers(users);
+        return 'recovery';
+    }
+    return null;
+}
+
+// Authentication endpoints
+// Step 1: username and password. Accounts with two-factor get { twoFactorRequired: true } and finish at /api/login/2fa
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body;
+    
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string' || username.length > 100) {
+        return res.status(400).json({ error: 'Username and password required' });
+    }
+    
+    // Ensure staff users are loaded
+    await staffUsersReady;
+
+    try {
+        const ipWait = ipRetryAfter(req.ip);
+        if (ipWait) {
+            await recordAudit('login_failed', username, { ip: req.ip, details: { reason: 'too many attempts from this IP' } });
+            return tooManyAttempts(res, ipWait, 'Too many failed logins from your network');
+        }
+
+        // Unknown and disabled accounts are counted, locked and timed like real ones,
+        // so the answers do not tell which usernames exist
+        await loginFailuresReady;
+        const accountWait = accountRetryAfter(username);
+        if (accountWait) {
+            await recordAudit('login_failed', username, { ip: req.ip, details: { reason: 'account locked' } });
+            return tooManyAttempts(res, accountWait, 'This account is locked after too many failed logins');
+        }
+
+        const users = await loadUsers();
+        const user = users.find(u => u.username === username);
+        const validPassword = await bcrypt.compare(password, user ? user.passwordHash : await DUMMY_PASSWORD_HASH);
+        if (!user || user.disabled || !validPassword) {
+            await recordLoginFailure(req, username, !user ? 'unknown user' : user.disabled ? 'account disabled' : 'wrong password');
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.totpSecret) {
+            req.session.pendingLogin = {
+                username,
+                expiresAt: Date.now() + LOGIN_LIMITS.twoFactorMinutes * 60 * 1000
+            };
+            return res.json({ success: false, twoFactorRequired: true });
+        }
+
+        await completeLogin(req, username);
+        res.json({ success: true, username, role: user.role });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Step 2 for accounts with two-factor: { code } with an authenticator code or a recovery code
+app.post('/api/login/2fa', async (req, res) => {
+    const pending = req.session?.pendingLogin;
+    if (!pending || pending.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'Your login expired - enter your password again', restartLogin: true });
+    }
+
+    try {
+        const ipWait = ipRetryAfter(req.ip);
+        if (ipWait) {
+            await recordAudit('login_failed', pending.username, { ip: req.ip, details: { reason: 'too many attempts from this IP' } });
+            return tooManyAttempts(res, ipWait, 'Too many failed logins from your network');
+        }
+
+        const user = (await loadUsers()).find(u => u.username === pending.username);
+        if (!user || user.disabled) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({ error: 'Invalid credentials', restartLogin: true });
+        }
+
+        const accountWait = accountRetryAfter(user.username);
+        if (accountWait) {
+            delete req.session.pendingLogin;
+            return tooManyAttempts(res, accountWait, 'This account is locked after too many failed logins');
+        }
+
+        const method = await checkSecondFactor(user.username, req.body.code);
+        if (!method) {
+            await recordLoginFailure(req, user.username, 'wrong two-factor code');
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+
+        const loggedIn = await completeLogin(req, user.username, { twoFactor: method });
+        res.json({
+            success: true,
+            username: loggedIn.username,
+            role: loggedIn.role,
+            recoveryCodesLeft: method === 'recovery' ? (loggedIn.recoveryCodeHashes || []).length : undefined
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Start two-factor enrollment: a new secret to add to an authenticator app, confirmed by /api/account/2fa/enable
+app.post('/api/account/2fa/setup', requireAuth, requireSession, async (req, res) => {
+    try {
+        const users = await loadUsers();
+        const user = users.find(u => u.username === req.user.username);
+        if (user.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        user.totpPendingSecret = base32Encode(crypto.randomBytes(20));
+        await saveUsers(users);
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+        res.json({
+            success: true,
+            secret: user.totpPendingSecret,
+            otpauthUrl: `otpauth://totp/${label}?secret=${user.totpPendingSecret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=30`
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Turn two-factor on with a code from the new secret - returns the recovery codes, once
+app.post('/api/account/2fa/enable', requireAuth, requireSession, async (req, res) => {
+    try {
+        const users = await loadUsers();
+        const user = users.find(u => u.username === req.user.username);
+        if (user.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+        if (!user.totpPendingSecret) {
+            return res.status(400).json({ error: 'Start the setup first' });
+        }
+
+        const step = verifyTotp(user.totpPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'That code does not match - check the time on your device and try again' });
+        }
+
+        const { codes, hashes } = createRecoveryCodes();
+        user.totpSecret = user.totpPendingSecret;
+        user.totpLastStep = step;
+        user.totpEnabledAt = new Date().toISOString();
+        user.recoveryCodeHashes = hashes;
+        delete user.totpPendingSecret;
+        await saveUsers(users);
+
+        await recordAudit('two_factor_enable', user.username, { ip: req.ip });
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error enabling two-factor:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Turn two-factor off - needs the password and a current code or recovery code
+app.post('/api/account/2fa/disable', requireAuth, requireSession, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        if (!req.user.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        }
+        if (!password || !(await bcrypt.compare(password, req.user.passwordHash))) {
+            return res.status(400).json({ error: 'Wrong password' });
+        }
+        if (!(await checkSecondFactor(req.user.username, code))) {
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        const users = await loadUsers();
+        const user = users.find(u => u.username === req.user.username);
+        for (const key of ['totpSecret', 'totpLastStep', 'totpEnabledAt', 'recoveryCodeHashes']) delete user[key];
+        await saveUsers(users);
+
+        await recordAudit('two_factor_disable', user.username, { ip: req.ip });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error disabling two-factor:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Replace the recovery codes - needs a current authenticator code
+app.post('/api/account/2fa/recovery-codes', requireAuth, requireSession, async (req, res) => {
+    try {
+        if (!req.user.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        }
+        if (!(await checkSecondFactor(req.user.username, req.body.code, { allowRecovery: false }))) {
+            return res.status(400).json({ error: 'Invalid code' });
+        }
+
+        const users = await loadUsers();
+        const user = users.find(u => u.username === req.user.username);
+        const { codes, hashes } = createRecoveryCodes();
+        user.recoveryCodeHashes = hashes;
+        await saveUsers(users);
+
+        await recordAudit('two_factor_recovery_codes', user.username, { ip: req.ip });
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error replacing recovery codes:', error);
+        res.status(500).json({ error: 'Failed to replace recovery codes' });
+    }
+});
+
+// Call a session store method as a promise
+function sessionStoreCall(method, ...args) {
+    return new Promise((resolve, reject) => {
+        sessionStore[method](...args, (error, result) => error ? reject(error) : resolve(result));
     });
+}
+
+// The session id is the login cookie, so the dashboard only ever sees a hash of it
+function publicSessionId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+// Logged-in sessions of one staff member: [{ sid, data }]
+async function userSessions(username) {
+    const sessions = (await sessionStoreCall('all')) || {};
+    return Object.entries(sessions)
+        .filter(([, data]) => data.authenticated && data.username === username)
+        .map(([sid, data]) => ({ sid, data }));
+}
+
+// End a session and close its live update streams
+async function revokeSession(sid) {
+    await sessionStoreCall('destroy', sid);
+    for (const subscriber of eventSubscribers) {
+        if (subscriber.sessionId === sid) subscriber.res.end();
+    }
+}
+
+// The staff member's own logged-in sessions, newest activity first
+app.get('/api/account/sessions', requireAuth, requireSession, async (req, res) => {
+    try {
+        const sessions = await userSessions(req.user.username);
+        res.json(sessions
+            .map(({ sid, data }) => ({
+                id: publicSessionId(sid),
+                current: sid === req.sessionID,
+                createdAt: data.createdAt || null,
+                lastSeenAt: data.lastSeenAt || null,
+                expiresAt: data.cookie && data.cookie.expires ? new Date(data.cookie.expires).toISOString() : null,
+                ip: data.ip || null,
+                userAgent: data.userAgent || null
+            }))
+            .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || '')));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Log out one of the staff member's other sessions
+app.delete('/api/account/sessions/:sessionId', requireAuth, requireSession, async (req, res) => {
+    try {
+        const sessions = await userSessions(req.user.username);
+        const target = sessions.find(({ sid }) => publicSessionId(sid) === req.params.sessionId);
+        if (!target) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (target.sid === req.sessionID) {
+            return res.status(400).json({ error: 'Use Logout to end the session you are using' });
+        }
+
+        await revokeSession(target.sid);
+        await recordAudit('session_revoke', req.user.username, {
+            ip: req.ip,
+            details: { sessionId: req.params.sessionId, sessionIp: target.data.ip || null, userAgent: target.data.userAgent || null }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Log out every session of the staff member except the current one
+app.delete('/api/account/sessions', requireAuth, requireSession, async (req, res) => {
+    try {
+        const others = (await userSessions(req.user.username)).filter(({ sid }) => sid !== req.sessionID);
+        for (const { sid } of others) {
+            await revokeSession(sid);
+        }
+
+        if (others.length > 0) {
+            await recordAudit('session_revoke', req.user.username, {
+                ip: req.ip,
+                details: { count: others.length, allOthers: true }
+            });
+        }
+        res.json({ success: true, revoked: others.length });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
 });
 
-// Start the server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🌐 Web server running on port ${PORT}`);
+app.post('/api/logout', (req, res) => {
+    const username = req.session?.username;
+    const sessionId = req.sessionID;
+    req.session.destroy(async (err) => {
+        if (err) {
+            console.error('Logout error:', err);
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        for (const subscriber of eventSubscribers) {
+            if (subscriber.sessionId === sessionId) subscriber.res.end();
+        }
+        if (username) {
+            await recordAudit('logout', username, { ip: req.ip });
+        }
+        res.json({ success: true });
+    });
 });
 
-// Login to Discord (requires DISCORD_BOT_TOKEN environment variable)
-if (process.env.DISCORD_BOT_TOKEN) {
-    client.login(process.env.DISCORD_BOT_TOKEN).catch(error => {
-        console.error('❌ Failed to login to Discord:', error.message);
-        console.log('💡 Please set your DISCORD_BOT_TOKEN environment variable');
+app.get('/api/auth-status', async (req, res) => {
+    const authenticated = !!(req.session && req.session.authenticated);
+    const users = authenticated ? await loadUsers() : [];
+    const user = users.find(u => u.username === req.session?.username && !u.disabled);
+
+    // Sessions from before CSRF tokens existed get one here
+    if (user && !req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+
+    res.json({ 
+        authenticated: !!user,
+        username: user ? user.username : null,
+        role: user ? user.role : null,
+        permissions: user ? ROLE_PERMISSIONS[user.role] || [] : [],
+        twoFactorEnabled: user ? !!user.totpSecret : false,
+        recoveryCodesLeft: user && user.totpSecret ? (user.recoveryCodeHashes || []).length : 0,
+        csrfToken: user ? req.session.csrfToken : null
     });
-} else {
-    console.log('⚠️  DISCORD_BOT_TOKEN not found. Please add your bot token to continue.');
-    console.log('💡 The web interface will still work, but Discord functionality will be limited.');
+});
+
+// Check that at least one enabled admin would remain after a change
+function hasOtherActiveAdmin(users, username) {
+    return users.some(u => u.username !== username && u.role === 'admin' && !u.disabled);
 }
+
+// Admin endpoint to list staff accounts
+app.get('/api/users', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const users = await loadUsers();
+        res.json(users.map(publicUser));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Admin endpoint to create a staff account
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password must be text' });
+        }
+        if (!/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+            return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+        if (!Object.hasOwn(ROLE_PERMISSIONS, role)) {
+            return res.status(400).json({ error: 'Role must be admin, editor or viewer' });
+        }
+
+        const users = await loadUsers();
+        if (users.some(u => u.username === username)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const user = {
+            username,
+            passwordHash: await bcrypt.hash(password, 10),
+            role,
+            disabled: false,
+            allowedGuildIds: [],
+            allowedChannelIds: [],
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.username
+        };
+        users.push(user);
+        await saveUsers(users);
+        await recordAudit('user_create', req.user.username, {
+            details: { username, role }
+        });
+
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Admin endpoint to change a staff account's role, channel access or disable/enable it
+app.put('/api/users/:username', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { role, disabled, unlock, resetTwoFactor } = req.body;
+
+        let allowedGuildIds;
+        let allowedChannelIds;
+        try {
+            allowedGuildIds = parseIdList(req.body.allowedGuildIds);
+            allowedChannelIds = parseIdList(req.body.allowedChannelIds);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const users = await loadUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (role !== undefined && !Object.hasOwn(ROLE_PERMISSIONS, role)) {
+            return res.status(400).json({ error: 'Role must be admin, editor or viewer' });
+        }
+
+        const losesAdmin = (role !== undefined && role !== 'admin') || disabled === true;
+        if (user.role === 'admin' && losesAdmin && !hasOtherActiveAdmin(users, username)) {
+            return res.status(400).json({ error: 'At least one active admin account is required' });
+        }
+
+        const before = publicUser(user);
+        if (role !== undefined) user.role = role;
+        if (disabled !== undefined) user.disabled = !!disabled;
+        if (allowedGuildIds !== undefined) user.allowedGuildIds = allowedGuildIds;
+        if (allowedChannelIds !== undefined) user.allowedChannelIds = allowedChannelIds;
+        // Lift a login lockout
+        if (unlock) {
+            await clearLoginFailures(username);
+        }
+        // For staff who lost their authenticator and recovery codes
+        if (resetTwoFactor) {
+            for (const key of ['totpSecret', 'totpPendingSecret', 'totpLastStep', 'totpEnabledAt', 'recoveryCodeHashes']) delete user[key];
+        }
+        user.updatedAt = new Date().toISOString();
+        user.updatedBy = req.user.username;
+
+        await saveUsers(users);
+        await recordAudit('user_update', req.user.username, {
+            details: { username },
+            before: {
+                role: before.role,
+                disabled: before.disabled,
+                allowedGuildIds: before.allowedGuildIds || [],
+                allowedChannelIds: before.allowedChannelIds || [],
+                lockedUntil: before.lockedUntil || null,
+                twoFactorEnabled: before.twoFactorEnabled
+            },
+            after: {
+                role: user.role,
+                disabled: user.disabled,
+                allowedGuildIds: user.allowedGuildIds || [],
+                allowedChannelIds: user.allowedChannelIds || [],
+                lockedUntil: loginFailureState(username).lockedUntil,
+                twoFactorEnabled: !!user.totpSecret
+            }
+        });
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Admin endpoint to reset a staff account's password
+// Without a password in the body a temporary one is generated and returned once
+app.post('/api/users/:username/reset-password', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const password = req.body.password || crypto.randomBytes(9).toString('base64url');
+
+        if (typeof password !== 'string') {
+            return res.status(400).json({ error: 'Password must be text' });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const users = await loadUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        user.passwordHash = await bcrypt.hash(password, 10);
+        user.updatedAt = new Date().toISOString();
+        user.updatedBy = req.user.username;
+
+        await saveUsers(users);
+        await recordAudit('user_password_reset', req.user.username, {
+            details: { username }
+        });
+        res.json({
+            success: true,
+            temporaryPassword: req.body.password ? undefined : password
+        });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// API endpoint to list API tokens - your own, or everyone's for admins
+app.get('/api/tokens', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tokens = await loadTokens();
+        const canSeeAll = userPermissions(req.user).includes('users:manage');
+        res.json(tokens.filter(token => canSeeAll || token.owner === req.user.username).map(publicToken));
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({ error: 'Failed to fetch API tokens' });
+    }
+});
+
+// API endpoint to create an API token for your own account - the token itself is only returned here, once
+// Body: { name, scopes: [...], allowedChannelIds: [...] (empty = every channel you can use), expiresInDays }
+app.post('/api/tokens', requireAuth, requireSession, async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({ error: 'Name is required (at most 100 characters)' });
+        }
+
+        const grantable = TOKEN_SCOPES.filter(scope => userPermissions(req.user).includes(scope));
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => grantable.includes(scope))) {
+            return res.status(400).json({ error: `Scopes must be a list of: ${grantable.join(', ')}` });
+        }
+
+        let allowedChannelIds;
+        try {
+            allowedChannelIds = parseIdList(req.body.allowedChannelIds) || [];
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        for (const channelId of allowedChannelIds) {
+            const channel = client.channels.cache.get(channelId);
+            if (!channel || !canAccessChannel(req.user, channel.guild.id, channel.id)) {
+                return res.status(400).json({ error: `You cannot use channel ${channelId}` });
+            }
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > 365) {
+                return res.status(400).json({ error: 'expiresInDays must be a whole number of days from 1 to 365' });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+        }
+
+        const secret = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const token = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            owner: req.user.username,
+            tokenHash: hashToken(secret),
+            hint: secret.slice(-4),
+            scopes: [...new Set(scopes)],
+            allowedChannelIds,
+            expiresAt,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null,
+            revokedBy: null
+        };
+
+        await updateTokens(tokens => {
+            tokens.push(token);
+        });
+
+        await recordAudit('token_create', req.user.username, {
+            ip: req.ip,
+            details: { tokenId: token.id, name: token.name, scopes: token.scopes, allowedChannelIds, expiresAt }
+        });
+
+        res.json({ success: true, token: secret, apiToken: publicToken(token) });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+// API endpoint to revoke an API token - your own, or anyone's for admins
+app.delete('/api/tokens/:tokenId', requireAuth, requireSession, async (req, res) => {
+    try {
+        const canSeeAll = userPermissions(req.user).includes('users:manage');
+        const token = await updateTokens(tokens => {
+            const stored = tokens.find(t => t.id === req.params.tokenId);
+            if (!stored || (!canSeeAll && stored.owner !== req.user.username)) {
+                const error = new Error('API token not found');
+                error.status = 404;
+                throw error;
+            }
+            if (stored.revokedAt) {
+                throw badRequest('This API token is already revoked');
+            }
+            stored.revokedAt = new Date().toISOString();
+            stored.revokedBy = req.user.username;
+            return stored;
+        });
+
+        await recordAudit('token_revoke', req.user.username, {
+            ip: req.ip,
+            details: { tokenId: token.id, name: token.name, owner: token.owner }
+        });
+
+        res.json({ success: true, apiToken: publicToken(token) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+// API endpoint to get all guilds and channels
+app.get('/api/channels', requirePermission('messages:read'), async (req, res) => {
+    try {
+        if (!client.user) {
+            return res.status(503).json({ error: 'Bot not ready' });
+        }
+
+        const reviewChannelIds = (await loadReviewChannels()).map(entry => entry.channelId);
+        const guilds = client.guilds.cache
+            .map(guild => ({
+                id: guild.id,
+                name: guild.name,
+                channels: guild.channels.cache
+                    .filter(channel => channel.type === 0) // Text channels only
+                    .filter(channel => canAccessChannel(req.user, guild.id, channel.id))
+                    .map(channel => ({
+                        id: channel.id,
+                        name: channel.name,
+                        requiresApproval: reviewChannelIds.includes(channel.id)
+                    }))
+            }))
+            .filter(guild => guild.channels.length > 0);
+
+        res.json(guilds);
+    } catch (error) {
+        console.error('Error fetching channels:', error);
+        res.status(500).json({ error: 'Failed to fetch channels' });
+    }
+});
+
+// API endpoint for the mention picker: a guild's roles, and optionally cached members and channels
+// Query: ?types=roles,members,channels (default roles) &q=search text &limit=max entries per type (default 100)
+app.get('/api/guilds/:guildId/mentions', requirePermission('messages:read'), async (req, res) => {
+    try {
+        if (!client.user) {
+            return res.status(503).json({ error: 'Bot not ready' });
+        }
+
+        const guild = client.guilds.cache.get(req.params.guildId);
+        if (!guild) {
+            return res.status(404).json({ error: 'Guild not found' });
+        }
+        if (!canAccessGuild(req.user, guild)) {
+            return res.status(403).json({ error: 'You do not have access to this guild' });
+        }
+
+        const types = (req.query.types || 'roles').split(',');
+        const search = (req.query.q || '').toLowerCase();
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const matches = (...names) => !search || names.some(name => name && name.toLowerCase().includes(search));
+
+        // Without Mention Everyone the bot's pings of non-mentionable roles, @everyone and @here show as plain text
+        const canMentionEveryone = guild.members.me?.permissions.has(PermissionFlagsBits.MentionEveryone) ?? false;
+        const result = { guildId: guild.id, canMentionEveryone };
+
+        if (types.includes('roles')) {
+            const everyone = [
+                { id: guild.id, name: '@everyone', mention: '@everyone' },
+                { id: guild.id, name: '@here', mention: '@here' }
+            ].map(role => ({ ...role, color: null, managed: false, mentionable: canMentionEveryone }));
+
+            const roles = guild.roles.cache
+                .filter(role => role.id !== guild.id)
+                .sort((a, b) => b.position - a.position)
+                .map(role => ({
+                    id: role.id,
+                    name: role.name,
+                    mention: `<@&${role.id}>`,
+                    color: role.hexColor && role.hexColor !== '#000000' ? role.hexColor : null,
+                    managed: role.managed,
+                    mentionable: role.mentionable || canMentionEveryone
+                }));
+
+            result.roles = [...everyone, ...roles].filter(role => matches(role.name)).slice(0, limit);
+        }
+
+        if (types.includes('members')) {
+            // Only members discord.js has cached - the bot does not request the privileged member list
+            result.members = guild.members.cache
+                .filter(member => matches(member.displayName, member.user.username))
+                .map(member => ({
+                    id: member.id,
+                    name: member.displayName,
+                    username: member.user.username,
+                    bot: member.user.bot,
+                    mention: `<@${member.id}>`
+                }))
+                .slice(0, limit);
+        }
+
+        if (types.includes('channels')) {
+            result.channels = guild.channels.cache
+                .filter(channel => channel.type === 0) // Text channels only
+                .filter(channel => canAccessChannel(req.user, guild.id, channel.id))
+                .filter(channel => matches(channel.name))
+                .map(channel => ({
+                    id: channel.id,
+                    name: channel.name,
+                    mention: `<#${channel.id}>`
+                }))
+                .slice(0, limit);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching mentions:', error);
+        res.status(500).json({ error: 'Failed to fetch mentions' });
+    }
+});
+
+// Discord error codes that mean a stored message can no longer be reached
+const DISCORD_UNKNOWN_MESSAGE = 10008;
+const DISCORD_UNKNOWN_CHANNEL = 10003;
+const DISCORD_MISSING_ACCESS = 50001;
+
+// Discord's message and embed limits
+const EMBED_LIMITS = {
+    content: 2000,
+    embeds: 10,
+    total: 6000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footerText: 2048,
+    authorName: 256
+};
+
+// Create a 400 error for invalid request input
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Validate an optional http(s) or attachment:// URL
+function optionalUrl(value, label) {
+    if (!value) return null;
+    if (typeof value !== 'string' || !/^(https?:\/\/|attachment:\/\/)\S+$/.test(value)) {
+        throw badRequest(`${label} must be an http(s) URL`);
+    }
+    return value;
+}
+
+// Validate an optional string against a length limit
+function optionalText(value, limit, label) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw badRequest(`${label} must be text`);
+    }
+    if (value.length > limit) {
+        throw badRequest(`${label} must be at most ${limit} characters`);
+    }
+    return value;
+}
+
+// Validate one embed from a request body
+// `timestamp: true` means "when the message is sent" and is resolved by resolveEmbedTimestamps()
+function normalizeEmbed(embed, label = 'Embed') {
+    if (!embed || typeof embed !== 'object') {
+        throw badRequest(`${label} is invalid`);
+    }
+
+    const fields = Array.isArray(embed.fields) ? embed.fields : [];
+    if (fields.length > EMBED_LIMITS.fields) {
+        throw badRequest(`${label} can have at most ${EMBED_LIMITS.fields} fields`);
+    }
+
+    let timestamp = null;
+    if (embed.timestamp === true) {
+        timestamp = true;
+    } else if (embed.timestamp) {
+        const date = new Date(embed.timestamp);
+        if (Number.isNaN(date.getTime())) {
+            throw badRequest(`${label} timestamp must be a date`);
+        }
+        timestamp = date.toISOString();
+    }
+
+    if (embed.color && !/^#[0-9a-fA-F]{6}$/.test(embed.color)) {
+        throw badRequest(`${label} color must be a hex color like #5865F2`);
+    }
+
+    const normalized = {
+        description: optionalText(embed.description, EMBED_LIMITS.description, `${label} description`),
+        title: optionalText(embed.title, EMBED_LIMITS.title, `${label} title`),
+        color: embed.color || null,
+        url: optionalUrl(embed.url, `${label} URL`),
+        author: embed.author && embed.author.name ? {
+            name: optionalText(embed.author.name, EMBED_LIMITS.authorName, `${label} author name`),
+            url: optionalUrl(embed.author.url, `${label} author URL`),
+            iconUrl: optionalUrl(embed.author.iconUrl, `${label} author icon URL`)
+        } : null,
+        footer: embed.footer && embed.footer.text ? {
+            text: optionalText(embed.footer.text, EMBED_LIMITS.footerText, `${label} footer text`),
+            iconUrl: optionalUrl(embed.footer.iconUrl, `${label} footer icon URL`)
+        } : null,
+        thumbnailUrl: optionalUrl(embed.thumbnailUrl, `${label} thumbnail URL`),
+        imageUrl: optionalUrl(embed.imageUrl, `${label} image URL`),
+        timestamp,
+        fields: fields.map((field, i) => {
+            if (!field || !field.name || !field.value) {
+                throw badRequest(`${label} field ${i + 1} needs a name and a value`);
+            }
+            return {
+                name: optionalText(field.name, EMBED_LIMITS.fieldName, `${label} field ${i + 1} name`),
+                value: optionalText(field.value, EMBED_LIMITS.fieldValue, `${label} field ${i + 1} value`),
+                inline: !!field.inline
+            };
+        })
+    };
+
+    // Discord rejects embeds without any visible content
+    if (!normalized.description && !normalized.title && !normalized.author && !normalized.footer &&
+        !normalized.imageUrl && !normalized.thumbnailUrl && normalized.fields.length === 0) {
+        throw badRequest(`${label} is empty`);
+    }
+    return normalized;
+}
+
+// Characters Discord counts towards the 6000 character limit of all embeds in a message
+function embedTextLength(embed) {
+    return (embed.title || '').length + (embed.description || '').length +
+        (embed.author ? embed.author.name.length : 0) + (embed.footer ? embed.footer.text.length : 0) +
+        embed.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+// Validate the content and embeds of a message from a request body
+// `allowEmpty` lets a message with attachments go without content and embeds
+function normalizeMessageParts(body) {
+    const { content, embeds } = getMessageParts(body);
+
+    if (typeof content !== 'string') {
+        throw badRequest('Content must be text');
+    }
+    if (content.length > EMBED_LIMITS.content) {
+        throw badRequest(`Content must be at most ${EMBED_LIMITS.content} characters`);
+    }
+    if (embeds.length > EMBED_LIMITS.embeds) {
+        throw badRequest(`A message can have at most ${EMBED_LIMITS.embeds} embeds`);
+    }
+
+    const normalizedEmbeds = embeds.map((embed, i) => normalizeEmbed(embed, `Embed ${i + 1}`));
+    if (normalizedEmbeds.reduce((sum, embed) => sum + embedTextLength(embed), 0) > EMBED_LIMITS.total) {
+        throw badRequest(`All embeds together must be at most ${EMBED_LIMITS.total} characters`);
+    }
+    if (!content.trim() && normalizedEmbeds.length === 0 && !body.allowEmpty) {
+        throw badRequest('Content or at least one embed is required');
+    }
+
+    return { content, embeds: normalizedEmbeds };
+}
+
+// Replace `timestamp: true` with a real time - the matching embed's previous time if there is one, else now
+function resolveEmbedTimestamps(embeds, previousEmbeds = []) {
+    return embeds.map((embed, i) => embed.timestamp === true
+        ? { ...embed, timestamp: previousEmbeds[i]?.timestamp || new Date().toISOString() }
+        : embed);
+}
+
+// Build a Discord embed from a stored embed
+function buildEmbed(embed) {
+    const builder = new EmbedBuilder();
+
+    if (embed.description) builder.setDescription(embed.description);
+    if (embed.title) builder.setTitle(embed.title);
+    if (embed.color) builder.setColor(embed.color);
+    if (embed.url) builder.setURL(embed.url);
+    if (embed.author) {
+        builder.setAuthor({
+            name: embed.author.name,
+            url: embed.author.url || undefined,
+            iconURL: embed.author.iconUrl || undefined
+        });
+    }
+    if (embed.footer) {
+        builder.setFooter({
+            text: embed.footer.text,
+            iconURL: embed.footer.iconUrl || undefined
+        });
+    }
+    if (embed.thumbnailUrl) builder.setThumbnail(embed.thumbnailUrl);
+    if (embed.imageUrl) builder.setImage(embed.imageUrl);
+    if (embed.timestamp) builder.setTimestamp(new Date(embed.timestamp));
+    if (embed.fields && embed.fields.length > 0) builder.addFields(embed.fields);
+
+    return builder;
+}
+
+// Discord send/edit payload for a message's content and embeds
+// Empty content is sent as null on edits so Discord clears the old text
+function buildMessagePayload({ content, embeds }) {
+    return {
+        content: content || null,
+        embeds: embeds.map(buildEmbed)
+    };
+}
+
+// Attachment uploads - kept in memory and handed straight to Discord, which hosts the files
+const ATTACHMENT_LIMITS = {
+    files: 10,
+    fileSize: parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024
+};
+const ATTACHMENT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'video/mp4', 'audio/mpeg', 'application/pdf', 'text/plain', 'text/csv'
+];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_LIMITS.fileSize, files: ATTACHMENT_LIMITS.files },
+    fileFilter: (req, file, cb) => {
+        if (!ATTACHMENT_TYPES.includes(file.mimetype)) {
+            return cb(badRequest(`File type ${file.mimetype} is not allowed`));
+        }
+        cb(null, true);
+    }
+});
+
+// Accept multipart bodies with up to 10 "files" and the JSON body in a "payload_json" field (like Discord's own API)
+// Plain JSON requests pass through unchanged
+function parseAttachments(req, res, next) {
+    upload.array('files', ATTACHMENT_LIMITS.files)(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Files must be at most ${Math.floor(ATTACHMENT_LIMITS.fileSize / 1024 / 1024)} MB`
+                : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `A message can have at most ${ATTACHMENT_LIMITS.files} attachments`
+                    : error.message;
+            return res.status(400).json({ error: message });
+        }
+        if (error) {
+            return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to read upload' });
+        }
+
+        if (req.body && typeof req.body.payload_json === 'string') {
+            try {
+                req.body = JSON.parse(req.body.payload_json);
+            } catch (parseError) {
+                return res.status(400).json({ error: 'payload_json must be valid JSON' });
+            }
+        }
+        req.files = req.files || [];
+        next();
+    });
+}
+
+// Stored description of the attachments of a sent or edited Discord message
+function describeAttachments(discordMessage) {
+    return [...discordMessage.attachments.values()].map(attachment => ({
+        id: attachment.id,
+        name: attachment.name,
+        size: attachment.size,
+        contentType: attachment.contentType || null,
+        url: attachment.url
+    }));
+}
+
+// Check that uploaded names are unique and that every attachment:// URL in the embeds names one of the files
+function checkAttachmentNames(embeds, names) {
+    if (new Set(names).size !== names.length) {
+        throw badRequest('Attachment file names must be unique');
+    }
+
+    for (const [i, embed] of embeds.entries()) {
+        const urls = [embed.url, embed.imageUrl, embed.thumbnailUrl, embed.author?.iconUrl, embed.footer?.iconUrl];
+        for (const url of urls) {
+            if (url && url.startsWith('attachment://') && !names.includes(url.slice('attachment://'.length))) {
+                throw badRequest(`Embed ${i + 1} references ${url}, which is not attached`);
+            }
+        }
+    }
+}
+
+// Discord file payloads for uploaded files
+function toDiscordFiles(files) {
+    return files.map(file => new AttachmentBuilder(file.buffer, { name: file.originalname }));
+}
+
+// Send a message to a channel and store it in the message history
+// `sentFrom` is 'web' for the dashboard and API, 'discord' for the slash commands
+// `approvedBy` is set when the send went through review
+async function sendAndStoreMessage({ channelId, content, embeds, files = [], approvedBy = null, groupId = null }, sentBy, sentFrom = 'web') {
+    const channel = client.channels.cache.get(channelId);
+    if (!channel) {
+        const error = new Error('Channel not found');
+        error.status = 404;
+        throw error;
+    }
+
+    checkAttachmentNames(embeds, files.map(file => file.originalname));
+
+    embeds = resolveEmbedTimestamps(embeds);
+    const message = await channel.send({
+        ...buildMessagePayload({ content, embeds }),
+        files: toDiscordFiles(files)
+    });
+
+    // Store message info
+    const messageData = {
+        id: message.id,
+        channelId: channel.id,
+        channelName: channel.name,
+        guildId: channel.guild.id,
+        guildName: channel.guild.name,
+        content,
+        embeds,
+        attachments: describeAttachments(message),
+        timestamp: new Date().toISOString(),
+        sentBy,
+        sentFrom
+    };
+    if (approvedBy) messageData.approvedBy = approvedBy;
+    if (groupId) messageData.groupId = groupId;
+    messageData.revisions = [createRevision(messageData, 1, messageData.timestamp, sentBy, null, sentFrom)];
+
+    await messageStore.insert(messageData);
+    publishEvent('message_created', messageEvent(messageData, sentBy));
+
+    const details = approvedBy ? { from: sentFrom, approvedBy } : { from: sentFrom };
+    if (groupId) details.groupId = groupId;
+    await recordAudit('message_send', sentBy, {
+        messageId: messageData.id,
+        channelId: messageData.channelId,
+        channelName: messageData.channelName,
+        guildId: messageData.guildId,
+        guildName: messageData.guildName,
+        after: { content, embeds, attachments: messageData.attachments.map(a => a.name) },
+        details
+    });
+
+    return messageData;
+}
+
+// Most channels one cross-post can go to
+const CROSS_POST_LIMIT = 25;
+
+// Send one message to several channels as a linked group - every copy is stored with the same groupId
+// Channels in review mode get an approval request that joins the group once approved
+// A channel that fails does not stop the others, so the result is reported per channel
+async function crossPostMessage(req, channels, { content, embeds }) {
+    const groupId = crypto.randomUUID();
+    const results = [];
+
+    // One at a time - discord.js queues the requests within Discord's rate limits
+    for (const channel of channels) {
+        const result = {
+            channelId: channel.id,
+            channelName: channel.name,
+            guildId: channel.guild.id,
+            guildName: channel.guild.name
+        };
+        try {
+            if (await requiresApproval(channel.id)) {
+                const approval = await requestApproval(requestIdentity(req), channel, { content, embeds, files: req.files, groupId });
+                Object.assign(result, { success: true, pendingApproval: true, approvalId: approval.id });
+            } else {
+                const messageData = await sendAndStoreMessage(
+                    { channelId: channel.id, content, embeds, files: req.files, groupId },
+                    req.user.username,
+                    requestSource(req)
+                );
+                Object.assign(result, { success: true, messageId: messageData.id });
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error(`Error cross-posting to channel ${channel.id}:`, error);
+            }
+            Object.assign(result, { success: false, error: error.status ? error.message : 'Failed to send message' });
+        }
+        results.push(result);
+    }
+
+    return { groupId, results };
+}
+
+// API endpoint to send a message
+// Body: { channelId, content, embeds: [...] } - the older { content, useEmbed, title, color, embed } still works
+// Send { channelIds: [...] } instead of channelId to cross-post to several channels, in any server
+// Send multipart/form-data with the body in "payload_json" to attach "files"
+app.post('/api/send-message', requirePermission('messages:send'), parseAttachments, async (req, res) => {
+    try {
+        let { channelId, channelIds } = req.body;
+
+        if (channelIds !== undefined) {
+            if (!Array.isArray(channelIds) || channelIds.length === 0 || channelIds.some(id => typeof id !== 'string' || !id)) {
+                return res.status(400).json({ error: 'channelIds must be a list of channel ids' });
+            }
+            channelIds = [...new Set(channelIds)];
+            if (channelIds.length > CROSS_POST_LIMIT) {
+                return res.status(400).json({ error: `A message can be cross-posted to at most ${CROSS_POST_LIMIT} channels` });
+            }
+            // A single channel is an ordinary send
+            if (channelIds.length === 1) {
+                channelId = channelIds[0];
+            }
+        }
+
+        if (!channelId && !channelIds) {
+            return res.status(400).json({ error: 'Channel ID is required' });
+        }
+
+        const { content, embeds } = normalizeMessageParts({ ...req.body, allowEmpty: req.files.length > 0 });
+
+        // Cross-post - every channel is checked before anything is sent, then each copy reports its own outcome
+        if (!channelId) {
+            const channels = [];
+            for (const id of channelIds) {
+                const channel = client.channels.cache.get(id);
+                if (!channel) {
+                    return res.status(404).json({ error: `Channel ${id} not found` });
+                }
+                if (!canAccessChannel(req.user, channel.guild.id, channel.id)) {
+                    return res.status(403).json({ error: `You do not have access to #${channel.name}` });
+                }
+                channels.push(channel);
+            }
+            checkAttachmentNames(embeds, req.files.map(file => file.originalname));
+
+            const { groupId, results } = await crossPostMessage(req, channels, { content, embeds });
+            if (results.some(result => result.success)) {
+                await removeSentDraft(req.body.draftId, req.user);
+            }
+
+            return res.json({
+                success: results.every(result => result.success),
+                groupId,
+                sent: results.filter(result => result.messageId).length,
+                pendingApproval: results.filter(result => result.pendingApproval).length,
+                failed: results.filter(result => !result.success).length,
+                results
+            });
+        }
+
+        const channel = client.channels.cache.get(channelId);
+        if (channel && !canAccessChannel(req.user, channel.guild.id, channel.id)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        // Channels in review mode get an approval request instead - 202 with { pendingApproval: true, approval }
+        if (channel && await requiresApproval(channel.id)) {
+            checkAttachmentNames(embeds, req.files.map(file => file.originalname));
+            const approval = await requestApproval(requestIdentity(req), channel, { content, embeds, files: req.files });
+            await removeSentDraft(req.body.draftId, req.user);
+            return res.status(202).json({ success: true, pendingApproval: true, approval });
+        }
+
+        const messageData = await sendAndStoreMessage({ channelId, content, embeds, files: req.files }, req.user.username, requestSource(req));
+        await removeSentDraft(req.body.draftId, req.user);
+
+        res.json({ success: true, messageId: messageData.id, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error sending message:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// Page size of the message history
+const MESSAGE_PAGE_LIMITS = { default: 50, max: 200 };
+
+// Build the store filter for the history from the query string and the user's channel access - every filter is optional
+// type is "embed" (at least one embed) or "plain"; from/to are ISO dates; q is searched as separate words
+function messageQuery({ guildId, channelId, sentBy, from, to, type, q }, user) {
+    if ([guildId, channelId, sentBy, from, to, type, q].some(value => value !== undefined && typeof value !== 'string')) {
+        throw badRequest('Each filter can be given once');
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        throw badRequest('from and to must be dates');
+    }
+    if (type && type !== 'embed' && type !== 'plain') {
+        throw badRequest('type must be "embed" or "plain"');
+    }
+
+    // Same rules as canAccessChannel, as lists the store can match on
+    const allowedGuildIds = user.allowedGuildIds || [];
+    const allowedChannelIds = user.allowedChannelIds || [];
+    const restricted = user.role !== 'admin' && (allowedGuildIds.length > 0 || allowedChannelIds.length > 0);
+    const tokenChannelIds = user.token ? user.token.channelIds : [];
+
+    return {
+        deleted: false, // deleted messages are listed by /api/trash
+        guildId: guildId || undefined,
+        channelId: channelId || undefined,
+        sentBy: sentBy || undefined,
+        from: fromDate ? fromDate.toISOString() : undefined,
+        to: toDate ? toDate.toISOString() : undefined,
+        embeds: type ? type === 'embed' : undefined,
+        words: q ? q.toLowerCase().split(/\s+/).filter(Boolean) : undefined,
+        allowedGuildIds: restricted ? allowedGuildIds : undefined,
+        allowedChannelIds: restricted ? allowedChannelIds : undefined,
+        onlyChannelIds: tokenChannelIds.length > 0 ? tokenChannelIds : undefined
+    };
+}
+
+// API endpoint to list sent messages, newest first, a page at a time
+// Query: guildId, channelId, sentBy, from, to, type, q (search), offset, limit - answers { total, offset, limit, messages }
+app.get('/api/messages', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const filter = messageQuery(req.query, req.user);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_LIMITS.default, 1), MESSAGE_PAGE_LIMITS.max);
+
+        const { total, messages } = await messageStore.query(filter, { offset, limit });
+
+        res.json({ total, offset, limit, messages });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+});
+
+// Snapshot of a message's editable state, kept in its revision history
+function createRevision(message, revision, editedAt, editedBy, restoredFrom = null, editedFrom = null) {
+    const { content, embeds } = getMessageParts(message);
+    return {
+        revision,
+        content,
+        embeds,
+        editedAt,
+        editedBy: editedBy || null,
+        editedFrom,
+        restoredFrom
+    };
+}
+
+// Revision history of a stored message - messages stored before revisions existed get one from their current state
+function getRevisions(message) {
+    if (message.revisions && message.revisions.length > 0) {
+        return message.revisions.map(revision => ({ ...revision, ...getMessageParts(revision) }));
+    }
+    return [createRevision(message, 1, message.lastEdited || message.timestamp, message.lastEditedBy || message.sentBy)];
+}
+
+// Edit a stored message on Discord and record the change as a new revision
+// Content and embeds are replaced as given, so pass the current value of a part to keep it
+// Attachments listed in keepAttachments (all when it is not given) are kept and uploaded files are added
+async function editStoredMessage(messageId, { content, embeds, keepAttachments, files = [] }, user, restoredFrom = null, editedFrom = 'web') {
+    // Find message in storage
+    const storedMessage = await messageStore.get(messageId);
+    
+    if (!storedMessage || storedMessage.deletedAt) {
+        const error = new Error('Message not found in storage');
+        error.status = 404;
+        throw error;
+    }
+
+    if (!canAccessChannel(user, storedMessage.guildId, storedMessage.channelId)) {
+        const error = new Error('You do not have access to this channel');
+        error.status = 403;
+        throw error;
+    }
+    
+    // Get the Discord channel and message - if either is gone, record the drift and tell the user why
+    const { checked, discordMessage } = await checkMessageOnDiscord(storedMessage);
+    if (checked.discordStatus !== 'ok') {
+        await messageStore.update(checked);
+        publishEvent('message_updated', messageEvent(checked, null));
+        const error = new Error(checked.discordStatus === 'deleted'
+            ? 'This message was deleted on Discord'
+            : 'The channel of this message no longer exists or the bot lost access to it');
+        error.status = 410;
+        throw error;
+    }
+
+    const storedAttachments = storedMessage.attachments || [];
+    const keepIds = keepAttachments || storedAttachments.map(attachment => attachment.id);
+    const unknownId = keepIds.find(id => !storedAttachments.some(attachment => attachment.id === id));
+    if (unknownId) {
+        throw badRequest(`Attachment ${unknownId} is not on this message`);
+    }
+    const keptAttachments = storedAttachments.filter(attachment => keepIds.includes(attachment.id));
+    if (keptAttachments.length + files.length > ATTACHMENT_LIMITS.files) {
+        throw badRequest(`A message can have at most ${ATTACHMENT_LIMITS.files} attachments`);
+    }
+    checkAttachmentNames(embeds, [...keptAttachments.map(attachment => attachment.name), ...files.map(file => file.originalname)]);
+
+    // Edit the message - attachments are only sent when they change, so Discord keeps them otherwise
+    const before = getMessageParts(storedMessage);
+    embeds = resolveEmbedTimestamps(embeds, before.embeds);
+    const payload = buildMessagePayload({ content, embeds });
+    if (keepAttachments || files.length > 0) {
+        payload.attachments = keptAttachments.map(attachment => ({ id: attachment.id }));
+        payload.files = toDiscordFiles(files);
+    }
+    const editedMessage = await discordMessage.edit(payload);
+
+    // Update stored message - older single-embed records are moved to the content + embeds shape here
+    const editedAt = new Date().toISOString();
+    const revisions = getRevisions(storedMessage);
+    const { title, color, embed, isEmbed, ...rest } = checked;
+    const updatedMessage = {
+        ...rest,
+        content,
+        embeds,
+        attachments: describeAttachments(editedMessage),
+        lastEdited: editedAt,
+        lastEditedBy: user.username,
+        lastEditedFrom: editedFrom
+    };
+    updatedMessage.revisions = [
+        ...revisions,
+        createRevision(updatedMessage, revisions[revisions.length - 1].revision + 1, editedAt, user.username, restoredFrom, editedFrom)
+    ];
+
+    await messageStore.update(updatedMessage);
+    publishEvent('message_updated', messageEvent(updatedMessage, user.username));
+
+    const details = restoredFrom ? { restoredFrom, from: editedFrom } : { from: editedFrom };
+    if (storedMessage.groupId) details.groupId = storedMessage.groupId;
+    await recordAudit('message_edit', user.username, {
+        messageId,
+        channelId: storedMessage.channelId,
+        channelName: storedMessage.channelName,
+        guildId: storedMessage.guildId,
+        guildName: storedMessage.guildName,
+        before: { ...before, attachments: storedAttachments.map(a => a.name) },
+        after: { content, embeds, attachments: updatedMessage.attachments.map(a => a.name) },
+        details
+    });
+
+    return updatedMessage;
+}
+
+// API endpoint to edit a message
+// Body: { content, embeds: [...], keepAttachments: [attachment ids] } - the older { content, title, color, embed } still works
+// Send multipart/form-data with the body in "payload_json" to attach new "files"; keepAttachments: [] drops all old ones
+app.put('/api/edit-message/:messageId', requirePermission('messages:edit'), parseAttachments, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { keepAttachments } = req.body;
+
+        if (keepAttachments !== undefined && !Array.isArray(keepAttachments)) {
+            return res.status(400).json({ error: 'keepAttachments must be a list of attachment ids' });
+        }
+
+        const storedMessage = await messageStore.get(messageId);
+        const remainingAttachments = (keepAttachments || (storedMessage && storedMessage.attachments) || []).length + req.files.length;
+
+        let parts;
+        if (Array.isArray(req.body.embeds)) {
+            parts = normalizeMessageParts({ ...req.body, allowEmpty: remainingAttachments > 0 });
+        } else {
+            // Older clients: a message stays (or becomes) a single embed once it has a title or color
+            const wasEmbed = !!storedMessage && getMessageParts(storedMessage).embeds.length > 0;
+            const { title, color, embed } = req.body;
+            parts = normalizeMessageParts({
+                ...req.body,
+                useEmbed: wasEmbed || !!(title || color || embed),
+                allowEmpty: remainingAttachments > 0
+            });
+        }
+
+        const messageData = await editStoredMessage(messageId, { ...parts, keepAttachments, files: req.files }, req.user, null, requestSource(req));
+
+        res.json({ success: true, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error editing message:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+// Copies of a cross-posted message that the staff member can see, oldest first
+async function groupMessages(groupId, user) {
+    const copies = (await messageStore.all())
+        .filter(message => message.groupId === groupId && !message.deletedAt)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (copies.length === 0) {
+        const error = new Error('Message group not found');
+        error.status = 404;
+        throw error;
+    }
+    return {
+        copies: copies.filter(message => canAccessChannel(user, message.guildId, message.channelId)),
+        hidden: copies.filter(message => !canAccessChannel(user, message.guildId, message.channelId)).length
+    };
+}
+
+// API endpoint to list the copies of a cross-posted message
+// Copies in channels the staff member cannot use are only counted
+app.get('/api/message-groups/:groupId', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const { copies, hidden } = await groupMessages(req.params.groupId, req.user);
+        res.json({ groupId: req.params.groupId, messages: copies, hidden });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error fetching message group:', error);
+        res.status(500).json({ error: 'Failed to fetch message group' });
+    }
+});
+
+// API endpoint to edit every copy of a cross-posted message at once
+// Body: { content, embeds: [...] } - attachments stay as they are on each copy, change them per copy with edit-message
+// Copies in channels the staff member cannot use are left alone and counted as skipped
+app.put('/api/message-groups/:groupId', requirePermission('messages:edit'), async (req, res) => {
+    try {
+        const { copies, hidden } = await groupMessages(req.params.groupId, req.user);
+        if (copies.length === 0) {
+            return res.status(403).json({ error: 'You do not have access to any channel of this message' });
+        }
+
+        const parts = normalizeMessageParts({
+            ...req.body,
+            allowEmpty: copies.every(message => (message.attachments || []).length > 0)
+        });
+
+        // One at a time - discord.js queues the requests within Discord's rate limits
+        const results = [];
+        for (const message of copies) {
+            const result = {
+                messageId: message.id,
+                channelId: message.channelId,
+                channelName: message.channelName,
+                guildId: message.guildId,
+                guildName: message.guildName
+            };
+            try {
+                await editStoredMessage(message.id, parts, req.user, null, requestSource(req));
+                result.success = true;
+            } catch (error) {
+                if (!error.status) {
+                    console.error(`Error editing message ${message.id}:`, error);
+                }
+                Object.assign(result, { success: false, error: error.status ? error.message : 'Failed to edit message' });
+            }
+            results.push(result);
+        }
+
+        res.json({
+            success: results.every(result => result.success),
+            edited: results.filter(result => result.success).length,
+            skipped: hidden,
+            results
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error editing message group:', error);
+        res.status(500).json({ error: 'Failed to edit message group' });
+    }
+});
+
+// API endpoint to list the revisions of a message
+app.get('/api/messages/:messageId/revisions', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const message = await messageStore.get(req.params.messageId);
+
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        if (!canAccessChannel(req.user, message.guildId, message.channelId)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        res.json(getRevisions(message));
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+// Line diff of two texts in the shape the dashboard renders
+function diffText(before, after) {
+    return diffLines(before || '', after || '').map(part => ({
+        value: part.value,
+        added: !!part.added,
+        removed: !!part.removed
+    }));
+}
+
+// API endpoint to diff two revisions of a message (?from=1&to=3, defaults to previous vs. latest)
+// Content and embed descriptions are diffed line by line; other embed settings as before/after
+app.get('/api/messages/:messageId/diff', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const message = await messageStore.get(req.params.messageId);
+
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        if (!canAccessChannel(req.user, message.guildId, message.channelId)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        const revisions = getRevisions(message);
+        const latest = revisions[revisions.length - 1].revision;
+        const toNumber = parseInt(req.query.to, 10) || latest;
+        const fromNumber = parseInt(req.query.from, 10) || Math.max(toNumber - 1, 1);
+        const from = revisions.find(r => r.revision === fromNumber);
+        const to = revisions.find(r => r.revision === toNumber);
+
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const embeds = [];
+        for (let i = 0; i < Math.max(from.embeds.length, to.embeds.length); i++) {
+            const { description: beforeDescription, ...beforeOptions } = from.embeds[i] || {};
+            const { description: afterDescription, ...afterOptions } = to.embeds[i] || {};
+            const optionsChanged = JSON.stringify(beforeOptions) !== JSON.stringify(afterOptions);
+
+            embeds.push({
+                index: i,
+                added: !from.embeds[i],
+                removed: !to.embeds[i],
+                description: diffText(beforeDescription, afterDescription),
+                options: optionsChanged ? { before: from.embeds[i] ? beforeOptions : null, after: to.embeds[i] ? afterOptions : null } : null
+            });
+        }
+
+        res.json({
+            from: from.revision,
+            to: to.revision,
+            content: diffText(from.content, to.content),
+            embeds
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+});
+
+// API endpoint to restore a message to an earlier revision (re-edits the Discord message)
+app.post('/api/messages/:messageId/revisions/:revision/restore', requirePermission('messages:edit'), async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const revisionNumber = parseInt(req.params.revision, 10);
+
+        const message = await messageStore.get(messageId);
+
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found in storage' });
+        }
+
+        const revision = getRevisions(message).find(r => r.revision === revisionNumber);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const messageData = await editStoredMessage(messageId, revision, req.user, revision.revision, requestSource(req));
+
+        res.json({ success: true, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+// Convert an embed from the Discord API shape to the stored embed shape
+function fromDiscordEmbed(embed) {
+    const data = typeof embed.toJSON === 'function' ? embed.toJSON() : embed;
+    return {
+        description: data.description || null,
+        title: data.title || null,
+        color: typeof data.color === 'number' ? `#${data.color.toString(16).padStart(6, '0')}` : null,
+        url: data.url || null,
+        author: data.author ? { name: data.author.name, url: data.author.url || null, iconUrl: data.author.icon_url || null } : null,
+        footer: data.footer ? { text: data.footer.text, iconUrl: data.footer.icon_url || null } : null,
+        thumbnailUrl: data.thumbnail ? data.thumbnail.url : null,
+        imageUrl: data.image ? data.image.url : null,
+        timestamp: data.timestamp ? new Date(data.timestamp).toISOString() : null,
+        fields: (data.fields || []).map(field => ({ name: field.name, value: field.value, inline: !!field.inline }))
+    };
+}
+
+// Read a message link (https://discord.com/channels/<guild>/<channel>/<message>) or a bare message id
+function parseMessageReference(link, channelId) {
+    const text = String(link || '').trim();
+    const match = text.match(/^https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)\/?$/);
+    if (match) {
+        return { channelId: match[2], messageId: match[3] };
+    }
+    if (/^\d+$/.test(text)) {
+        if (!channelId) {
+            throw badRequest('Pick the channel of the message, or paste the full message link');
+        }
+        return { channelId, messageId: text };
+    }
+    throw badRequest('Paste a Discord message link or a message id');
+}
+
+// API endpoint to start tracking a bot message the dashboard did not send (or whose history entry was deleted)
+// Body: { link } with a message link, or { link: messageId, channelId }
+app.post('/api/messages/adopt', requirePermission('messages:edit'), async (req, res) => {
+    try {
+        const { channelId, messageId } = parseMessageReference(req.body.link, req.body.channelId);
+
+        const channel = client.channels.cache.get(channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!canAccessChannel(req.user, channel.guild.id, channel.id)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+        const existing = await messageStore.get(messageId);
+        if (existing) {
+            return res.status(409).json({
+                error: existing.deletedAt
+                    ? 'This message is in the trash - restore it from there'
+                    : 'This message is already in the message history'
+            });
+        }
+
+        let discordMessage;
+        try {
+            discordMessage = await channel.messages.fetch(messageId);
+        } catch (error) {
+            if (error.code === DISCORD_UNKNOWN_MESSAGE) {
+                return res.status(404).json({ error: 'Discord message not found' });
+            }
+            throw error;
+        }
+
+        // Discord only lets the bot edit its own messages
+        if (discordMessage.author.id !== client.user.id) {
+            return res.status(400).json({ error: 'That message was not sent by the bot, so it cannot be managed here' });
+        }
+
+        // Link previews and other generated embeds are not part of what the bot sent
+        const embeds = discordMessage.embeds
+            .filter(embed => (embed.data ? embed.data.type : embed.type) === 'rich')
+            .map(fromDiscordEmbed);
+
+        let parts;
+        try {
+            parts = normalizeMessageParts({ content: discordMessage.content, embeds, allowEmpty: true });
+        } catch (error) {
+            return res.status(400).json({ error: `This message cannot be edited from the dashboard: ${error.message}` });
+        }
+
+        const sentAt = discordMessage.createdAt.toISOString();
+        const messageData = {
+            id: discordMessage.id,
+            channelId: channel.id,
+            channelName: channel.name,
+            guildId: channel.guild.id,
+            guildName: channel.guild.name,
+            content: parts.content,
+            embeds: parts.embeds,
+            attachments: describeAttachments(discordMessage),
+            timestamp: sentAt,
+            sentBy: null,
+            adoptedBy: req.user.username,
+            adoptedAt: new Date().toISOString()
+        };
+        if (discordMessage.editedAt) {
+            messageData.lastEdited = discordMessage.editedAt.toISOString();
+        }
+        messageData.revisions = [createRevision(messageData, 1, messageData.lastEdited || sentAt, null)];
+
+        await messageStore.insert(messageData);
+        publishEvent('message_created', messageEvent(messageData, req.user.username));
+        await recordAudit('message_adopt', req.user.username, {
+            messageId: messageData.id,
+            channelId: messageData.channelId,
+            channelName: messageData.channelName,
+            guildId: messageData.guildId,
+            guildName: messageData.guildName,
+            after: { content: parts.content, embeds: parts.embeds }
+        });
+
+        res.json({ success: true, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error adopting message:', error);
+        res.status(500).json({ error: 'Failed to import message' });
+    }
+});
+
+// Delete a stored message from Discord and move its history entry to the trash
+// With keepOnDiscord the Discord post stays up and only the history entry is trashed
+async function deleteStoredMessage(messageId, user, { keepOnDiscord = false } = {}) {
+    const storedMessage = await messageStore.get(messageId);
+
+    if (!storedMessage || storedMessage.deletedAt) {
+        const error = new Error('Message not found');
+        error.status = 404;
+        throw error;
+    }
+
+    if (!canAccessChannel(user, storedMessage.guildId, storedMessage.channelId)) {
+        const error = new Error('You do not have access to this channel');
+        error.status = 403;
+        throw error;
+    }
+
+    let removedFromDiscord = false;
+    if (!keepOnDiscord) {
+        const channel = client.channels.cache.get(storedMessage.channelId);
+        if (channel) {
+            try {
+                const discordMessage = await channel.messages.fetch(messageId);
+                await discordMessage.delete();
+            } catch (error) {
+                // Already deleted on Discord counts as deleted
+                if (error.code !== DISCORD_UNKNOWN_MESSAGE) throw error;
+            }
+            removedFromDiscord = true;
+        }
+    }
+
+    const updatedMessage = {
+        ...storedMessage,
+        deletedAt: new Date().toISOString(),
+        deletedBy: user.username,
+        removedFromDiscord
+    };
+    await messageStore.update(updatedMessage);
+    publishEvent('message_deleted', { ...messageEvent(updatedMessage, user.username), removedFromDiscord });
+
+    await recordAudit('message_delete', user.username, {
+        messageId,
+        channelId: storedMessage.channelId,
+        channelName: storedMessage.channelName,
+        guildId: storedMessage.guildId,
+        guildName: storedMessage.guildName,
+        before: getMessageParts(storedMessage),
+        details: { removedFromDiscord }
+    });
+
+    return updatedMessage;
+}
+
+// API endpoint to delete a message from Discord and move it to the trash (?keepOnDiscord=true only trashes the history entry)
+app.delete('/api/delete-message/:messageId', requirePermission('messages:delete'), async (req, res) => {
+    try {
+        const messageData = await deleteStoredMessage(req.params.messageId, req.user, {
+            keepOnDiscord: req.query.keepOnDiscord === 'true'
+        });
+        res.json({ success: true, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// API endpoint to delete several messages at once
+// Body: { messageIds: [...], keepOnDiscord } - each message succeeds or fails on its own
+app.post('/api/messages/bulk-delete', requirePermission('messages:delete'), async (req, res) => {
+    try {
+        const { messageIds, keepOnDiscord } = req.body;
+
+        if (!Array.isArray(messageIds) || messageIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one message' });
+        }
+        if (messageIds.length > 100) {
+            return res.status(400).json({ error: 'At most 100 messages can be deleted at once' });
+        }
+
+        // One at a time - discord.js queues the requests within Discord's rate limits
+        const results = [];
+        for (const messageId of [...new Set(messageIds)]) {
+            try {
+                await deleteStoredMessage(String(messageId), req.user, { keepOnDiscord: !!keepOnDiscord });
+                results.push({ messageId, success: true });
+            } catch (error) {
+                if (!error.status) {
+                    console.error(`Error deleting message ${messageId}:`, error);
+                }
+                results.push({ messageId, success: false, error: error.status ? error.message : 'Failed to delete message' });
+            }
+        }
+
+        res.json({
+            success: results.every(result => result.success),
+            deleted: results.filter(result => result.success).length,
+            results
+        });
+    } catch (error) {
+        console.error('Error bulk deleting messages:', error);
+        res.status(500).json({ error: 'Failed to delete messages' });
+    }
+});
+
+// API endpoint to list the trash (deleted messages, newest deletion first)
+app.get('/api/trash', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const messages = (await messageStore.all())
+            .filter(message => message.deletedAt && canAccessChannel(req.user, message.guildId, message.channelId))
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        res.json(messages);
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// Find a trashed message the user may manage, or throw a status error
+async function getTrashedMessage(messageId, user) {
+    const storedMessage = await messageStore.get(messageId);
+
+    if (!storedMessage || !storedMessage.deletedAt) {
+        const error = new Error('Message not found in trash');
+        error.status = 404;
+        throw error;
+    }
+    if (!canAccessChannel(user, storedMessage.guildId, storedMessage.channelId)) {
+        const error = new Error('You do not have access to this channel');
+        error.status = 403;
+        throw error;
+    }
+    return storedMessage;
+}
+
+// API endpoint to move a message back from the trash - only possible while it is still on Discord
+app.post('/api/trash/:messageId/restore', requirePermission('messages:delete'), async (req, res) => {
+    try {
+        const storedMessage = await getTrashedMessage(req.params.messageId, req.user);
+
+        if (storedMessage.removedFromDiscord) {
+            return res.status(400).json({ error: 'This message was deleted from Discord and cannot be restored' });
+        }
+
+        const { deletedAt, deletedBy, removedFromDiscord, ...messageData } = storedMessage;
+        await messageStore.update(messageData);
+        publishEvent('message_created', messageEvent(messageData, req.user.username));
+        await recordAudit('message_restore', req.user.username, {
+            messageId: messageData.id,
+            channelId: messageData.channelId,
+            channelName: messageData.channelName,
+            guildId: messageData.guildId,
+            guildName: messageData.guildName
+        });
+
+        res.json({ success: true, messageData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error restoring message:', error);
+        res.status(500).json({ error: 'Failed to restore message' });
+    }
+});
+
+// API endpoint to remove a message from the trash for good
+app.delete('/api/trash/:messageId', requirePermission('messages:delete'), async (req, res) => {
+    try {
+        const storedMessage = await getTrashedMessage(req.params.messageId, req.user);
+
+        await messageStore.remove(storedMessage.id);
+        publishEvent('message_purged', messageEvent(storedMessage, req.user.username));
+        await recordAudit('message_purge', req.user.username, {
+            messageId: storedMessage.id,
+            channelId: storedMessage.channelId,
+            channelName: storedMessage.channelName,
+            guildId: storedMessage.guildId,
+            guildName: storedMessage.guildName,
+            before: getMessageParts(storedMessage)
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error purging message:', error);
+        res.status(500).json({ error: 'Failed to remove message' });
+    }
+});
+
+// How often the drift sync checks stored messages against Discord
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.SYNC_INTERVAL_MINUTES, 10) || 60;
+
+// Check one stored message against Discord
+// Returns the record with discordStatus set - 'ok', 'deleted' (message gone) or 'orphaned' (channel gone or no access) -
+// and the Discord message when it was found. Channel and guild names are refreshed on the way.
+// Discord errors other than the known ones are thrown
+async function checkMessageOnDiscord(storedMessage) {
+    const checked = { ...storedMessage, lastSyncedAt: new Date().toISOString() };
+    const channel = client.channels.cache.get(storedMessage.channelId);
+
+    if (!channel) {
+        return { checked: { ...checked, discordStatus: 'orphaned' }, discordMessage: null };
+    }
+    checked.channelName = channel.name;
+    checked.guildName = channel.guild.name;
+
+    try {
+        const discordMessage = await channel.messages.fetch(storedMessage.id);
+        return { checked: { ...checked, discordStatus: 'ok' }, discordMessage };
+    } catch (error) {
+        if (error.code === DISCORD_UNKNOWN_MESSAGE) {
+            return { checked: { ...checked, discordStatus: 'deleted' }, discordMessage: null };
+        }
+        if (error.code === DISCORD_UNKNOWN_CHANNEL || error.code === DISCORD_MISSING_ACCESS) {
+            return { checked: { ...checked, discordStatus: 'orphaned' }, discordMessage: null };
+        }
+        throw error;
+    }
+}
+
+// Check stored messages against Discord and save what changed
+// Only messages in `messageIds` (all when not given) that the user can access are checked; trashed ones are skipped
+let syncRunning = false;
+async function syncMessages({ messageIds, user } = {}) {
+    if (!client.user) {
+        const error = new Error('Bot not ready');
+        error.status = 503;
+        throw error;
+    }
+    if (syncRunning) {
+        const error = new Error('A sync is already running');
+        error.status = 409;
+        throw error;
+    }
+    syncRunning = true;
+
+    const summary = { checked: 0, ok: 0, deleted: 0, orphaned: 0, renamed: 0, failed: 0 };
+    try {
+        const messages = (await messageStore.all())
+            .filter(message => !message.deletedAt)
+            .filter(message => !messageIds || messageIds.includes(message.id))
+            .filter(message => !user || canAccessChannel(user, message.guildId, message.channelId));
+
+        // One at a time - discord.js queues the fetches within Discord's rate limits
+        for (const message of messages) {
+            let checked;
+            try {
+                ({ checked } = await checkMessageOnDiscord(message));
+            } catch (error) {
+                console.error(`Error syncing message ${message.id}:`, error);
+                summary.failed++;
+                continue;
+            }
+
+            // Re-read the record - it may have been edited or trashed while Discord was asked - and only change what the check owns
+            const current = await messageStore.get(message.id);
+            if (!current || current.deletedAt) {
+                continue;
+            }
+            const { discordStatus, lastSyncedAt, channelName, guildName } = checked;
+            const updated = { ...current, discordStatus, lastSyncedAt, channelName, guildName };
+
+            summary.checked++;
+            summary[discordStatus]++;
+            const renamed = channelName !== current.channelName || guildName !== current.guildName;
+            if (renamed) {
+                summary.renamed++;
+            }
+            await messageStore.update(updated);
+            if (renamed || discordStatus !== (current.discordStatus || 'ok')) {
+                publishEvent('message_updated', messageEvent(updated, null));
+            }
+        }
+    } finally {
+        syncRunning = false;
+    }
+
+    return summary;
+}
+
+// Background drift sync
+async function runScheduledSync() {
+    try {
+        const summary = await syncMessages();
+        if (summary.deleted || summary.orphaned || summary.renamed) {
+            console.log(`🔄 Sync: ${summary.deleted} deleted, ${summary.orphaned} orphaned, ${summary.renamed} renamed of ${summary.checked} messages`);
+        }
+    } catch (error) {
+        if (error.status !== 503 && error.status !== 409) {
+            console.error('Error syncing messages:', error);
+        }
+    }
+}
+
+setInterval(runScheduledSync, SYNC_INTERVAL_MINUTES * 60 * 1000);
+
+// API endpoint to check stored messages against Discord now
+// Body: { messageIds } to check only some messages
+app.post('/api/messages/sync', requirePermission('messages:edit'), async (req, res) => {
+    try {
+        const { messageIds } = req.body;
+
+        if (messageIds !== undefined && !Array.isArray(messageIds)) {
+            return res.status(400).json({ error: 'messageIds must be a list of message ids' });
+        }
+
+        const summary = await syncMessages({ messageIds, user: req.user });
+        await recordAudit('message_sync', req.user.username, { details: summary });
+
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error syncing messages:', error);
+        res.status(500).json({ error: 'Failed to sync messages' });
+    }
+});
+
+// Discord roles allowed to use the slash commands (comma separated ids) - without any, only server administrators can
+const STAFF_ROLE_IDS = (process.env.STAFF_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// How many messages /history lists
+const HISTORY_COMMAND_LIMIT = 10;
+
+// Slash commands for staff to post and edit from inside Discord
+const SLASH_COMMANDS = [
+    new SlashCommandBuilder()
+        .setName('announce')
+        .setDescription('Post a message through the staff bot')
+        .setContexts(InteractionContextType.Guild)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to post in (default: this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+    new SlashCommandBuilder()
+        .setName('edit')
+        .setDescription('Edit a message the staff bot posted')
+        .setContexts(InteractionContextType.Guild)
+        .addStringOption(option => option
+            .setName('message')
+            .setDescription('Message link, or a message id from this channel')
+            .setRequired(true)),
+    new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('List the latest staff bot messages in a channel')
+        .setContexts(InteractionContextType.Guild)
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel to list (default: this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+];
+
+// Register the slash commands globally - Discord keeps them until they are replaced
+async function registerSlashCommands() {
+    try {
+        await client.application.commands.set(SLASH_COMMANDS.map(command => command.toJSON()));
+        console.log(`⌨️  Registered ${SLASH_COMMANDS.length} slash commands`);
+    } catch (error) {
+        console.error('Error registering slash commands:', error);
+    }
+}
+
+// Whether the member running a command holds one of the staff roles
+function isStaffMember(interaction) {
+    if (STAFF_ROLE_IDS.length === 0) {
+        return !!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator);
+    }
+    // Cached members have a role manager, uncached ones only a list of role ids
+    const roles = interaction.member?.roles;
+    const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+    return roleIds.some(id => STAFF_ROLE_IDS.includes(id));
+}
+
+// The same check for a member fetched from the guild
+function isStaffGuildMember(member) {
+    if (STAFF_ROLE_IDS.length === 0) {
+        return member.permissions.has(PermissionFlagsBits.Administrator);
+    }
+    return member.roles.cache.some(role => STAFF_ROLE_IDS.includes(role.id));
+}
+
+// Modal with the content and the first embed's title and description
+function messageModal(customId, title, { content = '', embed } = {}) {
+    const inputs = [
+        new TextInputBuilder()
+            .setCustomId('content')
+            .setLabel('Message')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(EMBED_LIMITS.content)
+            .setRequired(false),
+        new TextInputBuilder()
+            .setCustomId('embedTitle')
+            .setLabel('Embed title')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(EMBED_LIMITS.title)
+            .setRequired(false),
+        new TextInputBuilder()
+            .setCustomId('embedDescription')
+            .setLabel('Embed description')
+            .setStyle(TextInputStyle.Paragraph)
+            // Discord caps modal inputs at 4000 characters
+            .setMaxLength(Math.min(EMBED_LIMITS.description, 4000))
+            .setRequired(false)
+    ];
+    const values = [content, embed?.title, embed?.description];
+    inputs.forEach((input, i) => values[i] && input.setValue(values[i]));
+
+    return new ModalBuilder()
+        .setCustomId(customId)
+        .setTitle(title.slice(0, 45))
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+// Put the modal's title and description into the first embed and keep everything else about the embeds
+// Clearing both removes the first embed unless it still has fields, images, an author or a footer
+function embedsFromModal(embeds, title, description) {
+    const [first = {}, ...others] = embeds;
+    const embed = { ...first, title, description };
+    const hasMore = (embed.fields || []).length > 0 || embed.imageUrl || embed.thumbnailUrl || embed.author?.name || embed.footer?.text;
+    if (!title && !description && !hasMore) {
+        return others;
+    }
+    return [embed, ...others];
+}
+
+// Look up a stored message for /edit - it has to be in the history and in the server the command came from
+async function getCommandMessage(interaction, reference) {
+    const { messageId } = parseMessageReference(reference, interaction.channelId);
+    const storedMessage = await messageStore.get(messageId);
+
+    if (!storedMessage || storedMessage.deletedAt || storedMessage.guildId !== interaction.guildId) {
+        const error = new Error('That message is not in the staff bot history - import it from the dashboard first');
+        error.status = 404;
+        throw error;
+    }
+    return storedMessage;
+}
+
+// The channel a command works on - the channel option or the channel it was run in
+function commandChannel(interaction) {
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    if (!channel || !channel.isTextBased()) {
+        throw badRequest('Pick a text channel');
+    }
+    return channel;
+}
+
+// Short summary of a stored message for /history
+function historyLine(message) {
+    const { content, embeds } = getMessageParts(message);
+    const text = (content || embeds[0]?.title || embeds[0]?.description || 'Attachments only').replace(/\s+/g, ' ');
+    const preview = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    const sentAt = Math.floor(new Date(message.timestamp).getTime() / 1000);
+    const by = message.sentBy || message.adoptedBy || 'unknown';
+    const from = message.sentFrom === 'discord' ? ' from Discord' : '';
+    const edited = message.lastEdited ? ` (edited by ${message.lastEditedBy || 'unknown'})` : '';
+    const link = `https://discord.com/channels/${message.guildId}/${message.channelId}/${message.id}`;
+    return `- [${preview}](${link}) - <t:${sentAt}:R> by ${by}${from}${edited}`;
+}
+
+// Run a slash command
+async function handleSlashCommand(interaction) {
+    if (interaction.commandName === 'announce') {
+        const channel = commandChannel(interaction);
+        await interaction.showModal(messageModal(`announce:${channel.id}`, `Post in #${channel.name}`));
+    } else if (interaction.commandName === 'edit') {
+        const storedMessage = await getCommandMessage(interaction, interaction.options.getString('message'));
+        const { content, embeds } = getMessageParts(storedMessage);
+        if ((embeds[0]?.description || '').length > 4000) {
+            throw badRequest('This embed is too long to edit from Discord - use the dashboard');
+        }
+        await interaction.showModal(messageModal(`edit:${storedMessage.id}`, `Edit message in #${storedMessage.channelName}`, { content, embed: embeds[0] }));
+    } else if (interaction.commandName === 'history') {
+        const channel = commandChannel(interaction);
+        const channelMessages = (await messageStore.all())
+            .filter(message => message.channelId === channel.id && !message.deletedAt)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, HISTORY_COMMAND_LIMIT);
+
+        await interaction.reply({
+            content: channelMessages.length > 0
+                ? `**Latest staff bot messages in #${channel.name}**\n${channelMessages.map(historyLine).join('\n')}`
+                : `No staff bot messages in #${channel.name} yet`,
+            flags: MessageFlags.Ephemeral
+        });
+    }
+}
+
+// Send or edit the message from a submitted /announce or /edit modal
+async function handleCommandModal(interaction) {
+    const [action, id] = interaction.customId.split(':');
+    const title = interaction.fields.getTextInputValue('embedTitle').trim();
+    const description = interaction.fields.getTextInputValue('embedDescription').trim();
+    const content = interaction.fields.getTextInputValue('content');
+    const actor = { username: interaction.user.username };
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    if (action === 'announce') {
+        const parts = normalizeMessageParts({ content, embeds: embedsFromModal([], title, description) });
+        const channel = client.channels.cache.get(id);
+        // Review channels take the announcement as an approval request, like the dashboard does
+        if (channel && await requiresApproval(channel.id)) {
+            await requestApproval({ username: actor.username, from: 'discord', sourceId: interaction.user.id }, channel, parts);
+            await interaction.editReply(`<#${channel.id}> is in review mode - your announcement is waiting for approval on the dashboard`);
+            return;
+        }
+        const messageData = await sendAndStoreMessage({ channelId: id, ...parts }, actor.username, 'discord');
+        await interaction.editReply(`Posted in <#${messageData.channelId}>: https://discord.com/channels/${messageData.guildId}/${messageData.channelId}/${messageData.id}`);
+    } else if (action === 'edit') {
+        const storedMessage = await getCommandMessage(interaction, id);
+        const parts = normalizeMessageParts({ content, embeds: embedsFromModal(getMessageParts(storedMessage).embeds, title, description) });
+        await editStoredMessage(storedMessage.id, parts, actor, null, 'discord');
+        await interaction.editReply(`Edited https://discord.com/channels/${storedMessage.guildId}/${storedMessage.channelId}/${storedMessage.id}`);
+    }
+}
+
+// Slash commands and their modals - only staff roles may use them, errors go back to the member privately
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.inGuild() || !(interaction.isChatInputCommand() || interaction.isModalSubmit())) return;
+
+    try {
+        if (!isStaffMember(interaction)) {
+            const error = new Error('Only staff can use this command');
+            error.status = 403;
+            throw error;
+        }
+
+        if (interaction.isChatInputCommand()) {
+            await handleSlashCommand(interaction);
+        } else {
+            await handleCommandModal(interaction);
+        }
+    } catch (error) {
+        if (!error.status) {
+            console.error(`Error handling Discord ${interaction.commandName || interaction.customId}:`, error);
+        }
+        const message = error.status ? error.message : 'Something went wrong - please try again or use the dashboard';
+        const reply = interaction.deferred || interaction.replied
+            ? interaction.editReply(message)
+            : interaction.reply({ content: message, flags: MessageFlags.Ephemeral });
+        await reply.catch(replyError => console.error('Error replying to interaction:', replyError));
+    }
+});
+
+// Run every scheduled job that is due
+let schedulerRunning = false;
+async function processScheduledMessages() {
+    // Skip if the bot is offline or a previous run is still sending
+    if (!client.user || schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+        const jobs = await loadSchedule();
+        const now = new Date();
+        const runs = [];
+
+        for (const job of jobs) {
+            if (job.status !== 'pending' || new Date(job.sendAt) > now) continue;
+
+            const run = { id: job.id, sendAt: job.sendAt, result: { lastRunAt: now.toISOString() }, next: {} };
+            try {
+                await assertAuthorCanSend(job.createdBy, job.guildId, job.channelId);
+                if (job.tokenId) {
+                    await assertTokenCanSend(job.tokenId, job.channelId);
+                }
+                // A channel put into review mode after the job was queued gets an approval request instead
+                // Jobs created by approving a request were reviewed already
+                const channel = client.channels.cache.get(job.channelId);
+                if (!job.approvedBy && channel && await requiresApproval(channel.id)) {
+                    const approval = await requestApproval({ username: job.createdBy, from: 'schedule' }, channel, getMessageParts(job));
+                    Object.assign(run.result, { lastApprovalId: approval.id, lastError: null, runCount: (job.runCount || 0) + 1 });
+                } else {
+                    const messageData = await sendAndStoreMessage({ channelId: job.channelId, ...getMessageParts(job) }, job.createdBy);
+                    Object.assign(run.result, { lastMessageId: messageData.id, lastApprovalId: null, lastError: null, runCount: (job.runCount || 0) + 1 });
+                }
+            } catch (error) {
+                console.error(`Error sending scheduled message ${job.id}:`, error);
+                run.result.lastError = error.message;
+            }
+
+            // A job handed to review is "submitted" - the approval decides whether it is posted
+            const status = run.result.lastError ? 'failed' : run.result.lastApprovalId ? 'submitted' : 'sent';
+            if (job.recurrence) {
+                run.next.sendAt = nextCronRun(job.recurrence, now).toISOString();
+            } else {
+                run.next.status = status;
+            }
+            runs.push(run);
+
+            publishEvent('scheduled_result', {
+                jobId: job.id,
+                channelId: job.channelId,
+                guildId: job.guildId,
+                channelName: job.channelName,
+                status,
+                messageId: status === 'sent' ? run.result.lastMessageId : null,
+                approvalId: run.result.lastApprovalId || null,
+                error: run.result.lastError,
+                nextSendAt: run.next.sendAt || null
+            });
+        }
+
+        // Reload - jobs may have been added, cancelled or rescheduled while the messages were sent
+        if (runs.length > 0) {
+            const current = await loadSchedule();
+            for (const run of runs) {
+                const job = current.find(j => j.id === run.id);
+                if (!job) continue;
+                Object.assign(job, run.result);
+                // A job cancelled or moved in the meantime keeps the staff member's change
+                if (job.status === 'pending' && job.sendAt === run.sendAt) {
+                    Object.assign(job, run.next);
+                }
+            }
+            await saveSchedule(current);
+        }
+    } catch (error) {
+        console.error('Error processing scheduled messages:', error);
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+// Check the schedule queue every 30 seconds
+setInterval(processScheduledMessages, 30 * 1000);
+
+// Work out the first send time for a job from a date and/or a cron recurrence
+function resolveSendAt(sendAt, recurrence) {
+    if (recurrence) {
+        nextCronRun(recurrence); // validates the expression
+    }
+
+    if (sendAt) {
+        const date = new Date(sendAt);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error('Invalid send time');
+        }
+        if (!recurrence && date <= new Date()) {
+            throw new Error('Send time must be in the future');
+        }
+        return date.toISOString();
+    }
+
+    if (!recurrence) {
+        throw new Error('A send time or recurrence is required');
+    }
+    return nextCronRun(recurrence).toISOString();
+}
+
+// API endpoint to list scheduled messages
+app.get('/api/scheduled', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const jobs = (await loadSchedule()).filter(job => canAccessChannel(req.user, job.guildId, job.channelId));
+        const { status } = req.query;
+        res.json(status ? jobs.filter(job => job.status === status) : jobs);
+    } catch (error) {
+        console.error('Error fetching scheduled messages:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+    }
+});
+
+// API endpoint to schedule a message
+app.post('/api/scheduled', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const { channelId, sendAt, recurrence } = req.body;
+
+        if (req.body.channelIds !== undefined) {
+            return res.status(400).json({ error: 'Cross-posts are sent right away and cannot be scheduled' });
+        }
+        if (!channelId) {
+            return res.status(400).json({ error: 'Channel ID is required' });
+        }
+
+        let parts;
+        try {
+            parts = normalizeMessageParts(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const channel = client.channels.cache.get(channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!canAccessChannel(req.user, channel.guild.id, channel.id)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        // Check the time now, so a bad one is not only found when the request is approved
+        try {
+            resolveSendAt(sendAt, recurrence);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // In review mode the job is only created once the request is approved
+        if (await requiresApproval(channel.id)) {
+            const approval = await requestApproval(requestIdentity(req), channel, { ...parts, schedule: { sendAt: sendAt || null, recurrence: recurrence || null } });
+            await removeSentDraft(req.body.draftId, req.user);
+            return res.status(202).json({ success: true, pendingApproval: true, approval });
+        }
+
+        const job = await addScheduledJob(channel, parts, { sendAt, recurrence }, req.user.username, null, req.user.token ? req.user.token.id : null);
+        await removeSentDraft(req.body.draftId, req.user);
+        res.json({ success: true, job });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error scheduling message:', error);
+        res.status(500).json({ error: 'Failed to schedule message' });
+    }
+});
+
+// Add a job to the schedule queue and audit it
+// tokenId is the API token the job was created through, checked again before each send
+async function addScheduledJob(channel, parts, { sendAt, recurrence }, createdBy, approvedBy = null, tokenId = null) {
+    let firstSendAt;
+    try {
+        firstSendAt = resolveSendAt(sendAt, recurrence);
+    } catch (error) {
+        throw badRequest(error.message);
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        channelId: channel.id,
+        channelName: channel.name,
+        guildId: channel.guild.id,
+        guildName: channel.guild.name,
+        content: parts.content,
+        embeds: parts.embeds,
+        sendAt: firstSendAt,
+        recurrence: recurrence || null,
+        status: 'pending',
+        createdBy,
+        createdAt: new Date().toISOString(),
+        runCount: 0
+    };
+    if (approvedBy) job.approvedBy = approvedBy;
+    if (tokenId) job.tokenId = tokenId;
+
+    const jobs = await loadSchedule();
+    jobs.push(job);
+    await saveSchedule(jobs);
+    await recordAudit('schedule_create', createdBy, {
+        channelId: job.channelId,
+        channelName: job.channelName,
+        guildId: job.guildId,
+        guildName: job.guildName,
+        after: { content: job.content, embeds: job.embeds, sendAt: job.sendAt, recurrence: job.recurrence },
+        details: approvedBy ? { jobId: job.id, approvedBy } : { jobId: job.id }
+    });
+    return job;
+}
+
+// API endpoint to reschedule a pending message
+app.put('/api/scheduled/:jobId', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const { sendAt, recurrence } = req.body;
+
+        const jobs = await loadSchedule();
+        const job = jobs.find(j => j.id === jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        if (job.status !== 'pending') {
+            return res.status(400).json({ error: 'Only pending messages can be rescheduled' });
+        }
+        if (!canAccessChannel(req.user, job.guildId, job.channelId)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        // An explicit null clears the recurrence, undefined keeps the current one
+        const newRecurrence = recurrence === undefined ? job.recurrence : recurrence || null;
+        const before = { sendAt: job.sendAt, recurrence: job.recurrence };
+        try {
+            job.sendAt = resolveSendAt(sendAt, newRecurrence);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        job.recurrence = newRecurrence;
+        job.updatedAt = new Date().toISOString();
+
+        await saveSchedule(jobs);
+        await recordAudit('schedule_update', req.user.username, {
+            channelId: job.channelId,
+            channelName: job.channelName,
+            guildId: job.guildId,
+            guildName: job.guildName,
+            before,
+            after: { sendAt: job.sendAt, recurrence: job.recurrence },
+            details: { jobId }
+        });
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error rescheduling message:', error);
+        res.status(500).json({ error: 'Failed to reschedule message' });
+    }
+});
+
+// API endpoint to cancel a pending message
+app.delete('/api/scheduled/:jobId', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        const jobs = await loadSchedule();
+        const job = jobs.find(j => j.id === jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        if (job.status !== 'pending') {
+            return res.status(400).json({ error: 'Only pending messages can be cancelled' });
+        }
+        if (!canAccessChannel(req.user, job.guildId, job.channelId)) {
+            return res.status(403).json({ error: 'You do not have access to this channel' });
+        }
+
+        job.status = 'cancelled';
+        job.cancelledBy = req.user.username;
+        job.updatedAt = new Date().toISOString();
+
+        await saveSchedule(jobs);
+        await recordAudit('schedule_cancel', req.user.username, {
+            channelId: job.channelId,
+            channelName: job.channelName,
+            guildId: job.guildId,
+            guildName: job.guildName,
+            before: { content: job.content, sendAt: job.sendAt, recurrence: job.recurrence },
+            details: { jobId }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled message' });
+    }
+});
+
+// Keep a request's attachments on disk until it is decided: [{ name, size, contentType, storedName }]
+async function saveApprovalFiles(approvalId, files) {
+    if (files.length === 0) return [];
+
+    const dir = path.join(APPROVAL_FILES_DIR, approvalId);
+    await fs.mkdir(dir, { recursive: true });
+    return Promise.all(files.map(async (file, index) => {
+        const storedName = String(index);
+        await fs.writeFile(path.join(dir, storedName), file.buffer);
+        return { name: file.originalname, size: file.size, contentType: file.mimetype, storedName };
+    }));
+}
+
+// A request's attachments in the shape multer gives sendAndStoreMessage
+async function loadApprovalFiles(approval) {
+    return Promise.all((approval.attachments || []).map(async (attachment) => ({
+        originalname: attachment.name,
+        buffer: await fs.readFile(path.join(APPROVAL_FILES_DIR, approval.id, attachment.storedName))
+    })));
+}
+
+async function removeApprovalFiles(approvalId) {
+    await fs.rm(path.join(APPROVAL_FILES_DIR, approvalId), { recursive: true, force: true });
+}
+
+// Turn a send or schedule into a pending approval request
+// Requests through an API token, from Discord or from a webhook also keep the token, Discord user or webhook id as sourceId
+async function requestApproval({ username, from, sourceId = null }, channel, { content, embeds, files = [], schedule = null, groupId = null }) {
+    const approval = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        channelId: channel.id,
+        channelName: channel.name,
+        guildId: channel.guild.id,
+        guildName: channel.guild.name,
+        content,
+        embeds,
+        attachments: [],
+        schedule,
+        groupId,
+        requestedBy: username,
+        requestedFrom: from,
+        ...(sourceId ? { requestedById: sourceId } : {}),
+        requestedAt: new Date().toISOString()
+    };
+    approval.attachments = await saveApprovalFiles(approval.id, files);
+
+    const approvals = await loadApprovals();
+    approvals.push(approval);
+    await saveApprovals(approvals);
+
+    await recordAudit('approval_request', approval.requestedBy, {
+        channelId: approval.channelId,
+        channelName: approval.channelName,
+        guildId: approval.guildId,
+        guildName: approval.guildName,
+        after: { content, embeds, attachments: approval.attachments.map(a => a.name), schedule },
+        details: groupId ? { approvalId: approval.id, from: approval.requestedFrom, groupId } : { approvalId: approval.id, from: approval.requestedFrom }
+    });
+    publishApproval(approval, approval.requestedBy);
+    return approval;
+}
+
+// Requests from /announce and inbound webhooks name a Discord user or a webhook in requestedBy, not a staff account
+// Those names can match a staff username, so authorship always goes by requestedFrom as well
+function isStaffRequest(approval) {
+    return approval.requestedFrom !== 'discord' && approval.requestedFrom !== 'webhook';
+}
+
+// Check, when a request from Discord or a webhook is approved, that its source may still post there - the member
+// still holds a staff role in the server, or the webhook still exists, is enabled and posts to the channel
+async function assertSourceCanSend(approval, channel) {
+    let reason = null;
+    if (!approval.requestedById) {
+        reason = 'This request does not say which Discord member or webhook sent it - it has to be sent again';
+    } else if (approval.requestedFrom === 'webhook') {
+        const webhook = (await loadWebhooks()).find(w => w.id === approval.requestedById);
+        reason = !webhook
+            ? `The webhook ${approval.requestedBy} no longer exists`
+            : !webhook.enabled
+                ? `The webhook ${approval.requestedBy} is disabled`
+                : webhook.channelId !== approval.channelId
+                    ? `The webhook ${approval.requestedBy} no longer posts to this channel`
+                    : null;
+    } else {
+        const member = await channel.guild.members.fetch(approval.requestedById).catch(() => null);
+        reason = !member
+            ? `${approval.requestedBy} is no longer a member of this server`
+            : !isStaffGuildMember(member)
+                ? `${approval.requestedBy} no longer holds a staff role`
+                : null;
+    }
+    if (reason) {
+        const error = new Error(reason);
+        error.status = 403;
+        throw error;
+    }
+}
+
+// Whether a staff member filed a request themselves
+function isOwnRequest(approval, username) {
+    return isStaffRequest(approval) && approval.requestedBy === username;
+}
+
+// Tell open dashboards about a new or decided request - the author's dashboard shows it as a notification
+function publishApproval(approval, actor) {
+    publishEvent('approval_updated', {
+        approvalId: approval.id,
+        status: approval.status,
+        channelId: approval.channelId,
+        channelName: approval.channelName,
+        guildId: approval.guildId,
+        guildName: approval.guildName,
+        requestedBy: approval.requestedBy,
+        requestedFrom: approval.requestedFrom,
+        reviewedBy: approval.reviewedBy || null,
+        comment: approval.comment || null,
+        actor
+    });
+}
+
+// Find a pending request the staff member may decide on - anyone but its author, with access to the channel
+function findReviewableApproval(approvals, approvalId, user) {
+    const approval = approvals.find(a => a.id === approvalId);
+    if (!approval) {
+        const error = new Error('Approval request not found');
+        error.status = 404;
+        throw error;
+    }
+    if (!canAccessChannel(user, approval.guildId, approval.channelId)) {
+        const error = new Error('You do not have access to this channel');
+        error.status = 403;
+        throw error;
+    }
+    if (approval.status !== 'pending') {
+        throw badRequest(`This request was already ${approval.status}`);
+    }
+    if (isOwnRequest(approval, user.username)) {
+        const error = new Error('A second staff member has to review your own requests');
+        error.status = 403;
+        throw error;
+    }
+    return approval;
+}
+
+// Optional for approvals, required for rejections
+function normalizeReviewComment(comment, required) {
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (required && !text) {
+        throw badRequest('Please say why the request is rejected');
+    }
+    if (text.length > 1000) {
+        throw badRequest('Comments can be at most 1000 characters');
+    }
+    return text || null;
+}
+
+// Requests being approved right now, so two reviewers clicking at once cannot post twice
+const approvalsInProgress = new Set();
+
+// API endpoint to list approval requests - ?status=pending|approved|rejected|withdrawn, newest first
+app.get('/api/approvals', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const approvals = (await loadApprovals())
+            .filter(approval => canAccessChannel(req.user, approval.guildId, approval.channelId))
+            .filter(approval => !status || approval.status === status)
+            .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+        res.json(approvals);
+    } catch (error) {
+        console.error('Error fetching approvals:', error);
+        res.status(500).json({ error: 'Failed to fetch approval requests' });
+    }
+});
+
+// Approve a request: the message is posted (or scheduled) as its author
+app.post('/api/approvals/:approvalId/approve', requirePermission('messages:approve'), requireSession, async (req, res) => {
+    const { approvalId } = req.params;
+    if (approvalsInProgress.has(approvalId)) {
+        return res.status(409).json({ error: 'This request is being approved already' });
+    }
+    approvalsInProgress.add(approvalId);
+
+    try {
+        const comment = normalizeReviewComment(req.body.comment, false);
+        const approval = findReviewableApproval(await loadApprovals(), approvalId, req.user);
+
+        const channel = client.channels.cache.get(approval.channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        // Requests from Discord and webhooks have no staff account behind them - their source is checked instead
+        if (isStaffRequest(approval)) {
+            await assertAuthorCanSend(approval.requestedBy, approval.guildId, approval.channelId);
+            if (approval.requestedFrom === 'api' && approval.requestedById) {
+                await assertTokenCanSend(approval.requestedById, approval.channelId);
+            }
+        } else {
+            await assertSourceCanSend(approval, channel);
+        }
+
+        const parts = { content: approval.content, embeds: approval.embeds };
+        let result;
+        if (approval.schedule) {
+            const tokenId = approval.requestedFrom === 'api' ? approval.requestedById || null : null;
+            result = { job: await addScheduledJob(channel, parts, approval.schedule, approval.requestedBy, req.user.username, tokenId) };
+        } else {
+            const files = await loadApprovalFiles(approval);
+            const messageData = await sendAndStoreMessage(
+                { channelId: approval.channelId, ...parts, files, approvedBy: req.user.username, groupId: approval.groupId || null },
+                approval.requestedBy,
+                approval.requestedFrom
+            );
+            result = { messageId: messageData.id };
+        }
+
+        // Reload - other requests may have changed while the message was sent
+        const approvals = await loadApprovals();
+        const stored = approvals.find(a => a.id === approvalId);
+        Object.assign(stored, {
+            status: 'approved',
+            reviewedBy: req.user.username,
+            reviewedAt: new Date().toISOString(),
+            comment,
+            messageId: result.messageId || null,
+            jobId: result.job ? result.job.id : null
+        });
+        await saveApprovals(approvals);
+        await removeApprovalFiles(approvalId);
+
+        await recordAudit('approval_approve', req.user.username, {
+            messageId: stored.messageId,
+            channelId: stored.channelId,
+            channelName: stored.channelName,
+            guildId: stored.guildId,
+            guildName: stored.guildName,
+            details: { approvalId, requestedBy: stored.requestedBy, comment, jobId: stored.jobId }
+        });
+        publishApproval(stored, req.user.username);
+
+        res.json({ success: true, approval: stored, ...result });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error approving request:', error);
+        res.status(500).json({ error: 'Failed to approve request' });
+    } finally {
+        approvalsInProgress.delete(approvalId);
+    }
+});
+
+// Reject a request with a comment for its author
+app.post('/api/approvals/:approvalId/reject', requirePermission('messages:approve'), requireSession, async (req, res) => {
+    try {
+        const { approvalId } = req.params;
+        if (approvalsInProgress.has(approvalId)) {
+            return res.status(409).json({ error: 'This request is being approved already' });
+        }
+
+        const comment = normalizeReviewComment(req.body.comment, true);
+        const approvals = await loadApprovals();
+        const approval = findReviewableApproval(approvals, approvalId, req.user);
+
+        approval.status = 'rejected';
+        approval.reviewedBy = req.user.username;
+        approval.reviewedAt = new Date().toISOString();
+        approval.comment = comment;
+        await saveApprovals(approvals);
+        await removeApprovalFiles(approvalId);
+
+        await recordAudit('approval_reject', req.user.username, {
+            channelId: approval.channelId,
+            channelName: approval.channelName,
+            guildId: approval.guildId,
+            guildName: approval.guildName,
+            details: { approvalId, requestedBy: approval.requestedBy, comment }
+        });
+        publishApproval(approval, req.user.username);
+
+        res.json({ success: true, approval });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error rejecting request:', error);
+        res.status(500).json({ error: 'Failed to reject request' });
+    }
+});
+
+// The author withdraws a pending request
+app.delete('/api/approvals/:approvalId', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const { approvalId } = req.params;
+        const approvals = await loadApprovals();
+        const approval = approvals.find(a => a.id === approvalId);
+
+        if (!approval || !isOwnRequest(approval, req.user.username)) {
+            return res.status(404).json({ error: 'Approval request not found' });
+        }
+        if (approval.status !== 'pending' || approvalsInProgress.has(approvalId)) {
+            return res.status(400).json({ error: 'Only pending requests can be withdrawn' });
+        }
+
+        approval.status = 'withdrawn';
+        approval.withdrawnAt = new Date().toISOString();
+        await saveApprovals(approvals);
+        await removeApprovalFiles(approvalId);
+
+        await recordAudit('approval_withdraw', req.user.username, {
+            channelId: approval.channelId,
+            channelName: approval.channelName,
+            guildId: approval.guildId,
+            guildName: approval.guildName,
+            details: { approvalId }
+        });
+        publishApproval(approval, req.user.username);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error withdrawing request:', error);
+        res.status(500).json({ error: 'Failed to withdraw request' });
+    }
+});
+
+// Turn review mode on or off for a channel (admins) - body: { required: true|false }
+app.put('/api/channels/:channelId/review', requirePermission('channels:manage'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const required = req.body.required === true;
+
+        const channel = client.channels.cache.get(channelId);
+        if (!channel || !channel.guild) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        const channels = await loadReviewChannels();
+        const wasRequired = channels.some(entry => entry.channelId === channelId);
+        if (required === wasRequired) {
+            return res.json({ success: true, required });
+        }
+
+        const updated = required
+            ? [...channels, { channelId, guildId: channel.guild.id, enabledBy: req.user.username, enabledAt: new Date().toISOString() }]
+            : channels.filter(entry => entry.channelId !== channelId);
+        await saveReviewChannels(updated);
+
+        await recordAudit('review_channel_update', req.user.username, {
+            channelId,
+            channelName: channel.name,
+            guildId: channel.guild.id,
+            guildName: channel.guild.name,
+            before: { required: wasRequired },
+            after: { required }
+        });
+        res.json({ success: true, required });
+    } catch (error) {
+        console.error('Error updating review mode:', error);
+        res.status(500).json({ error: 'Failed to update review mode' });
+    }
+});
+
+// Check the fields of a draft - it may be half written, so only the types and sizes are checked
+function normalizeDraft(body) {
+    const { guildId, channelId, crossPostChannelIds = [], content = '', embeds = [], schedule = null } = body;
+
+    if (typeof content !== 'string') {
+        throw badRequest('Content must be text');
+    }
+    if (content.length > EMBED_LIMITS.content) {
+        throw badRequest(`Content must be at most ${EMBED_LIMITS.content} characters`);
+    }
+    if (!Array.isArray(embeds) || embeds.length > EMBED_LIMITS.embeds || embeds.some(embed => !embed || typeof embed !== 'object')) {
+        throw badRequest(`Embeds must be a list of at most ${EMBED_LIMITS.embeds} objects`);
+    }
+    if (!Array.isArray(crossPostChannelIds) || crossPostChannelIds.length > CROSS_POST_LIMIT || crossPostChannelIds.some(id => typeof id !== 'string')) {
+        throw badRequest(`crossPostChannelIds must be a list of at most ${CROSS_POST_LIMIT} channel ids`);
+    }
+
+    const draft = {
+        guildId: typeof guildId === 'string' && guildId ? guildId : null,
+        channelId: typeof channelId === 'string' && channelId ? channelId : null,
+        crossPostChannelIds,
+        content,
+        embeds,
+        schedule: schedule && typeof schedule === 'object'
+            ? { sendAt: typeof schedule.sendAt === 'string' ? schedule.sendAt : null, recurrence: typeof schedule.recurrence === 'string' ? schedule.recurrence : null }
+            : null
+    };
+    if (Buffer.byteLength(JSON.stringify(draft)) > DRAFT_MAX_BYTES) {
+        throw badRequest('This draft is too large to save');
+    }
+    return draft;
+}
+
+// Whether a staff member can see a draft: their own, or one shared with them in a channel they can use
+function canSeeDraft(user, draft) {
+    if (draft.owner === user.username) return true;
+    if (!draft.shared) return false;
+    return !draft.channelId || canAccessChannel(user, draft.guildId, draft.channelId);
+}
+
+// Tell other dashboards that a shared draft changed, so their Drafts list and open copies stay current
+function publishDraft(draft, actor, deleted = false) {
+    publishEvent('draft_updated', {
+        draftId: draft.id,
+        owner: draft.owner,
+        shared: draft.shared,
+        deleted,
+        updatedAt: draft.updatedAt,
+        updatedBy: draft.updatedBy,
+        channelId: draft.channelId || undefined,
+        guildId: draft.guildId || undefined,
+        actor
+    });
+}
+
+// Remove a draft once it was sent, scheduled or sent for approval - the sender's own, or a shared one they can see
+async function removeSentDraft(draftId, user) {
+    if (!draftId) return;
+
+    const drafts = await loadDrafts();
+    const draft = drafts.find(d => d.id === draftId);
+    if (!draft || !canSeeDraft(user, draft)) return;
+
+    await saveDrafts(drafts.filter(d => d.id !== draftId));
+    if (draft.shared) publishDraft(draft, user.username, true);
+}
+
+// API endpoint to list your drafts and drafts shared with you, most recently changed first
+app.get('/api/drafts', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const drafts = (await loadDrafts())
+            .filter(draft => canSeeDraft(req.user, draft))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        res.json(drafts);
+    } catch (error) {
+        console.error('Error fetching drafts:', error);
+        res.status(500).json({ error: 'Failed to fetch drafts' });
+    }
+});
+
+// API endpoint to save a new draft
+app.post('/api/drafts', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const draft = {
+            id: crypto.randomUUID(),
+            owner: req.user.username,
+            shared: false,
+            ...normalizeDraft(req.body),
+            createdAt: now,
+            updatedAt: now,
+            updatedBy: req.user.username
+        };
+
+        const drafts = await loadDrafts();
+        drafts.push(draft);
+        await saveDrafts(drafts);
+
+        res.json({ success: true, draft });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving draft:', error);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+// API endpoint to update a draft (autosave) - the owner, or anyone it is shared with
+// Send `baseUpdatedAt` (the updatedAt you last loaded) to get a 409 instead of overwriting someone else's changes
+// Only the owner can change `shared`
+app.put('/api/drafts/:draftId', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const drafts = await loadDrafts();
+        const draft = drafts.find(d => d.id === req.params.draftId);
+
+        if (!draft || !canSeeDraft(req.user, draft)) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (req.body.baseUpdatedAt && req.body.baseUpdatedAt !== draft.updatedAt && draft.updatedBy !== req.user.username) {
+            return res.status(409).json({ error: `${draft.updatedBy} changed this draft in the meantime`, draft });
+        }
+
+        const isOwner = draft.owner === req.user.username;
+        if (req.body.shared !== undefined && !isOwner) {
+            return res.status(403).json({ error: 'Only the owner can change who sees a draft' });
+        }
+
+        const wasShared = draft.shared;
+        if (req.body.shared !== undefined) {
+            draft.shared = req.body.shared === true;
+        }
+        // A share toggle alone leaves the message as it is
+        if (req.body.content !== undefined || req.body.embeds !== undefined) {
+            Object.assign(draft, normalizeDraft(req.body));
+        }
+        draft.updatedAt = new Date().toISOString();
+        draft.updatedBy = req.user.username;
+        await saveDrafts(drafts);
+
+        if (draft.shared || wasShared) {
+            publishDraft(draft, req.user.username);
+        }
+        res.json({ success: true, draft });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving draft:', error);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+// API endpoint to discard a draft (owner only)
+app.delete('/api/drafts/:draftId', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const drafts = await loadDrafts();
+        const draft = drafts.find(d => d.id === req.params.draftId);
+
+        if (!draft || !canSeeDraft(req.user, draft)) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        if (draft.owner !== req.user.username) {
+            return res.status(403).json({ error: 'Only the owner can discard a draft' });
+        }
+
+        await saveDrafts(drafts.filter(d => d.id !== draft.id));
+        if (draft.shared) {
+            publishDraft(draft, req.user.username, true);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error discarding draft:', error);
+        res.status(500).json({ error: 'Failed to discard draft' });
+    }
+});
+
+// Variables every template can use without the sender filling them in
+const BUILTIN_TEMPLATE_VARIABLES = ['date', 'time', 'user', 'channel', 'server'];
+const TEMPLATE_VARIABLE_PATTERN = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+
+// Apply a function to every string in a template's content and embeds
+function mapTemplateStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapTemplateStrings(item, fn));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapTemplateStrings(item, fn)]));
+    }
+    return value;
+}
+
+// Names of the custom {variables} used in a template's content and embeds, in order of first use
+function findTemplateVariables({ content, embeds }) {
+    const names = new Set();
+    mapTemplateStrings({ content, embeds }, text => {
+        for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+            if (!BUILTIN_TEMPLATE_VARIABLES.includes(match[1])) names.add(match[1]);
+        }
+        return text;
+    });
+    return [...names];
+}
+
+// Fill in a template's variables and validate the result as a message
+// Built-ins come from the context ({ user, channel }); custom values fall back to the template's defaults
+function renderTemplate(template, values = {}, { user, channel } = {}) {
+    const now = new Date();
+    const pad = (number) => String(number).padStart(2, '0');
+    const builtins = {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+        user: user || '',
+        channel: channel ? channel.name : '',
+        server: channel ? channel.guild.name : ''
+    };
+
+    const missing = [];
+    const custom = {};
+    for (const variable of template.variables || []) {
+        const value = values[variable.name] ?? variable.defaultValue ?? '';
+        if (value === '' && variable.required) {
+            missing.push(variable.name);
+        }
+        custom[variable.name] = String(value);
+    }
+    if (missing.length > 0) {
+        throw badRequest(`Missing value for ${missing.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    const rendered = mapTemplateStrings({ content: template.content, embeds: template.embeds }, text =>
+        text.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+            if (name in builtins) return builtins[name];
+            if (name in custom) return custom[name];
+            return match;
+        }));
+
+    return normalizeMessageParts(rendered);
+}
+
+// Validate a template from a request body; variables are found in the text, labels/defaults come from the body
+function normalizeTemplate(body, user) {
+    const { name, description, channelId } = body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw badRequest('Template name is required');
+    }
+    if (name.length > 100) {
+        throw badRequest('Template name must be at most 100 characters');
+    }
+
+    const { content, embeds } = getMessageParts(body);
+    if (typeof content !== 'string') {
+        throw badRequest('Content must be text');
+    }
+    if (!Array.isArray(embeds) || embeds.length > EMBED_LIMITS.embeds || !embeds.every(embed => embed && typeof embed === 'object')) {
+        throw badRequest(`A template can have at most ${EMBED_LIMITS.embeds} embeds`);
+    }
+    if (!content.trim() && embeds.length === 0) {
+        throw badRequest('Content or at least one embed is required');
+    }
+
+    let channel = null;
+    if (channelId) {
+        channel = client.channels.cache.get(channelId);
+        if (!channel) {
+            const error = new Error('Channel not found');
+            error.status = 404;
+            throw error;
+        }
+        if (!canAccessChannel(user, channel.guild.id, channel.id)) {
+            const error = new Error('You do not have access to this channel');
+            error.status = 403;
+            throw error;
+        }
+    }
+
+    const given = Array.isArray(body.variables) ? body.variables : [];
+    const variables = findTemplateVariables({ content, embeds }).map(variableName => {
+        const settings = given.find(v => v && v.name === variableName) || {};
+        return {
+            name: variableName,
+            label: optionalText(settings.label, 100, `Label of {${variableName}}`) || variableName,
+            defaultValue: optionalText(settings.defaultValue, EMBED_LIMITS.description, `Default of {${variableName}}`) || '',
+            required: !!settings.required
+        };
+    });
+
+    return {
+        name: name.trim(),
+        description: optionalText(description, 300, 'Template description'),
+        content,
+        embeds,
+        channelId: channel ? channel.id : null,
+        channelName: channel ? channel.name : null,
+        guildId: channel ? channel.guild.id : null,
+        guildName: channel ? channel.guild.name : null,
+        variables
+    };
+}
+
+// Templates are shared, but their default channel is only shown to staff with access to it
+function templateForUser(template, user) {
+    if (!template.channelId || canAccessChannel(user, template.guildId, template.channelId)) {
+        return template;
+    }
+    return { ...template, channelId: null, channelName: null, guildId: null, guildName: null };
+}
+
+// API endpoint to list message templates
+app.get('/api/templates', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const templates = await loadTemplates();
+        res.json(templates.sort((a, b) => a.name.localeCompare(b.name)).map(template => templateForUser(template, req.user)));
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+});
+
+// API endpoint to get one message template
+app.get('/api/templates/:templateId', requirePermission('messages:read'), async (req, res) => {
+    try {
+        const template = (await loadTemplates()).find(t => t.id === req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        res.json(templateForUser(template, req.user));
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+});
+
+// API endpoint to create a message template
+// Body: { name, description, content, embeds, channelId, variables: [{ name, label, defaultValue, required }] }
+app.post('/api/templates', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const template = {
+            id: crypto.randomUUID(),
+            ...normalizeTemplate(req.body, req.user),
+            createdBy: req.user.username,
+            createdAt: new Date().toISOString()
+        };
+
+        const templates = await loadTemplates();
+        if (templates.some(t => t.name.toLowerCase() === template.name.toLowerCase())) {
+            return res.status(409).json({ error: 'A template with this name already exists' });
+        }
+
+        templates.push(template);
+        await saveTemplates(templates);
+        await recordAudit('template_create', req.user.username, {
+            after: { name: template.name, content: template.content, embeds: template.embeds },
+            details: { templateId: template.id }
+        });
+
+        res.json({ success: true, template });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    }
+});
+
+// API endpoint to replace a message template
+app.put('/api/templates/:templateId', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        const templates = await loadTemplates();
+        const index = templates.findIndex(t => t.id === templateId);
+
+        if (index === -1) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const changes = normalizeTemplate(req.body, req.user);
+        if (templates.some(t => t.id !== templateId && t.name.toLowerCase() === changes.name.toLowerCase())) {
+            return res.status(409).json({ error: 'A template with this name already exists' });
+        }
+
+        const before = templates[index];
+        // A default channel the editor cannot see was sent back empty - keep it
+        if (!changes.channelId && before.channelId && !canAccessChannel(req.user, before.guildId, before.channelId)) {
+            Object.assign(changes, {
+                channelId: before.channelId,
+                channelName: before.channelName,
+                guildId: before.guildId,
+                guildName: before.guildName
+            });
+        }
+        const template = {
+            ...before,
+            ...changes,
+            updatedBy: req.user.username,
+            updatedAt: new Date().toISOString()
+        };
+        templates[index] = template;
+
+        await saveTemplates(templates);
+        await recordAudit('template_update', req.user.username, {
+            before: { name: before.name, content: before.content, embeds: before.embeds },
+            after: { name: template.name, content: template.content, embeds: template.embeds },
+            details: { templateId }
+        });
+
+        res.json({ success: true, template: templateForUser(template, req.user) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error updating template:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+// API endpoint to delete a message template
+app.delete('/api/templates/:templateId', requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        const templates = await loadTemplates();
+        const template = templates.find(t => t.id === templateId);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        await saveTemplates(templates.filter(t => t.id !== templateId));
+        await recordAudit('template_delete', req.user.username, {
+            before: { name: template.name, content: template.content, embeds: template.embeds },
+            details: { templateId }
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+// API endpoint to fill in a template's variables, returning { content, embeds } ready to send
+// Body: { values: { name: value }, channelId } - the channel ({channel}, {server}) defaults to the template's
+app.post('/api/templates/:templateId/render', requirePermission('messages:send'), async (req, res) => {
+    try {
+        const template = (await loadTemplates()).find(t => t.id === req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        let channel = client.channels.cache.get(req.body.channelId || template.channelId) || null;
+        if (channel && !canAccessChannel(req.user, channel.guild.id, channel.id)) {
+            if (req.body.channelId) {
+                return res.status(403).json({ error: 'You do not have access to this channel' });
+            }
+            channel = null; // a default channel the staff member cannot use is left out
+        }
+        const message = renderTemplate(template, req.body.values || {}, { user: req.user.username, channel });
+
+        res.json({ success: true, channelId: channel ? channel.id : null, ...message });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error rendering template:', error);
+        res.status(500).json({ error: 'Failed to render template' });
+    }
+});
+
+// Strip the secret before sending a webhook to the dashboard
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+function createWebhookSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Signed requests carry a delivery id and a timestamp, and the signature covers both,
+// so a captured request is refused once its timestamp is too old or its id was seen
+const WEBHOOK_SIGNATURE_LIMITS = {
+    toleranceSeconds: 5 * 60, // timestamps further than this from now are refused
+    rejectedLogged: 20, // rejected requests logged per webhook...
+    rejectedWindowMinutes: 10 // ...within this window - later ones are only answered
+};
+
+// Accepted delivery ids ("<webhook id>:<delivery id>"), kept in the database (or a JSON file) so a restart does not forget them
+// Each is kept until its request's timestamp leaves the tolerance window - after that the timestamp is refused anyway
+const seenWebhookDeliveries = createSeenIdStore({
+    backend: STORAGE_BACKEND,
+    databaseFile: DATABASE_FILE,
+    jsonFile: path.join(DATA_DIR, 'webhook-delivery-ids.json')
+});
+
+// Rejected requests logged per webhook: webhookId -> { count, windowStart }
+const rejectedDeliveryCounts = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [webhookId, entry] of rejectedDeliveryCounts) {
+        if (now - entry.windowStart > WEBHOOK_SIGNATURE_LIMITS.rejectedWindowMinutes * 60 * 1000) rejectedDeliveryCounts.delete(webhookId);
+    }
+}, 60 * 1000);
+
+// Check a request's signature headers - returns { error, status } when it is refused, null when it is accepted
+// X-Signature-256: sha256=<hex> is the HMAC-SHA256 of "<X-Webhook-Id>.<X-Webhook-Timestamp>.<raw body>"
+async function checkWebhookSignature(webhook, req) {
+    const match = String(req.get('X-Signature-256') || '').match(/^sha256=([0-9a-f]{64})$/i);
+    const deliveryId = req.get('X-Webhook-Id') || '';
+    const timestamp = req.get('X-Webhook-Timestamp') || '';
+    if (!match || !req.rawBody || !/^[\w.:-]{1,100}$/.test(deliveryId) || !/^\d{1,12}$/.test(timestamp)) {
+        return { error: 'Missing or malformed signature headers', status: 401 };
+    }
+
+    const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${deliveryId}.${timestamp}.`)
+        .update(req.rawBody)
+        .digest();
+    if (!crypto.timingSafeEqual(expected, Buffer.from(match[1], 'hex'))) {
+        return { error: 'Invalid signature', status: 401 };
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_SIGNATURE_LIMITS.toleranceSeconds) {
+        return { error: 'Timestamp is too old or too far ahead', status: 401 };
+    }
+
+    const expiresAt = (Number(timestamp) + WEBHOOK_SIGNATURE_LIMITS.toleranceSeconds) * 1000;
+    if (!await seenWebhookDeliveries.claim(`${webhook.id}:${deliveryId}`, expiresAt)) {
+        return { error: 'This delivery was already received', status: 409 };
+    }
+    return null;
+}
+
+// Whether a rejected request still fits in the webhook's log allowance
+function logRejectedDelivery(webhookId) {
+    const now = Date.now();
+    const entry = rejectedDeliveryCounts.get(webhookId);
+    if (!entry || now - entry.windowStart > WEBHOOK_SIGNATURE_LIMITS.rejectedWindowMinutes * 60 * 1000) {
+        rejectedDeliveryCounts.set(webhookId, { count: 1, windowStart: now });
+        return true;
+    }
+    entry.count++;
+    return entry.count <= WEBHOOK_SIGNATURE_LIMITS.rejectedLogged;
+}
+
+// Read a dot path like `repository.name` or `commits.0.message` from a payload
+// Objects and lists come out as JSON, missing values as undefined so template defaults apply
+function readPayloadField(payload, fieldPath) {
+    let value = payload;
+    for (const key of fieldPath.split('.')) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[key];
+    }
+    if (value === undefined || value === null) return undefined;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Validate a webhook from a request body; fieldMap maps the template's variables to payload paths
+async function normalizeWebhook(body) {
+    const { name, channelId, templateId, fieldMap = {}, enabled = true } = body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw badRequest('Webhook name is required');
+    }
+    if (name.length > 100) {
+        throw badRequest('Webhook name must be at most 100 characters');
+    }
+
+    const channel = client.channels.cache.get(channelId);
+    if (!channel) {
+        throw badRequest('Pick the channel the webhook posts to');
+    }
+
+    const template = (await loadTemplates()).find(t => t.id === templateId);
+    if (!template) {
+        throw badRequest('Pick the template the webhook fills in');
+    }
+
+    if (typeof fieldMap !== 'object' || Array.isArray(fieldMap) || fieldMap === null) {
+        throw badRequest('fieldMap must map template variables to payload fields');
+    }
+    const variableNames = (template.variables || []).map(variable => variable.name);
+    const normalizedMap = {};
+    for (const [variable, fieldPath] of Object.entries(fieldMap)) {
+        if (fieldPath === '' || fieldPath === null || fieldPath === undefined) continue;
+        if (!variableNames.includes(variable)) {
+            throw badRequest(`The template has no {${variable}} variable`);
+        }
+        if (typeof fieldPath !== 'string' || fieldPath.length > 200 || !/^[\w$-]+(\.[\w$-]+)*$/.test(fieldPath)) {
+            throw badRequest(`Payload field for {${variable}} must be a dot path like repository.name`);
+        }
+        normalizedMap[variable] = fieldPath;
+    }
+
+    return {
+        name: name.trim(),
+        channelId: channel.id,
+        channelName: channel.name,
+        guildId: channel.guild.id,
+        guildName: channel.guild.name,
+        templateId: template.id,
+        templateName: template.name,
+        fieldMap: normalizedMap,
+        enabled: !!enabled
+    };
+}
+
+// Turn a webhook payload into a post and log the delivery
+// Never throws - a failed delivery is logged with its error and returned with the status code to answer with
+async function deliverWebhook(webhook, payload, { replayOf = null, replayedBy = null, sourceId = null } = {}) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        webhookName: webhook.name,
+        sourceId,
+        receivedAt: new Date().toISOString(),
+        status: 'sent',
+        messageId: null,
+        error: null,
+        payload,
+        replayOf,
+        replayedBy
+    };
+    let statusCode = 200;
+
+    try {
+        if (!client.user) {
+            const error = new Error('Bot not ready');
+            error.status = 503;
+            throw error;
+        }
+
+        const template = (await loadTemplates()).find(t => t.id === webhook.templateId);
+        if (!template) {
+            throw badRequest('The template of this webhook no longer exists');
+        }
+
+        const values = {};
+        for (const [variable, fieldPath] of Object.entries(webhook.fieldMap || {})) {
+            values[variable] = readPayloadField(payload, fieldPath);
+        }
+        const channel = client.channels.cache.get(webhook.channelId) || null;
+        const parts = renderTemplate(template, values, { user: webhook.name, channel });
+
+        // Review channels take the post as an approval request - answered with 202
+        if (channel && await requiresApproval(channel.id)) {
+            const approval = await requestApproval({ username: webhook.name, from: 'webhook', sourceId: webhook.id }, channel, parts);
+            delivery.status = 'pending';
+            delivery.approvalId = approval.id;
+            statusCode = 202;
+        } else {
+            const messageData = await sendAndStoreMessage({ channelId: webhook.channelId, ...parts }, webhook.name, 'webhook');
+            delivery.messageId = messageData.id;
+        }
+    } catch (error) {
+        if (!error.status) {
+            console.error(`Error delivering webhook ${webhook.id}:`, error);
+        }
+        delivery.status = 'failed';
+        delivery.error = error.status ? error.message : 'Failed to send message';
+        statusCode = error.status || 500;
+    }
+
+    await recordDelivery(delivery);
+    return { delivery, statusCode };
+}
+
+// Inbound webhook endpoint for external services - authenticated by the HMAC signature, not a session
+app.post('/api/hooks/:webhookId', async (req, res) => {
+    try {
+        const webhook = (await loadWebhooks()).find(w => w.id === req.params.webhookId);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const rejection = !webhook.enabled
+            ? { error: 'Webhook is disabled', status: 403 }
+            : !req.is('application/json')
+                ? { error: 'Payload must be JSON', status: 403 }
+                : await checkWebhookSignature(webhook, req);
+        if (rejection) {
+            // Rejected payloads are not kept - they could come from anyone - and only so many rejections are logged
+            if (logRejectedDelivery(webhook.id)) {
+                await recordDelivery({
+                    id: crypto.randomUUID(),
+                    webhookId: webhook.id,
+                    webhookName: webhook.name,
+                    receivedAt: new Date().toISOString(),
+                    status: 'rejected',
+                    messageId: null,
+                    error: rejection.error,
+                    payload: null,
+                    ip: req.ip
+                });
+            }
+            return res.status(rejection.status).json({ error: rejection.error });
+        }
+
+        const { delivery, statusCode } = await deliverWebhook(webhook, req.body, { sourceId: req.get('X-Webhook-Id') });
+        res.status(statusCode).json(delivery.status === 'sent'
+            ? { success: true, deliveryId: delivery.id, messageId: delivery.messageId }
+            : delivery.status === 'pending'
+                ? { success: true, pendingApproval: true, deliveryId: delivery.id, approvalId: delivery.approvalId }
+                : { error: delivery.error, deliveryId: delivery.id });
+    } catch (error) {
+        console.error('Error receiving webhook:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
+// Admin endpoint to list inbound webhooks
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhooks = await loadWebhooks();
+        res.json(webhooks.sort((a, b) => a.name.localeCompare(b.name)).map(publicWebhook));
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+// Admin endpoint to create an inbound webhook - the secret is returned here and on rotation only
+// Body: { name, channelId, templateId, fieldMap: { variable: 'payload.path' }, enabled }
+app.post('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhook = {
+            id: crypto.randomUUID(),
+            ...(await normalizeWebhook(req.body)),
+            secret: createWebhookSecret(),
+            createdBy: req.user.username,
+            createdAt: new Date().toISOString(),
+            updatedBy: null,
+            updatedAt: null
+        };
+
+        const webhooks = await loadWebhooks();
+        webhooks.push(webhook);
+        await saveWebhooks(webhooks);
+
+        await recordAudit('webhook_create', req.user.username, {
+            channelId: webhook.channelId,
+            channelName: webhook.channelName,
+            guildId: webhook.guildId,
+            guildName: webhook.guildName,
+            after: publicWebhook(webhook)
+        });
+
+        res.json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Admin endpoint to change an inbound webhook
+app.put('/api/webhooks/:webhookId', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhooks = await loadWebhooks();
+        const index = webhooks.findIndex(w => w.id === req.params.webhookId);
+
+        if (index === -1) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const before = webhooks[index];
+        const webhook = {
+            ...before,
+            ...(await normalizeWebhook({ ...publicWebhook(before), ...req.body })),
+            updatedBy: req.user.username,
+            updatedAt: new Date().toISOString()
+        };
+        webhooks[index] = webhook;
+        await saveWebhooks(webhooks);
+
+        await recordAudit('webhook_update', req.user.username, {
+            channelId: webhook.channelId,
+            channelName: webhook.channelName,
+            guildId: webhook.guildId,
+            guildName: webhook.guildName,
+            before: publicWebhook(before),
+            after: publicWebhook(webhook)
+        });
+
+        res.json({ success: true, webhook: publicWebhook(webhook) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Admin endpoint to replace a webhook's secret - the old one stops working at once
+app.post('/api/webhooks/:webhookId/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhooks = await loadWebhooks();
+        const webhook = webhooks.find(w => w.id === req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        webhook.secret = createWebhookSecret();
+        webhook.updatedBy = req.user.username;
+        webhook.updatedAt = new Date().toISOString();
+        await saveWebhooks(webhooks);
+
+        await recordAudit('webhook_rotate_secret', req.user.username, {
+            channelId: webhook.channelId,
+            channelName: webhook.channelName,
+            guildId: webhook.guildId,
+            guildName: webhook.guildName,
+            details: { webhookId: webhook.id, name: webhook.name }
+        });
+
+        res.json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+    } catch (error) {
+        console.error('Error rotating webhook secret:', error);
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+});
+
+// Admin endpoint to delete an inbound webhook - its delivery log is kept
+app.delete('/api/webhooks/:webhookId', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhooks = await loadWebhooks();
+        const webhook = webhooks.find(w => w.id === req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await saveWebhooks(webhooks.filter(w => w.id !== webhook.id));
+        await recordAudit('webhook_delete', req.user.username, {
+            channelId: webhook.channelId,
+            channelName: webhook.channelName,
+            guildId: webhook.guildId,
+            guildName: webhook.guildName,
+            before: publicWebhook(webhook)
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Admin endpoint to list a webhook's deliveries (newest first, ?limit= up to 200, default 50)
+app.get('/api/webhooks/:webhookId/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const deliveries = (await loadDeliveries())
+            .filter(delivery => delivery.webhookId === req.params.webhookId)
+            .reverse();
+
+        res.json({ total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Admin endpoint to run a logged delivery again with the webhook's current channel and template
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/replay', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhook = (await loadWebhooks()).find(w => w.id === req.params.webhookId);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const original = (await loadDeliveries())
+            .find(delivery => delivery.id === req.params.deliveryId && delivery.webhookId === webhook.id);
+        if (!original) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        if (original.payload === null) {
+            return res.status(400).json({ error: 'Rejected deliveries have no payload to replay' });
+        }
+
+        const { delivery } = await deliverWebhook(webhook, original.payload, { replayOf: original.id, replayedBy: req.user.username });
+        await recordAudit('webhook_replay', req.user.username, {
+            messageId: delivery.messageId,
+            channelId: webhook.channelId,
+            channelName: webhook.channelName,
+            guildId: webhook.guildId,
+            guildName: webhook.guildName,
+            details: { webhookId: webhook.id, deliveryId: original.id, status: delivery.status, error: delivery.error }
+        });
+
+        res.json({ success: delivery.status !== 'failed', delivery, error: delivery.error || undefined });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({ error: 'Failed to replay delivery' });
+    }
+});
+
+// API endpoint to browse the audit log (newest first)
+// Filters: action, actor, channelId, messageId, from, to (ISO dates), limit
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { action, actor, channelId, messageId, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+
+        const entries = (await loadAudit())
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !actor || entry.actor === actor)
+            .filter(entry => !channelId || entry.channelId === channelId)
+            .filter(entry => !messageId || entry.messageId === messageId)
+            .filter(entry => !fromDate || new Date(entry.timestamp) >= fromDate)
+            .filter(entry => !toDate || new Date(entry.timestamp) <= toDate)
+            .reverse();
+
+        res.json({ total: entries.length, entries: entries.slice(0, limit) });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        ...botStatus()
+    });
+});
+
+// OpenAPI description of the endpoints API tokens can use
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Live updates for the dashboard as server-sent events: bot_status, message_created, message_updated,
+// message_deleted, message_purged and scheduled_result. Each event's data is JSON
+app.get('/api/events', requirePermission('messages:read'), requireSession, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    res.write(`event: bot_status\ndata: ${JSON.stringify(botStatus())}\n\n`);
+
+    const subscriber = { username: req.user.username, sessionId: req.sessionID, res };
+    eventSubscribers.add(subscriber);
+    req.on('close', () => eventSubscribers.delete(subscriber));
+});
+
+// Keep idle event streams open through proxies
+setInterval(() => {
+    for (const subscriber of eventSubscribers) {
+        subscriber.res.write(': ping\n\n');
+    }
+}, 25 * 1000);
+
+// Open message storage, then start the server and the bot
+(async () => {
+    try {
+        messageStore = await createMessageStore({
+            backend: STORAGE_BACKEND,
+            databaseFile: DATABASE_FILE,
+            jsonFile: MESSAGES_FILE
+        });
+        console.log(`💾 Message storage ready (${STORAGE_BACKEND})`);
+    } catch (error) {
+        console.error('❌ Failed to open message storage:', error.message);
+        process.exit(1);
+    }
+
+    // Start the server
+    const PORT = process.env.PORT || 5000;
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🌐 Web server running on port ${PORT}`);
+    });
+
+    // Login to Discord (requires DISCORD_BOT_TOKEN environment variable)
+    if (process.env.DISCORD_BOT_TOKEN) {
+        client.login(process.env.DISCORD_BOT_TOKEN).catch(error => {
+            console.error('❌ Failed to login to Discord:', error.message);
+            console.log('💡 Please set your DISCORD_BOT_TOKEN environment variable');
+        });
+    } else {
+        console.log('⚠️  DISCORD_BOT_TOKEN not found. Please add your bot token to continue.');
+        console.log('💡 The web interface will still work, but Discord functionality will be limited.');
+    }
+})();
@@ -0,0 +1,673 @@
+// OpenAPI 3 description of the endpoints API tokens can use, served at /api/openapi.json
+// Keep it in step with the routes in index.js
+
+// Shorthands for the repeated parts of each operation
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const pathId = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const errors = {
+    400: { description: 'Invalid request', ...json(ref('Error')) },
+    401: { description: 'Missing, invalid, expired or revoked token', ...json(ref('Error')) },
+    403: { description: 'The token lacks the scope, or the channel is outside its allow-list', ...json(ref('Error')) },
+    404: { description: 'Not found', ...json(ref('Error')) }
+};
+
+// Answer of a send or schedule in a channel that is in review mode
+const pendingApproval = {
+    description: 'The channel is in review mode - the message waits for a second staff member\'s approval',
+    ...json({ type: 'object', properties: { success: { type: 'boolean' }, pendingApproval: { type: 'boolean' }, approval: ref('Approval') } })
+};
+
+// One operation: `scope` is the token scope it needs, `ok` the schema of a 200 response
+// `reviewed` adds the 202 answer of channels in review mode
+function operation(summary, scope, { description, parameters, body, multipart = false, ok, tags, reviewed = false }) {
+    const op = {
+        summary,
+        tags,
+        description: [description, `Requires the \`${scope}\` scope.`].filter(Boolean).join('\n\n'),
+        parameters,
+        responses: { 200: { description: 'Success', ...json(ok || ref('Success')) }, ...errors }
+    };
+    if (reviewed) {
+        op.responses[202] = pendingApproval;
+    }
+    if (body) {
+        op.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+        if (multipart) {
+            op.requestBody.content['multipart/form-data'] = { schema: ref('MultipartMessage') };
+        }
+    }
+    return op;
+}
+
+const messageId = pathId('messageId', 'Discord message id');
+const groupId = pathId('groupId', 'Id shared by the copies of a cross-posted message');
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'LinkCrafter staff bot API',
+        version: '1.0.0',
+        description: 'Send, edit and manage the staff bot\'s Discord messages. Authenticate with a personal API token from the dashboard ' +
+            '(`Authorization: Bearer lcapi_...`). A token acts as its owner, limited to its scopes and channels. ' +
+            'Account management, API tokens, the audit log and live updates are only available to the dashboard.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+        { name: 'Channels' },
+        { name: 'Messages' },
+        { name: 'Trash' },
+        { name: 'Scheduled' },
+        { name: 'Approvals' },
+        { name: 'Drafts' },
+        { name: 'Templates' }
+    ],
+    paths: {
+        '/api/health': {
+            get: {
+                summary: 'Bot status',
+                security: [],
+                responses: {
+                    200: {
+                        description: 'Success',
+                        ...json({
+                            type: 'object',
+                            properties: { status: { type: 'string' }, botReady: { type: 'boolean' }, botTag: { type: 'string' } }
+                        })
+                    }
+                }
+            }
+        },
+        '/api/channels': {
+            get: operation('List servers and the channels you can post in', 'messages:read', {
+                tags: ['Channels'],
+                ok: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            channels: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: { id: { type: 'string' }, name: { type: 'string' }, requiresApproval: { type: 'boolean' } }
+                                }
+                            }
+                        }
+                    }
+                }
+            })
+        },
+        '/api/guilds/{guildId}/mentions': {
+            get: operation('List the roles, members and channels of a server for mentions', 'messages:read', {
+                tags: ['Channels'],
+                parameters: [
+                    pathId('guildId', 'Discord server id'),
+                    { name: 'types', in: 'query', schema: { type: 'string', example: 'roles,members,channels' } },
+                    { name: 'q', in: 'query', description: 'Search text', schema: { type: 'string' } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', default: 100 } }
+                ],
+                ok: { type: 'object' }
+            })
+        },
+        '/api/messages': {
+            get: operation('List the message history, a page at a time', 'messages:read', {
+                tags: ['Messages'],
+                description: 'Newest first. All filters are optional and combine. Trashed messages are listed by /api/trash.',
+                parameters: [
+                    { name: 'q', in: 'query', description: 'Words to find in the content and embed titles and descriptions', schema: { type: 'string' } },
+                    { name: 'guildId', in: 'query', schema: { type: 'string' } },
+                    { name: 'channelId', in: 'query', schema: { type: 'string' } },
+                    { name: 'sentBy', in: 'query', description: 'Staff member who sent the message', schema: { type: 'string' } },
+                    { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                    { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                    { name: 'type', in: 'query', description: 'Messages with at least one embed, or without', schema: { type: 'string', enum: ['embed', 'plain'] } },
+                    { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 200 } }
+                ],
+                ok: {
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer', description: 'Messages matching the filters' },
+                        offset: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        messages: { type: 'array', items: ref('StoredMessage') }
+                    }
+                }
+            })
+        },
+        '/api/send-message': {
+            post: operation('Send a message', 'messages:send', {
+                tags: ['Messages'],
+                description: 'Send `multipart/form-data` with the JSON body in `payload_json` to attach files. ' +
+                    'Send `channelIds` instead of `channelId` to cross-post to up to 25 channels in any server: the copies are stored as one group ' +
+                    'that /api/message-groups edits together, and the answer is a `CrossPostResult` with the outcome per channel. ' +
+                    'Channels in review mode get an approval request each, which joins the group once approved.',
+                body: {
+                    allOf: [
+                        {
+                            type: 'object',
+                            properties: {
+                                channelId: { type: 'string' },
+                                channelIds: { type: 'array', minItems: 1, maxItems: 25, items: { type: 'string' } },
+                                draftId: { type: 'string', description: 'Draft to remove once the message is sent' }
+                            }
+                        },
+                        ref('MessageParts')
+                    ]
+                },
+                multipart: true,
+                ok: {
+                    oneOf: [
+                        { type: 'object', properties: { success: { type: 'boolean' }, messageId: { type: 'string' }, messageData: ref('StoredMessage') } },
+                        ref('CrossPostResult')
+                    ]
+                },
+                reviewed: true
+            })
+        },
+        '/api/edit-message/{messageId}': {
+            put: operation('Edit a message', 'messages:edit', {
+                tags: ['Messages'],
+                description: '`keepAttachments` lists the attachment ids to keep (all when left out). ' +
+                    'Send `multipart/form-data` with the JSON body in `payload_json` to attach new files. ' +
+                    'Returns 410 when the message or its channel is gone from Discord.',
+                parameters: [messageId],
+                body: {
+                    allOf: [ref('MessageParts'), { type: 'object', properties: { keepAttachments: { type: 'array', items: { type: 'string' } } } }]
+                },
+                multipart: true,
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, messageData: ref('StoredMessage') } }
+            })
+        },
+        '/api/message-groups/{groupId}': {
+            get: operation('List the copies of a cross-posted message', 'messages:read', {
+                tags: ['Messages'],
+                description: '`hidden` counts the copies in channels outside the token\'s access.',
+                parameters: [groupId],
+                ok: {
+                    type: 'object',
+                    properties: { groupId: { type: 'string' }, messages: { type: 'array', items: ref('StoredMessage') }, hidden: { type: 'integer' } }
+                }
+            }),
+            put: operation('Edit every copy of a cross-posted message', 'messages:edit', {
+                tags: ['Messages'],
+                description: 'Attachments stay as they are on each copy - change them per copy with /api/edit-message. ' +
+                    'Copies outside the token\'s access are left alone and counted in `skipped`.',
+                parameters: [groupId],
+                body: ref('MessageParts'),
+                ok: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', description: 'Whether every copy was updated' },
+                        edited: { type: 'integer' },
+                        skipped: { type: 'integer' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    messageId: { type: 'string' },
+                                    channelId: { type: 'string' },
+                                    channelName: { type: 'string' },
+                                    guildId: { type: 'string' },
+                                    guildName: { type: 'string' },
+                                    success: { type: 'boolean' },
+                                    error: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            })
+        },
+        '/api/delete-message/{messageId}': {
+            delete: operation('Delete a message and move it to the trash', 'messages:delete', {
+                tags: ['Messages'],
+                parameters: [
+                    messageId,
+                    { name: 'keepOnDiscord', in: 'query', description: 'Only trash the history entry', schema: { type: 'boolean' } }
+                ]
+            })
+        },
+        '/api/messages/bulk-delete': {
+            post: operation('Delete up to 100 messages', 'messages:delete', {
+                tags: ['Messages'],
+                body: {
+                    type: 'object',
+                    required: ['messageIds'],
+                    properties: { messageIds: { type: 'array', maxItems: 100, items: { type: 'string' } }, keepOnDiscord: { type: 'boolean' } }
+                },
+                ok: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        deleted: { type: 'integer' },
+                        results: {
+                            type: 'array',
+                            items: { type: 'object', properties: { messageId: { type: 'string' }, success: { type: 'boolean' }, error: { type: 'string' } } }
+                        }
+                    }
+                }
+            })
+        },
+        '/api/messages/adopt': {
+            post: operation('Import a bot message the history does not have yet', 'messages:edit', {
+                tags: ['Messages'],
+                body: {
+                    type: 'object',
+                    required: ['link'],
+                    properties: {
+                        link: { type: 'string', description: 'Message link, or a message id together with channelId' },
+                        channelId: { type: 'string' }
+                    }
+                },
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, messageData: ref('StoredMessage') } }
+            })
+        },
+        '/api/messages/sync': {
+            post: operation('Check stored messages against Discord', 'messages:edit', {
+                tags: ['Messages'],
+                body: { type: 'object', properties: { messageIds: { type: 'array', items: { type: 'string' } } } },
+                ok: {
+                    type: 'object',
+                    properties: Object.fromEntries(['checked', 'ok', 'deleted', 'orphaned', 'renamed', 'failed'].map(key => [key, { type: 'integer' }]))
+                }
+            })
+        },
+        '/api/messages/{messageId}/revisions': {
+            get: operation('List the revisions of a message', 'messages:read', {
+                tags: ['Messages'],
+                parameters: [messageId],
+                ok: { type: 'array', items: ref('Revision') }
+            })
+        },
+        '/api/messages/{messageId}/diff': {
+            get: operation('Diff two revisions of a message', 'messages:read', {
+                tags: ['Messages'],
+                parameters: [
+                    messageId,
+                    { name: 'from', in: 'query', schema: { type: 'integer' } },
+                    { name: 'to', in: 'query', schema: { type: 'integer' } }
+                ],
+                ok: { type: 'object' }
+            })
+        },
+        '/api/messages/{messageId}/revisions/{revision}/restore': {
+            post: operation('Restore an earlier revision', 'messages:edit', {
+                tags: ['Messages'],
+                parameters: [messageId, { name: 'revision', in: 'path', required: true, schema: { type: 'integer' } }],
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, messageData: ref('StoredMessage') } }
+            })
+        },
+        '/api/trash': {
+            get: operation('List trashed messages', 'messages:read', {
+                tags: ['Trash'],
+                ok: { type: 'array', items: ref('StoredMessage') }
+            })
+        },
+        '/api/trash/{messageId}/restore': {
+            post: operation('Restore a trashed message that is still on Discord', 'messages:delete', {
+                tags: ['Trash'],
+                parameters: [messageId]
+            })
+        },
+        '/api/trash/{messageId}': {
+            delete: operation('Remove a trashed message for good', 'messages:delete', {
+                tags: ['Trash'],
+                parameters: [messageId]
+            })
+        },
+        '/api/scheduled': {
+            get: operation('List scheduled messages', 'messages:read', {
+                tags: ['Scheduled'],
+                parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'sent', 'submitted', 'failed', 'cancelled'] } }],
+                ok: { type: 'array', items: ref('ScheduledJob') }
+            }),
+            post: operation('Schedule a message', 'messages:send', {
+                tags: ['Scheduled'],
+                description: 'Give `sendAt` for a single send, `recurrence` (5-field cron, server time) for a repeating one, or both.',
+                body: {
+                    allOf: [
+                        {
+                            type: 'object',
+                            required: ['channelId'],
+                            properties: {
+                                channelId: { type: 'string' },
+                                sendAt: { type: 'string', format: 'date-time' },
+                                recurrence: { type: 'string' },
+                                draftId: { type: 'string', description: 'Draft to remove once the message is scheduled' }
+                            }
+                        },
+                        ref('MessageParts')
+                    ]
+                },
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, job: ref('ScheduledJob') } },
+                reviewed: true
+            })
+        },
+        '/api/scheduled/{jobId}': {
+            put: operation('Reschedule a pending message', 'messages:send', {
+                tags: ['Scheduled'],
+                parameters: [pathId('jobId', 'Scheduled job id')],
+                body: {
+                    type: 'object',
+                    properties: { sendAt: { type: 'string', format: 'date-time' }, recurrence: { type: 'string', nullable: true } }
+                },
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, job: ref('ScheduledJob') } }
+            }),
+            delete: operation('Cancel a pending message', 'messages:send', {
+                tags: ['Scheduled'],
+                parameters: [pathId('jobId', 'Scheduled job id')]
+            })
+        },
+        '/api/approvals': {
+            get: operation('List approval requests in channels you can use', 'messages:read', {
+                tags: ['Approvals'],
+                description: 'Newest first. Approving and rejecting is only available in the dashboard.',
+                parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'approved', 'rejected', 'withdrawn'] } }],
+                ok: { type: 'array', items: ref('Approval') }
+            })
+        },
+        '/api/approvals/{approvalId}': {
+            delete: operation('Withdraw one of your pending approval requests', 'messages:send', {
+                tags: ['Approvals'],
+                parameters: [pathId('approvalId', 'Approval request id')]
+            })
+        },
+        '/api/drafts': {
+            get: operation('List your drafts and drafts shared with you', 'messages:send', {
+                tags: ['Drafts'],
+                description: 'Most recently changed first.',
+                ok: { type: 'array', items: ref('Draft') }
+            }),
+            post: operation('Save a new draft', 'messages:send', {
+                tags: ['Drafts'],
+                body: ref('Draft'),
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, draft: ref('Draft') } }
+            })
+        },
+        '/api/drafts/{draftId}': {
+            put: operation('Update a draft', 'messages:send', {
+                tags: ['Drafts'],
+                description: 'Send `baseUpdatedAt` to get a 409 instead of overwriting changes someone else made to a shared draft. Only the owner can change `shared`.',
+                parameters: [pathId('draftId', 'Draft id')],
+                body: { allOf: [ref('Draft'), { type: 'object', properties: { baseUpdatedAt: { type: 'string', format: 'date-time' } } }] },
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, draft: ref('Draft') } }
+            }),
+            delete: operation('Discard one of your drafts', 'messages:send', {
+                tags: ['Drafts'],
+                parameters: [pathId('draftId', 'Draft id')]
+            })
+        },
+        '/api/templates': {
+            get: operation('List message templates', 'messages:read', {
+                tags: ['Templates'],
+                ok: { type: 'array', items: ref('Template') }
+            }),
+            post: operation('Create a template', 'templates:manage', {
+                tags: ['Templates'],
+                body: ref('Template'),
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, template: ref('Template') } }
+            })
+        },
+        '/api/templates/{templateId}': {
+            get: operation('Get a template', 'messages:read', {
+                tags: ['Templates'],
+                parameters: [pathId('templateId', 'Template id')],
+                ok: ref('Template')
+            }),
+            put: operation('Update a template', 'templates:manage', {
+                tags: ['Templates'],
+                parameters: [pathId('templateId', 'Template id')],
+                body: ref('Template'),
+                ok: { type: 'object', properties: { success: { type: 'boolean' }, template: ref('Template') } }
+            }),
+            delete: operation('Delete a template', 'templates:manage', {
+                tags: ['Templates'],
+                parameters: [pathId('templateId', 'Template id')]
+            })
+        },
+        '/api/templates/{templateId}/render': {
+            post: operation('Fill in a template\'s variables', 'messages:send', {
+                tags: ['Templates'],
+                description: 'Returns the message ready for /api/send-message.',
+                parameters: [pathId('templateId', 'Template id')],
+                body: {
+                    type: 'object',
+                    properties: { channelId: { type: 'string' }, values: { type: 'object', additionalProperties: { type: 'string' } } }
+                },
+                ok: { allOf: [{ type: 'object', properties: { success: { type: 'boolean' }, channelId: { type: 'string', nullable: true } } }, ref('MessageParts')] }
+            })
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API token created in the dashboard' }
+        },
+        schemas: {
+            Success: { type: 'object', properties: { success: { type: 'boolean' } } },
+            Error: { type: 'object', properties: { error: { type: 'string' } } },
+            Embed: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', maxLength: 256 },
+                    description: { type: 'string', maxLength: 4096 },
+                    url: { type: 'string' },
+                    color: { type: 'string', example: '#5865F2' },
+                    author: { type: 'object', properties: { name: { type: 'string' }, url: { type: 'string' }, iconUrl: { type: 'string' } } },
+                    footer: { type: 'object', properties: { text: { type: 'string' }, iconUrl: { type: 'string' } } },
+                    thumbnailUrl: { type: 'string' },
+                    imageUrl: { type: 'string', description: 'A URL, or attachment://<file name>' },
+                    timestamp: { oneOf: [{ type: 'string', format: 'date-time' }, { type: 'boolean', enum: [true] }], description: '`true` means the send time' },
+                    fields: {
+                        type: 'array',
+                        maxItems: 25,
+                        items: { type: 'object', properties: { name: { type: 'string' }, value: { type: 'string' }, inline: { type: 'boolean' } } }
+                    }
+                }
+            },
+            MessageParts: {
+                type: 'object',
+                properties: {
+                    content: { type: 'string', maxLength: 2000 },
+                    embeds: { type: 'array', maxItems: 10, items: ref('Embed') }
+                }
+            },
+            MultipartMessage: {
+                type: 'object',
+                properties: {
+                    payload_json: { type: 'string', description: 'The JSON body' },
+                    files: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } }
+                }
+            },
+            Attachment: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    size: { type: 'integer' },
+                    contentType: { type: 'string' },
+                    url: { type: 'string' }
+                }
+            },
+            Revision: {
+                allOf: [
+                    ref('MessageParts'),
+                    {
+                        type: 'object',
+                        properties: {
+                            revision: { type: 'integer' },
+                            editedAt: { type: 'string', format: 'date-time' },
+                            editedBy: { type: 'string', nullable: true },
+                            editedFrom: { type: 'string', enum: ['web', 'api', 'discord', 'webhook'], nullable: true },
+                            restoredFrom: { type: 'integer', nullable: true }
+                        }
+                    }
+                ]
+            },
+            StoredMessage: {
+                allOf: [
+                    ref('MessageParts'),
+                    {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            channelId: { type: 'string' },
+                            channelName: { type: 'string' },
+                            guildId: { type: 'string' },
+                            guildName: { type: 'string' },
+                            attachments: { type: 'array', items: ref('Attachment') },
+                            timestamp: { type: 'string', format: 'date-time' },
+                            sentBy: { type: 'string', nullable: true },
+                            sentFrom: { type: 'string', enum: ['web', 'api', 'discord', 'webhook'] },
+                            approvedBy: { type: 'string' },
+                            groupId: { type: 'string', description: 'Shared by the copies of a cross-posted message' },
+                            lastEdited: { type: 'string', format: 'date-time' },
+                            lastEditedBy: { type: 'string' },
+                            lastEditedFrom: { type: 'string', enum: ['web', 'api', 'discord', 'webhook'] },
+                            discordStatus: { type: 'string', enum: ['ok', 'deleted', 'orphaned'] },
+                            lastSyncedAt: { type: 'string', format: 'date-time' },
+                            deletedAt: { type: 'string', format: 'date-time' },
+                            revisions: { type: 'array', items: ref('Revision') }
+                        }
+                    }
+                ]
+            },
+            CrossPostResult: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', description: 'Whether every channel was sent to or is waiting for approval' },
+                    groupId: { type: 'string' },
+                    sent: { type: 'integer' },
+                    pendingApproval: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    results: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                channelId: { type: 'string' },
+                                channelName: { type: 'string' },
+                                guildId: { type: 'string' },
+                                guildName: { type: 'string' },
+                                success: { type: 'boolean' },
+                                messageId: { type: 'string' },
+                                pendingApproval: { type: 'boolean' },
+                                approvalId: { type: 'string' },
+                                error: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            ScheduledJob: {
+                allOf: [
+                    ref('MessageParts'),
+                    {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            channelId: { type: 'string' },
+                            sendAt: { type: 'string', format: 'date-time' },
+                            recurrence: { type: 'string', nullable: true },
+                            status: { type: 'string', enum: ['pending', 'sent', 'submitted', 'failed', 'cancelled'] },
+                            lastMessageId: { type: 'string', nullable: true },
+                            lastApprovalId: { type: 'string', nullable: true, description: 'Approval request of the last run, when the channel was in review mode' },
+                            tokenId: { type: 'string', description: 'API token the job was created through' },
+                            lastError: { type: 'string', nullable: true }
+                        }
+                    }
+                ]
+            },
+            Draft: {
+                type: 'object',
+                description: 'Content and embeds are not validated until the draft is sent.',
+                properties: {
+                    id: { type: 'string', readOnly: true },
+                    owner: { type: 'string', readOnly: true },
+                    shared: { type: 'boolean' },
+                    guildId: { type: 'string', nullable: true },
+                    channelId: { type: 'string', nullable: true },
+                    crossPostChannelIds: { type: 'array', items: { type: 'string' } },
+                    content: { type: 'string' },
+                    embeds: { type: 'array', items: ref('Embed') },
+                    schedule: {
+                        type: 'object',
+                        nullable: true,
+                        properties: { sendAt: { type: 'string', nullable: true }, recurrence: { type: 'string', nullable: true } }
+                    },
+                    createdAt: { type: 'string', format: 'date-time', readOnly: true },
+                    updatedAt: { type: 'string', format: 'date-time', readOnly: true },
+                    updatedBy: { type: 'string', readOnly: true }
+                }
+            },
+            Approval: {
+                allOf: [
+                    ref('MessageParts'),
+                    {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'withdrawn'] },
+                            channelId: { type: 'string' },
+                            channelName: { type: 'string' },
+                            guildId: { type: 'string' },
+                            guildName: { type: 'string' },
+                            attachments: {
+                                type: 'array',
+                                items: { type: 'object', properties: { name: { type: 'string' }, size: { type: 'integer' }, contentType: { type: 'string' } } }
+                            },
+                            schedule: {
+                                type: 'object',
+                                nullable: true,
+                                properties: { sendAt: { type: 'string', format: 'date-time', nullable: true }, recurrence: { type: 'string', nullable: true } }
+                            },
+                            groupId: { type: 'string', nullable: true, description: 'Cross-post the message joins once approved' },
+                            requestedBy: { type: 'string' },
+                            requestedFrom: { type: 'string', enum: ['web', 'api', 'discord', 'webhook', 'schedule'] },
+                            requestedById: { type: 'string', description: 'API token, Discord user or webhook id, for requests through a token, from Discord or from a webhook' },
+                            requestedAt: { type: 'string', format: 'date-time' },
+                            reviewedBy: { type: 'string' },
+                            reviewedAt: { type: 'string', format: 'date-time' },
+                            comment: { type: 'string', nullable: true },
+                            messageId: { type: 'string', nullable: true },
+                            jobId: { type: 'string', nullable: true }
+                        }
+                    }
+                ]
+            },
+            Template: {
+                allOf: [
+                    ref('MessageParts'),
+                    {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', readOnly: true },
+                            name: { type: 'string' },
+                            description: { type: 'string' },
+                            channelId: { type: 'string', nullable: true },
+                            variables: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string' },
+                                        label: { type: 'string' },
+                                        defaultValue: { type: 'string' },
+                                        required: { type: 'boolean' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            }
+        }
+    }
+};
+
+module.exports = { openApiDocument };
@@ -1,12 +1,46 @@
 // Global variables
 let guilds = [];
-let messages = [];
+let messages = []; // the history page on screen
+let messagePage = { offset: 0, limit: 50, total: 0 };
+let scheduledJobs = [];
+let drafts = [];
+let draftsModal;
+let currentDraft = null; // the draft the send form autosaves into
+let draftSaveTimer = null;
+let draftSaving = Promise.resolve();
+let draftConflict = false; // someone else changed the open draft - stop autosaving over it
+let approvals = [];
+let staffUsers = [];
+let auditEntries = [];
 let editModal;
+let accessModal;
+let revisionsModal;
+let revisions = [];
+let templates = [];
+let templateModal;
+let trashModal;
+let trashMessages = [];
+let apiTokens = [];
+let accountSessions = [];
+let webhooks = [];
+let webhookModal;
+let deliveriesModal;
+let deliveriesWebhookId = null;
+let botTag = null;
 
 // Initialize the app when DOM loads
 function initApp() {
     console.log("DOM loaded, initializing app...");
     editModal = new bootstrap.Modal(document.getElementById("editModal"));
+    accessModal = new bootstrap.Modal(document.getElementById("accessModal"));
+    revisionsModal = new bootstrap.Modal(document.getElementById("revisionsModal"));
+    templateModal = new bootstrap.Modal(document.getElementById("templateModal"));
+    trashModal = new bootstrap.Modal(document.getElementById("trashModal"));
+    webhookModal = new bootstrap.Modal(document.getElementById("webhookModal"));
+    deliveriesModal = new bootstrap.Modal(document.getElementById("deliveriesModal"));
+    draftsModal = new bootstrap.Modal(document.getElementById("draftsModal"));
+
+    applyPermissions();
 
     // Check bot status immediately and retry if needed
     checkBotStatus();
@@ -15,36 +49,186 @@ function initApp() {
     // Load data that requires authentication
     loadChannels();
     loadMessages();
+    loadScheduled();
+    loadTemplates();
+    loadDrafts();
+    checkApprovals();
     
-    toggleEmbedFields();
+    toggleScheduleFields();
+
+    watchPreview("messageForm", updateMessagePreview);
+    watchPreview("editForm", updateEditPreview);
+    watchPreview("templateForm", renderTemplateVariableSettings);
+
+    connectLiveUpdates();
 
     // Set up form handlers
     document
         .getElementById("messageForm")
         .addEventListener("submit", sendMessage);
+    document.getElementById("messageForm").addEventListener("input", queueDraftSave);
+    document.getElementById("messageForm").addEventListener("change", queueDraftSave);
+    // Save what is waiting when the tab is closed
+    window.addEventListener("pagehide", () => {
+        if (draftSaveTimer) {
+            clearTimeout(draftSaveTimer);
+            draftSaveTimer = null;
+            saveDraft({ keepalive: true });
+        }
+    });
     document
         .getElementById("guildSelect")
         .addEventListener("change", updateChannelSelect);
+    document
+        .getElementById("guildSelect")
+        .addEventListener("change", loadMentions);
+    document
+        .getElementById("channelSelect")
+        .addEventListener("change", updateCrossPostSelect);
+    document
+        .getElementById("pingSearch")
+        .addEventListener("input", displayPings);
+    document
+        .getElementById("pingType")
+        .addEventListener("change", displayPings);
+    document
+        .getElementById("userForm")
+        .addEventListener("submit", createUser);
+    document
+        .getElementById("tokenForm")
+        .addEventListener("submit", createToken);
+    document
+        .getElementById("twoFactorEnableForm")
+        .addEventListener("submit", enableTwoFactor);
+    document
+        .getElementById("recoveryCodesForm")
+        .addEventListener("submit", regenerateRecoveryCodes);
+    document
+        .getElementById("twoFactorDisableForm")
+        .addEventListener("submit", disableTwoFactor);
+    document
+        .getElementById("auditFilters")
+        .addEventListener("submit", (event) => {
+            event.preventDefault();
+            loadAudit();
+        });
+    document
+        .getElementById("messageFilters")
+        .addEventListener("submit", (event) => {
+            event.preventDefault();
+            messagePage.offset = 0;
+            loadMessages();
+        });
 
     setTimeout(adjustPingsHeight, 500);
     displayPings();
 
     window.addEventListener('resize', adjustPingsHeight);
-    // Remove automatic refresh to prevent page reload issues
-    // Users can manually refresh using the refresh button
+    // Lists are refreshed by live updates from /api/events instead of polling
 };
 
-const pingMap = new Map([
-    ['@everyone', '@everyone'],
-    ['@here', '@here'],
-    ['Notified', '<@&714610825557442621>'],
-    ['Maps', '<@&987654321098765432>'],
-    ['Completions', '<@&1352800315358838794>'],
-    ['Map Submitter', '<@&1146164496776315031>'],
-    ['XVI', '<@&605773184138084363>'],
-    ['Economy Breaker', '<@&684809300618772600>'],
-    ['Millionaire', '<@&686657305684475964>']
-]);
+// Check whether the logged-in staff member has a permission
+function can(permission) {
+    return !!(window.currentUser && window.currentUser.permissions.includes(permission));
+}
+
+// Show or hide parts of the dashboard based on the staff member's role
+function applyPermissions() {
+    if (!can("messages:send")) {
+        document.getElementById("messageForm").style.display = "none";
+        document
+            .querySelector("#sendMessageCard .card-body")
+            .insertAdjacentHTML(
+                "beforeend",
+                '<div class="text-muted">Your account has read-only access.</div>',
+            );
+    }
+
+    if (!can("messages:edit")) {
+        document.getElementById("adoptMessageButton").style.display = "none";
+        document.getElementById("syncMessagesButton").style.display = "none";
+    }
+
+    if (!can("messages:delete")) {
+        document.getElementById("bulkDeleteButton").style.display = "none";
+    }
+
+    if (!can("templates:manage")) {
+        document.getElementById("newTemplateButton").style.display = "none";
+        document.getElementById("saveAsTemplateButton").style.display = "none";
+    }
+
+    if (can("users:manage")) {
+        document.getElementById("usersSection").style.display = "flex";
+        loadUsers();
+    }
+
+    if (can("audit:read")) {
+        document.getElementById("auditTabItem").style.display = "block";
+    }
+
+    if (can("webhooks:manage")) {
+        document.getElementById("webhooksTabItem").style.display = "block";
+    }
+
+    if (can("channels:manage")) {
+        document.getElementById("reviewChannelsCard").style.display = "block";
+    }
+}
+
+// Switch between the dashboard tabs
+function showTab(tabId) {
+    document.querySelectorAll(".dashboard-tab").forEach((tab) => {
+        tab.style.display = tab.id === tabId ? "block" : "none";
+    });
+    document.querySelectorAll("#dashboardTabs .nav-link").forEach((link) => {
+        link.classList.toggle("active", link.dataset.tab === tabId);
+    });
+
+    if (tabId === "auditTab") {
+        loadAudit();
+    } else if (tabId === "webhooksTab") {
+        loadWebhooks();
+    } else if (tabId === "approvalsTab") {
+        loadApprovals();
+        renderReviewChannels();
+        markApprovalsSeen();
+    } else if (tabId === "tokensTab") {
+        renderTokenForm();
+        loadTokens();
+    } else if (tabId === "accountTab") {
+        renderTwoFactor();
+        loadSessions();
+    } else {
+        setTimeout(adjustPingsHeight, 50);
+    }
+}
+
+// " via Discord" / " via API" / " via webhook" for actions that did not come from the dashboard
+function sourceLabel(from) {
+    return { discord: " via Discord", api: " via API", webhook: " via webhook", schedule: " via schedule" }[from] || "";
+}
+
+// Whether the signed-in staff member filed a request - Discord users and webhooks can share a staff member's name
+function isOwnRequest(approval) {
+    return approval.requestedBy === window.currentUser.username &&
+        approval.requestedFrom !== "discord" && approval.requestedFrom !== "webhook";
+}
+
+// Escape text before putting it into HTML
+function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Mention picker entries for the selected server, from /api/guilds/:guildId/mentions
+let mentionOptions = { roles: [], members: [], channels: [] };
+// Names of every role, member and channel loaded so far, keyed "role:<id>", "user:<id>", "channel:<id>"
+const mentionNames = new Map();
 
 function adjustPingsHeight() {
     const messageContainer = document.getElementById('messageContainer');
@@ -64,53 +248,156 @@ observer.observe(messageContainer, {
     attributes: true 
 });
 
+// Load the roles, cached members and channels of the selected server for the mention picker
+async function loadMentions() {
+    const guildId = document.getElementById("guildSelect").value;
+    const pingsList = document.getElementById("pingsList");
+
+    if (!guildId) {
+        mentionOptions = { roles: [], members: [], channels: [] };
+        displayPings();
+        return;
+    }
+
+    pingsList.innerHTML = '<div class="text-center py-3"><div class="spinner-border spinner-border-sm me-2" role="status"></div>Loading pings...</div>';
+
+    try {
+        const response = await fetch(`/api/guilds/${guildId}/mentions?types=roles,members,channels`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        mentionOptions = { roles: data.roles, members: data.members, channels: data.channels };
+
+        data.roles.forEach((role) => mentionNames.set(`role:${role.id}`, role.name));
+        data.members.forEach((member) => mentionNames.set(`user:${member.id}`, member.name));
+        data.channels.forEach((channel) => mentionNames.set(`channel:${channel.id}`, channel.name));
+
+        displayPings();
+        updateMessagePreview();
+    } catch (error) {
+        console.error("Error loading mentions:", error);
+        pingsList.innerHTML = '<div class="text-center text-danger py-3">Failed to load pings</div>';
+    }
+}
+
+// Show the mention picker entries of the chosen type that match the search
 function displayPings() {
     const pingsList = document.getElementById('pingsList');
 
-    if (pingMap.size === 0) {
+    if (!document.getElementById("guildSelect").value) {
+        pingsList.innerHTML = '<div class="text-center text-muted py-3">Select a server to see its pings</div>';
+        return;
+    }
+
+    const type = document.getElementById("pingType").value;
+    const search = document.getElementById("pingSearch").value.trim().toLowerCase();
+    const entries = mentionOptions[type].filter(
+        (entry) => !search || entry.name.toLowerCase().includes(search) || (entry.username || "").toLowerCase().includes(search),
+    );
+
+    if (entries.length === 0) {
         pingsList.innerHTML = '<div class="text-center text-muted py-3">No pings available</div>';
         return;
     }
 
-    let html = '';
-    pingMap.forEach((value, key) => {
-        html += `
+    pingsList.innerHTML = entries
+        .map((entry) => {
+            const label = type === "channels" ? `#${entry.name}` : type === "roles" && !entry.name.startsWith("@") ? `@${entry.name}` : entry.name;
+            const warning = entry.mentionable === false
+                ? '<span class="badge bg-warning text-dark ms-1" title="The bot cannot ping this role - it will show as plain text">not mentionable</span>'
+                : "";
+            const colorDot = entry.color
+                ? `<span class="ping-color" style="background: ${escapeHtml(entry.color)};"></span>`
+                : "";
+
+            return `
             <div class="d-flex justify-content-between align-items-center mb-2 p-2 border rounded ping-item">
-                <div class="fw-medium text-truncate me-2" title="${key}">${key}</div>
-                <button class="btn btn-sm btn-outline-primary flex-shrink-0" onclick="handlePingClick('${key}')">
+                <div class="fw-medium text-truncate me-2" title="${escapeHtml(entry.username || entry.name)}">
+                    ${colorDot}${escapeHtml(label)}${warning}
+                </div>
+                <button class="btn btn-sm btn-outline-primary flex-shrink-0" onclick="handlePingClick('${type}', '${escapeHtml(entry.id)}', '${escapeHtml(entry.mention)}')">
                     Insert
                 </button>
             </div>
         `;
-    });
-
-    pingsList.innerHTML = html;
+        })
+        .join("");
 }
 
-function handlePingClick(key) {
-    const value = pingMap.get(key);
-    console.log(`Ping clicked: ${key} = ${value}`);
+// Insert a mention at the cursor of the message content
+function handlePingClick(type, id, mention) {
+    const entry = mentionOptions[type].find((e) => e.id === id && e.mention === mention);
+    if (entry && entry.mentionable === false) {
+        showAlert(`${escapeHtml(entry.name)} is not mentionable by the bot - Discord will show it without pinging anyone`, "warning");
+    }
 
     const messageContent = document.getElementById('messageContent');
     if (messageContent) {
-        messageContent.value += ` ${value}`;
+        const start = messageContent.selectionStart ?? messageContent.value.length;
+        const end = messageContent.selectionEnd ?? start;
+        const before = messageContent.value.slice(0, start);
+        const text = `${before && !before.endsWith(" ") ? " " : ""}${mention} `;
+        messageContent.setRangeText(text, start, end, "end");
         messageContent.focus();
+        updateMessagePreview();
     }
 }
 
 function refreshPings() {
-    const pingsList = document.getElementById('pingsList');
-    pingsList.innerHTML = '<div class="text-center py-3"><div class="spinner-border spinner-border-sm me-2" role="status"></div>Refreshing...</div>';
-
-    setTimeout(() => {
-        displayPings();
-    }, 500);
+    loadMentions();
 }
 
 function onMessageContainerChange() {
     setTimeout(adjustPingsHeight, 50);
 }
 
+// Lists to reload after live updates, batched so a bulk delete reloads once
+const pendingReloads = new Set();
+let reloadTimer = null;
+
+function queueReload(...lists) {
+    lists.forEach((list) => pendingReloads.add(list));
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+        if (pendingReloads.has("messages")) loadMessages();
+        if (pendingReloads.has("scheduled")) loadScheduled();
+        if (pendingReloads.has("trash") && document.getElementById("trashModal").classList.contains("show")) {
+            loadTrash();
+        }
+        pendingReloads.clear();
+    }, 300);
+}
+
+// Listen for bot status changes, message changes and scheduled sends made from any dashboard
+function connectLiveUpdates() {
+    if (!window.EventSource) return;
+
+    const events = new EventSource("/api/events", { withCredentials: true });
+    const on = (type, handler) =>
+        events.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+
+    on("bot_status", renderBotStatus);
+    on("message_created", () => queueReload("messages", "trash"));
+    on("message_updated", () => queueReload("messages"));
+    on("message_deleted", () => queueReload("messages", "trash"));
+    on("message_purged", () => queueReload("trash"));
+    on("scheduled_result", (data) => {
+        queueReload("scheduled", "messages");
+        if (data.status === "failed") {
+            showAlert(`Scheduled message to #${escapeHtml(data.channelName)} failed: ${escapeHtml(data.error)}`, "danger");
+        } else if (data.status === "submitted") {
+            showAlert(`Scheduled message to #${escapeHtml(data.channelName)} is waiting for approval - the channel is in review mode.`, "info");
+        }
+    });
+    on("approval_updated", onApprovalUpdated);
+    on("draft_updated", onDraftUpdated);
+}
+
 // Check bot status
 async function checkBotStatus() {
     console.log("checkBotStatus called");
@@ -118,47 +405,7 @@ async function checkBotStatus() {
         const response = await fetch("/api/health", { credentials: "include" });
         const data = await response.json();
         console.log("Health API response:", data);
-
-        const statusElement = document.getElementById("status");
-        const botStatusElement = document.getElementById("botStatus");
-        console.log("Status element:", statusElement);
-        console.log("Bot status element:", botStatusElement);
-
-        if (data.botReady) {
-            if (statusElement) {
-                statusElement.textContent = "Bot Online";
-                statusElement.className = "badge bg-success";
-            }
-
-            if (botStatusElement) {
-                botStatusElement.innerHTML = `
-                    <div class="d-flex align-items-center">
-                        <div class="bg-success rounded-circle me-2" style="width: 8px; height: 8px;"></div>
-                        <div>
-                            <strong>Online</strong><br>
-                            <small class="text-muted">${data.botTag}</small>
-                        </div>
-                    </div>
-                `;
-            }
-        } else {
-            if (statusElement) {
-                statusElement.textContent = "Bot Offline";
-                statusElement.className = "badge bg-danger";
-            }
-
-            if (botStatusElement) {
-                botStatusElement.innerHTML = `
-                    <div class="d-flex align-items-center">
-                        <div class="bg-danger rounded-circle me-2" style="width: 8px; height: 8px;"></div>
-                        <div>
-                            <strong>Offline</strong><br>
-                            <small class="text-muted">Discord token required</small>
-                        </div>
-                    </div>
-                `;
-            }
-        }
+        renderBotStatus(data);
     } catch (error) {
         console.error("Error checking bot status:", error);
         const statusElement = document.getElementById("status");
@@ -169,6 +416,51 @@ async function checkBotStatus() {
     }
 }
 
+// Show the bot status from /api/health or a live bot_status event
+function renderBotStatus(data) {
+    const statusElement = document.getElementById("status");
+    const botStatusElement = document.getElementById("botStatus");
+    console.log("Status element:", statusElement);
+    console.log("Bot status element:", botStatusElement);
+
+    if (data.botReady) {
+        botTag = data.botTag;
+        if (statusElement) {
+            statusElement.textContent = "Bot Online";
+            statusElement.className = "badge bg-success";
+        }
+
+        if (botStatusElement) {
+            botStatusElement.innerHTML = `
+                <div class="d-flex align-items-center">
+                    <div class="bg-success rounded-circle me-2" style="width: 8px; height: 8px;"></div>
+                    <div>
+                        <strong>Online</strong><br>
+                        <small class="text-muted">${data.botTag}</small>
+                    </div>
+                </div>
+            `;
+        }
+    } else {
+        if (statusElement) {
+            statusElement.textContent = "Bot Offline";
+            statusElement.className = "badge bg-danger";
+        }
+
+        if (botStatusElement) {
+            botStatusElement.innerHTML = `
+                <div class="d-flex align-items-center">
+                    <div class="bg-danger rounded-circle me-2" style="width: 8px; height: 8px;"></div>
+                    <div>
+                        <strong>Offline</strong><br>
+                        <small class="text-muted">${botTag ? "Disconnected from Discord" : "Discord token required"}</small>
+                    </div>
+                </div>
+            `;
+        }
+    }
+}
+
 // Load available channels
 async function loadChannels() {
     console.log("loadChannels called");
@@ -183,6 +475,9 @@ async function loadChannels() {
         }
 
         guilds = await response.json();
+        guilds.forEach((guild) =>
+            guild.channels.forEach((channel) => mentionNames.set(`channel:${channel.id}`, channel.name)),
+        );
         console.log("Guilds data received:", guilds);
 
         const guildSelect = document.getElementById("guildSelect");
@@ -196,6 +491,8 @@ async function loadChannels() {
             option.textContent = guild.name;
             guildSelect.appendChild(option);
         });
+        updateCrossPostSelect();
+        updateMessageGuildFilter();
     } catch (error) {
         console.error("Error loading channels:", error);
         const guildSelect = document.getElementById("guildSelect");
@@ -225,11 +522,37 @@ function updateChannelSelect() {
                 console.log("Adding channel:", channel.name);
                 const option = document.createElement("option");
                 option.value = channel.id;
-                option.textContent = `# ${channel.name}`;
+                option.textContent = `# ${channel.name}${channel.requiresApproval ? " (needs approval)" : ""}`;
                 channelSelect.appendChild(option);
             });
         }
     }
+    updateCrossPostSelect();
+}
+
+// List every channel, grouped by server, as extra targets for the message - all but the one picked above
+// The picked channels stay picked when the list is redrawn
+function updateCrossPostSelect(selectedIds) {
+    const select = document.getElementById("crossPostSelect");
+    const primaryId = document.getElementById("channelSelect").value;
+    const selected = new Set(selectedIds || Array.from(select.selectedOptions, (option) => option.value));
+
+    select.innerHTML = guilds
+        .map((guild) => {
+            const options = guild.channels
+                .filter((channel) => channel.id !== primaryId)
+                .map(
+                    (channel) =>
+                        `<option value="${escapeHtml(channel.id)}" ${selected.has(channel.id) ? "selected" : ""}># ${escapeHtml(channel.name)}${channel.requiresApproval ? " (needs approval)" : ""}</option>`,
+                )
+                .join("");
+            return options ? `<optgroup label="${escapeHtml(guild.name)}">${options}</optgroup>` : "";
+        })
+        .join("");
+}
+
+function crossPostChannelIds() {
+    return Array.from(document.getElementById("crossPostSelect").selectedOptions, (option) => option.value);
 }
 
 // Refresh both servers and channels
@@ -254,157 +577,3024 @@ async function refreshServersAndChannels() {
     updateChannelSelect();
 }
 
-// Toggle embed fields visibility
-function toggleEmbedFields() {
-    const useEmbed = document.getElementById('useEmbed').checked;
-    const embedFields = document.getElementById('embedFields');
-    
-    if (useEmbed) {
-        embedFields.style.display = 'block';
-    } else {
-        embedFields.style.display = 'none';
-    }
+// Most embeds Discord allows in one message
+const MAX_EMBEDS = 10;
+
+// Build the inputs of one embed (title, color, description, author, footer, images, URL, timestamp, fields)
+// Inputs are found by class, so the send form and the edit modal can hold any number of these
+function renderEmbedEditor() {
+    return `
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <strong class="embed-editor-label">Embed</strong>
+            <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeEmbedEditor(this)">
+                Remove Embed
+            </button>
+        </div>
+        <div class="row g-2 mb-3">
+            <div class="col-md-9">
+                <label class="form-label">Title (Optional)</label>
+                <input type="text" class="form-control embed-title" placeholder="Enter embed title" maxlength="256" />
+            </div>
+            <div class="col-md-3">
+                <label class="form-label">Color</label>
+                <input type="color" class="form-control form-control-color embed-color" value="#5865F2" />
+            </div>
+        </div>
+        <div class="mb-3">
+            <label class="form-label">Description (Optional)</label>
+            <textarea class="form-control embed-description" rows="3" placeholder="Embed text" maxlength="4096"></textarea>
+        </div>
+        <div class="row g-2 mb-3">
+            <div class="col-md-6">
+                <label class="form-label">Title URL (Optional)</label>
+                <input type="url" class="form-control embed-url" placeholder="https://..." />
+            </div>
+            <div class="col-md-6 d-flex align-items-end">
+                <div class="form-check mb-2">
+                    <label class="form-check-label">
+                        <input class="form-check-input embed-timestamp" type="checkbox" />
+                        Show timestamp
+                    </label>
+                </div>
+            </div>
+        </div>
+        <div class="row g-2 mb-3">
+            <div class="col-md-4">
+                <label class="form-label">Author (Optional)</label>
+                <input type="text" class="form-control embed-author-name" placeholder="Author name" />
+            </div>
+            <div class="col-md-4">
+                <label class="form-label">Author URL</label>
+                <input type="url" class="form-control embed-author-url" placeholder="https://..." />
+            </div>
+            <div class="col-md-4">
+                <label class="form-label">Author Icon URL</label>
+                <input type="url" class="form-control embed-author-icon" placeholder="https://..." />
+            </div>
+        </div>
+        <div class="row g-2 mb-3">
+            <div class="col-md-6">
+                <label class="form-label">Thumbnail URL (Optional)</label>
+                <input type="url" class="form-control embed-thumbnail" placeholder="https://..." />
+            </div>
+            <div class="col-md-6">
+                <label class="form-label">Image URL (Optional)</label>
+                <input type="url" class="form-control embed-image" placeholder="https://..." />
+            </div>
+        </div>
+        <div class="row g-2 mb-3">
+            <div class="col-md-8">
+                <label class="form-label">Footer (Optional)</label>
+                <input type="text" class="form-control embed-footer-text" placeholder="Footer text" />
+            </div>
+            <div class="col-md-4">
+                <label class="form-label">Footer Icon URL</label>
+                <input type="url" class="form-control embed-footer-icon" placeholder="https://..." />
+            </div>
+        </div>
+        <div>
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <label class="form-label mb-0">Fields</label>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="addEmbedField(this.closest('.embed-editor'))">
+                    Add Field
+                </button>
+            </div>
+            <div class="embed-fields-list"></div>
+        </div>
+    `;
 }
 
-// Send a message
-async function sendMessage(event) {
-    console.log("sendMessage called");
-    
-    // Prevent default form submission if event exists
-    if (event && event.preventDefault) {
-        event.preventDefault();
+// Add an embed editor to a list, filled from a stored embed if one is given
+function addEmbedEditor(listId, embed) {
+    const list = document.getElementById(listId);
+    if (list.querySelectorAll(".embed-editor").length >= MAX_EMBEDS) {
+        showAlert(`A message can have at most ${MAX_EMBEDS} embeds`, "warning");
+        return;
     }
 
-    const channelId = document.getElementById("channelSelect").value;
-    const content = document.getElementById("messageContent").value;
-    const useEmbed = document.getElementById("useEmbed").checked;
-    const title = useEmbed ? document.getElementById("messageTitle").value : "";
-    const color = useEmbed ? document.getElementById("embedColor").value : "#5865F2";
+    const editor = document.createElement("div");
+    editor.className = "embed-editor";
+    editor.innerHTML = renderEmbedEditor();
+    list.appendChild(editor);
 
-    if (!channelId || !content.trim()) {
-        showAlert(
-            "Please select a channel and enter message content",
-            "danger",
-        );
-        return;
+    if (embed) {
+        fillEmbedEditor(editor, embed);
     }
+    numberEmbedEditors(list);
+}
 
-    // Find the submit button
-    const submitBtn = document.querySelector('#messageForm button[type="submit"]');
-    if (submitBtn) {
-        submitBtn.disabled = true;
-        submitBtn.textContent = "Sending...";
-    }
-    try {
-        const response = await fetch("/api/send-message", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-            },
-            credentials: "include",
-            body: JSON.stringify({
-                channelId,
-                content: content.trim(),
-                useEmbed: useEmbed,
-                title: useEmbed && title.trim() ? title.trim() : null,
-                color: useEmbed && color !== "#5865F2" ? color : null,
-            }),
-        });
+// Remove an embed editor from its list
+function removeEmbedEditor(button) {
+    const list = button.closest(".embed-editor").parentElement;
+    button.closest(".embed-editor").remove();
+    numberEmbedEditors(list);
+}
 
-        const result = await response.json();
+// Label the embed editors of a list "Embed 1", "Embed 2", ...
+function numberEmbedEditors(list) {
+    list.querySelectorAll(".embed-editor").forEach((editor, i) => {
+        editor.querySelector(".embed-editor-label").textContent = `Embed ${i + 1}`;
+    });
+}
 
-        console.log("Send message result:", result);
-        if (result.success) {
-            showAlert("Message sent successfully!", "success");
-            document.getElementById("messageForm").reset();
-            document.getElementById("embedColor").value = "#5865F2";
-            loadMessages();
-        } else {
-            showAlert(result.error || "Failed to send message", "danger");
-        }
-    } catch (error) {
-        console.error("Error sending message:", error);
-        showAlert("Failed to send message", "danger");
-    } finally {
-        if (submitBtn) {
-            submitBtn.disabled = false;
-            submitBtn.textContent = "Send Message";
-        }
-    }
-    toggleEmbedFields();
+// Add a field row to an embed editor
+function addEmbedField(editor, field = {}) {
+    const row = document.createElement("div");
+    row.className = "row g-2 mb-2 embed-field-row";
+    row.innerHTML = `
+        <div class="col-md-4">
+            <input type="text" class="form-control embed-field-name" placeholder="Field name" maxlength="256" />
+        </div>
+        <div class="col-md-5">
+            <textarea class="form-control embed-field-value" rows="1" placeholder="Field value" maxlength="1024"></textarea>
+        </div>
+        <div class="col-md-2 d-flex align-items-center">
+            <div class="form-check">
+                <input class="form-check-input embed-field-inline" type="checkbox" />
+                <label class="form-check-label">Inline</label>
+            </div>
+        </div>
+        <div class="col-md-1">
+            <button type="button" class="btn btn-outline-danger btn-sm w-100" onclick="this.closest('.embed-field-row').remove()">
+                &times;
+            </button>
+        </div>
+    `;
+    row.querySelector(".embed-field-name").value = field.name || "";
+    row.querySelector(".embed-field-value").value = field.value || "";
+    row.querySelector(".embed-field-inline").checked = !!field.inline;
+
+    editor.querySelector(".embed-fields-list").appendChild(row);
 }
 
-// Load message history
-async function loadMessages() {
-    try {
-        const response = await fetch("/api/messages", {
-            credentials: "include",
-        });
+// Read one embed editor
+function readEmbedEditor(editor) {
+    const value = (cls) => editor.querySelector(`.${cls}`).value.trim();
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+    return {
+        title: value("embed-title") || null,
+        color: value("embed-color"),
+        description: value("embed-description") || null,
+        url: value("embed-url") || null,
+        timestamp: editor.querySelector(".embed-timestamp").checked,
+        author: value("embed-author-name")
+            ? { name: value("embed-author-name"), url: value("embed-author-url") || null, iconUrl: value("embed-author-icon") || null }
+            : null,
+        footer: value("embed-footer-text")
+            ? { text: value("embed-footer-text"), iconUrl: value("embed-footer-icon") || null }
+            : null,
+        thumbnailUrl: value("embed-thumbnail") || null,
+        imageUrl: value("embed-image") || null,
+        fields: Array.from(editor.querySelectorAll(".embed-field-row"))
+            .map((row) => ({
+                name: row.querySelector(".embed-field-name").value.trim(),
+                value: row.querySelector(".embed-field-value").value.trim(),
+                inline: row.querySelector(".embed-field-inline").checked,
+            }))
+            .filter((field) => field.name || field.value),
+    };
+}
 
-        messages = await response.json();
-        renderMessages();
-    } catch (error) {
-        console.error("Error loading messages:", error);
-        const container = document.getElementById("messagesContainer");
-        if (container) {
-            if (error.message.includes("401")) {
-                container.innerHTML =
-                    '<div class="alert alert-warning">Please login to view message history</div>';
-            } else {
-                container.innerHTML =
-                    '<div class="alert alert-danger">Failed to load messages</div>';
-            }
-        }
-    }
+// Read every embed editor of a list
+function readEmbedEditors(listId) {
+    return Array.from(document.querySelectorAll(`#${listId} .embed-editor`)).map(readEmbedEditor);
 }
 
-// Render messages in the UI
-function renderMessages() {
-    const container = document.getElementById("messagesContainer");
+// Fill an embed editor from a stored embed
+function fillEmbedEditor(editor, embed) {
+    const set = (cls, value) => {
+        editor.querySelector(`.${cls}`).value = value || "";
+    };
 
-    if (messages.length === 0) {
-        container.innerHTML =
-            '<div class="text-center text-muted p-4">No messages sent yet</div>';
-        return;
+    set("embed-title", embed.title);
+    set("embed-color", embed.color || "#5865F2");
+    set("embed-description", embed.description);
+    set("embed-url", embed.url);
+    set("embed-author-name", embed.author && embed.author.name);
+    set("embed-author-url", embed.author && embed.author.url);
+    set("embed-author-icon", embed.author && embed.author.iconUrl);
+    set("embed-thumbnail", embed.thumbnailUrl);
+    set("embed-image", embed.imageUrl);
+    set("embed-footer-text", embed.footer && embed.footer.text);
+    set("embed-footer-icon", embed.footer && embed.footer.iconUrl);
+    editor.querySelector(".embed-timestamp").checked = !!embed.timestamp;
+
+    editor.querySelector(".embed-fields-list").innerHTML = "";
+    (embed.fields || []).forEach((field) => addEmbedField(editor, field));
+}
+
+// Replace the embed editors of a list with the given embeds
+function fillEmbedEditors(listId, embeds) {
+    document.getElementById(listId).innerHTML = "";
+    (embeds || []).forEach((embed) => addEmbedEditor(listId, embed));
+}
+
+// Request body and headers for a message payload - multipart with the payload in "payload_json" when there are files
+function jsonOrMultipart(payload, files) {
+    if (files.length === 0) {
+        return {
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(payload),
+        };
     }
 
-    const sortedMessages = messages.sort(
-        (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
-    );
+    const formData = new FormData();
+    formData.append("payload_json", JSON.stringify(payload));
+    files.forEach((file) => formData.append("files", file));
+    return { body: formData };
+}
 
-    container.innerHTML = sortedMessages
-        .map((message) => {
-            const timestamp = new Date(message.timestamp).toLocaleString();
-            const editedText = message.lastEdited
-                ? ` (edited ${new Date(message.lastEdited).toLocaleString()})`
-                : "";
+// Human readable file size
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
-            return `
-            <div class="message-item">
-                <div class="message-header">
-                    <div class="message-info">
-                        <h6 class="mb-1">${message.title || "Message"}</h6>
-                        <div class="message-meta">
-                            <span><strong>Server:</strong> ${message.guildName}</span>
-                            <span><strong>Channel:</strong> # ${message.channelName}</span>
+// Content and embeds of a message, scheduled job or revision
+// Records from before multiple embeds were supported hold a single embed in content/title/color/embed
+function messageParts(message) {
+    if (Array.isArray(message.embeds)) {
+        return { content: message.content || "", embeds: message.embeds };
+    }
+    if (message.isEmbed || message.useEmbed) {
+        return {
+            content: "",
+            embeds: [{ ...(message.embed || {}), description: message.content, title: message.title, color: message.color }],
+        };
+    }
+    return { content: message.content || "", embeds: [] };
+}
+
+// Render the content and embeds of a message for the history, schedule and revision lists
+function renderMessageBody(message) {
+    const { content, embeds } = messageParts(message);
+    const contentHtml = content
+        ? `<div class="message-content">${renderDiscordMarkdown(content)}</div>`
+        : "";
+    const embedsHtml = embeds
+        .map(
+            (embed) => `
+            <div class="message-content embed" ${embed.color ? `style="border-left-color: ${escapeHtml(embed.color)};"` : ""}>
+                ${embed.title ? `<div class="embed-title">${escapeHtml(embed.title)}</div>` : ""}
+                ${embed.description ? renderDiscordMarkdown(embed.description) : ""}
+                ${embed.fields && embed.fields.length > 0 ? `<div class="small text-muted mt-1">${embed.fields.length} field(s)</div>` : ""}
+            </div>
+        `,
+        )
+        .join("");
+    const attachmentsHtml = (message.attachments || []).length > 0
+        ? `<div class="message-attachments">${message.attachments
+              .map((a) => `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener">📎 ${escapeHtml(a.name)}</a> <span class="text-muted small">(${formatBytes(a.size)})</span>`)
+              .join("<br />")}</div>`
+        : "";
+
+    return contentHtml + embedsHtml + attachmentsHtml;
+}
+
+// Title shown above a message in the lists - the first embed title if there is one
+function messageHeading(message, fallback) {
+    const titled = messageParts(message).embeds.find((embed) => embed.title);
+    return titled ? escapeHtml(titled.title) : fallback;
+}
+
+// Display name for a mention in the preview, from the servers loaded into the mention picker
+function mentionName(type, id) {
+    const name = mentionNames.get(`${type}:${id}`);
+    if (type === "channel") {
+        return `#${name || "unknown-channel"}`;
+    }
+    if (type === "role") {
+        return name && name.startsWith("@") ? name : `@${name || "unknown-role"}`;
+    }
+    return `@${name || id}`;
+}
+
+// Render Discord markdown as HTML: code blocks, inline code, headers, lists, quotes, subtext,
+// bold, italics, underline, strikethrough, spoilers, links, mentions, custom emoji and timestamps
+function renderDiscordMarkdown(text) {
+    // Finished HTML (code, links, mentions) is parked here so later rules do not touch it
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let html = escapeHtml(text || "");
+
+    html = html.replace(/```(?:[\w+-]+\n)?([\s\S]*?)```/g, (match, code) =>
+        keep(`<pre class="dc-codeblock"><code>${code.replace(/^\n/, "")}</code></pre>`));
+    html = html.replace(/`([^`\n]+)`/g, (match, code) => keep(`<code class="dc-code">${code}</code>`));
+
+    html = html.replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) =>
+        keep(`<a href="${url}" target="_blank" rel="noopener">${label}</a>`));
+    html = html.replace(/&lt;(https?:\/\/[^\s]+?)&gt;/g, (match, url) =>
+        keep(`<a href="${url}" target="_blank" rel="noopener">${url}</a>`));
+    html = html.replace(/https?:\/\/[^\s\u0000]+?(?=&gt;|[\s\u0000]|$)/g, (url) =>
+        keep(`<a href="${url}" target="_blank" rel="noopener">${url}</a>`));
+
+    html = html.replace(/&lt;@&amp;(\d+)&gt;/g, (match, id) =>
+        keep(`<span class="dc-mention">${escapeHtml(mentionName("role", id))}</span>`));
+    html = html.replace(/&lt;@!?(\d+)&gt;/g, (match, id) =>
+        keep(`<span class="dc-mention">${escapeHtml(mentionName("user", id))}</span>`));
+    html = html.replace(/&lt;#(\d+)&gt;/g, (match, id) =>
+        keep(`<span class="dc-mention">${escapeHtml(mentionName("channel", id))}</span>`));
+    html = html.replace(/@(everyone|here)\b/g, (match) => keep(`<span class="dc-mention">${match}</span>`));
+    html = html.replace(/&lt;a?:(\w+):\d+&gt;/g, ":$1:");
+    html = html.replace(/&lt;t:(-?\d+)(?::[tTdDfFR])?&gt;/g, (match, seconds) =>
+        keep(`<span class="dc-timestamp">${new Date(seconds * 1000).toLocaleString()}</span>`));
+
+    html = renderMarkdownBlocks(html)
+        .replace(/\|\|(.+?)\|\|/g, '<span class="dc-spoiler" onclick="this.classList.add(\'revealed\')">$1</span>')
+        .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/__(.+?)__/g, "<u>$1</u>")
+        .replace(/\*([^*\s](?:.*?[^*\s])?)\*/g, "<em>$1</em>")
+        .replace(/\b_([^_]+)_\b/g, "<em>$1</em>")
+        .replace(/~~(.+?)~~/g, "<s>$1</s>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => stash[i]);
+}
+
+// Line based markdown: headers, subtext, block quotes and lists (input is already HTML escaped)
+function renderMarkdownBlocks(html) {
+    const lines = html.split("\n");
+    const output = [];
+    let list = null;
+
+    const closeList = () => {
+        if (list) {
+            output.push(`<${list.tag}>${list.items.map((item) => `<li>${item}</li>`).join("")}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let match;
+
+        if (line.startsWith("&gt;&gt;&gt; ")) {
+            closeList();
+            const rest = [line.slice(13), ...lines.slice(i + 1)].join("\n");
+            output.push(`<blockquote class="dc-quote">${renderMarkdownBlocks(rest)}</blockquote>`);
+            break;
+        } else if (line.startsWith("&gt; ")) {
+            closeList();
+            const quoted = [line.slice(5)];
+            while (i + 1 < lines.length && lines[i + 1].startsWith("&gt; ")) {
+                quoted.push(lines[++i].slice(5));
+            }
+            output.push(`<blockquote class="dc-quote">${renderMarkdownBlocks(quoted.join("\n"))}</blockquote>`);
+        } else if ((match = line.match(/^(#{1,3}) (.+)$/))) {
+            closeList();
+            const level = match[1].length;
+            output.push(`<div class="dc-h${level}">${match[2]}</div>`);
+        } else if ((match = line.match(/^-# (.+)$/))) {
+            closeList();
+            output.push(`<div class="dc-subtext">${match[1]}</div>`);
+        } else if ((match = line.match(/^\s*[-*] (.+)$/)) || (match = line.match(/^\s*\d+\. (.+)$/))) {
+            const tag = /^\s*\d/.test(line) ? "ol" : "ul";
+            if (list && list.tag !== tag) closeList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(match[1]);
+        } else {
+            closeList();
+            output.push(`${line}<br>`);
+        }
+    }
+    closeList();
+
+    // No line break after the last line
+    return output.join("").replace(/<br>$/, "");
+}
+
+// Object URLs for files picked in the browser, so attachment:// images show in the preview
+const previewFileUrls = new WeakMap();
+
+function previewFileUrl(file) {
+    if (!previewFileUrls.has(file)) {
+        previewFileUrls.set(file, URL.createObjectURL(file));
+    }
+    return previewFileUrls.get(file);
+}
+
+// Render a message the way Discord shows it: bot name, content, embeds with color bar, attachments
+// `attachments` is a list of { name, url, isImage } for files already on the message or picked for upload
+function renderMessagePreview({ content, embeds, attachments }) {
+    const imageUrl = (url) => {
+        if (!url) return null;
+        if (url.startsWith("attachment://")) {
+            const attachment = attachments.find((a) => a.name === url.slice("attachment://".length));
+            return attachment ? attachment.url : null;
+        }
+        return /^https?:\/\//.test(url) ? url : null;
+    };
+    // Files shown inside an embed are not listed again below the message
+    const usedInEmbeds = new Set(
+        embeds.flatMap((embed) => [embed.imageUrl, embed.thumbnailUrl, embed.author && embed.author.iconUrl, embed.footer && embed.footer.iconUrl])
+            .filter((url) => url && url.startsWith("attachment://"))
+            .map((url) => url.slice("attachment://".length)),
+    );
+
+    const embedsHtml = embeds
+        .map((embed) => {
+            const author = embed.author
+                ? `<div class="dc-embed-author">
+                        ${imageUrl(embed.author.iconUrl) ? `<img src="${escapeHtml(imageUrl(embed.author.iconUrl))}" alt="" />` : ""}
+                        ${embed.author.url ? `<a href="${escapeHtml(embed.author.url)}" target="_blank" rel="noopener">${escapeHtml(embed.author.name)}</a>` : escapeHtml(embed.author.name)}
+                    </div>`
+                : "";
+            const title = embed.title
+                ? `<div class="dc-embed-title">${embed.url ? `<a href="${escapeHtml(embed.url)}" target="_blank" rel="noopener">${escapeHtml(embed.title)}</a>` : escapeHtml(embed.title)}</div>`
+                : "";
+            const fields = (embed.fields || []).length > 0
+                ? `<div class="dc-embed-fields">${embed.fields
+                      .map((field) => `
+                        <div class="dc-embed-field ${field.inline ? "inline" : ""}">
+                            <div class="dc-embed-field-name">${renderDiscordMarkdown(field.name)}</div>
+                            <div>${renderDiscordMarkdown(field.value)}</div>
+                        </div>`)
+                      .join("")}</div>`
+                : "";
+            const footerParts = [
+                embed.footer ? escapeHtml(embed.footer.text) : "",
+                embed.timestamp ? new Date(embed.timestamp === true ? Date.now() : embed.timestamp).toLocaleString() : "",
+            ].filter(Boolean);
+            const footer = footerParts.length > 0
+                ? `<div class="dc-embed-footer">
+                        ${embed.footer && imageUrl(embed.footer.iconUrl) ? `<img src="${escapeHtml(imageUrl(embed.footer.iconUrl))}" alt="" />` : ""}
+                        ${footerParts.join(" • ")}
+                    </div>`
+                : "";
+            const thumbnail = imageUrl(embed.thumbnailUrl)
+                ? `<img class="dc-embed-thumbnail" src="${escapeHtml(imageUrl(embed.thumbnailUrl))}" alt="" />`
+                : "";
+            const image = imageUrl(embed.imageUrl)
+                ? `<img class="dc-embed-image" src="${escapeHtml(imageUrl(embed.imageUrl))}" alt="" />`
+                : "";
+
+            return `
+            <div class="dc-embed" style="border-left-color: ${escapeHtml(embed.color || "#1e1f22")};">
+                ${thumbnail}
+                ${author}
+                ${title}
+                ${embed.description ? `<div class="dc-embed-description">${renderDiscordMarkdown(embed.description)}</div>` : ""}
+                ${fields}
+                ${image}
+                ${footer}
+            </div>`;
+        })
+        .join("");
+
+    const attachmentsHtml = attachments
+        .filter((a) => !usedInEmbeds.has(a.name))
+        .map((a) => a.isImage
+            ? `<img class="dc-attachment-image" src="${escapeHtml(a.url)}" alt="${escapeHtml(a.name)}" />`
+            : `<div class="dc-attachment">📎 ${escapeHtml(a.name)}</div>`)
+        .join("");
+
+    if (!content && embeds.length === 0 && attachments.length === 0) {
+        return '<div class="text-muted small">Start typing to see a preview.</div>';
+    }
+
+    return `
+        <div class="dc-message">
+            <div class="dc-avatar">${escapeHtml((botTag || "Bot").charAt(0).toUpperCase())}</div>
+            <div class="dc-body">
+                <div class="dc-header">
+                    <span class="dc-username">${escapeHtml((botTag || "Bot").split("#")[0])}</span>
+                    <span class="dc-app-tag">APP</span>
+                    <span class="dc-time">Today at ${new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>
+                </div>
+                ${content ? `<div class="dc-content">${renderDiscordMarkdown(content)}</div>` : ""}
+                ${embedsHtml}
+                ${attachmentsHtml}
+            </div>
+        </div>
+    `;
+}
+
+// Preview attachments for files picked in a file input
+function pickedFileAttachments(inputId) {
+    return Array.from(document.getElementById(inputId).files).map((file) => ({
+        name: file.name,
+        url: previewFileUrl(file),
+        isImage: file.type.startsWith("image/"),
+    }));
+}
+
+// Redraw the send form preview
+function updateMessagePreview() {
+    document.getElementById("messagePreview").innerHTML = renderMessagePreview({
+        content: document.getElementById("messageContent").value,
+        embeds: readEmbedEditors("embedList"),
+        attachments: pickedFileAttachments("messageFiles"),
+    });
+}
+
+// Redraw the edit modal preview - only the attachments that stay checked are shown
+function updateEditPreview() {
+    const message = messages.find((m) => m.id === document.getElementById("editMessageId").value);
+    const kept = Array.from(document.querySelectorAll("#editAttachments .edit-keep-attachment:checked")).map((input) => input.value);
+    const storedAttachments = ((message && message.attachments) || [])
+        .filter((a) => kept.includes(a.id))
+        .map((a) => ({ name: a.name, url: a.url, isImage: (a.contentType || "").startsWith("image/") }));
+
+    document.getElementById("editPreview").innerHTML = renderMessagePreview({
+        content: document.getElementById("editContent").value,
+        embeds: readEmbedEditors("editEmbedList"),
+        attachments: [...storedAttachments, ...pickedFileAttachments("editFiles")],
+    });
+}
+
+// Redraw a preview whenever its form changes; clicks cover the add/remove buttons of the embed editors
+function watchPreview(formId, update) {
+    let pending = false;
+    const schedule = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            update();
+        });
+    };
+
+    const form = document.getElementById(formId);
+    form.addEventListener("input", schedule);
+    form.addEventListener("change", schedule);
+    form.addEventListener("click", schedule);
+    update();
+}
+
+// Toggle schedule fields visibility
+function toggleScheduleFields() {
+    const useSchedule = document.getElementById('useSchedule').checked;
+    const scheduleFields = document.getElementById('scheduleFields');
+    const submitBtn = document.querySelector('#messageForm button[type="submit"]');
+
+    scheduleFields.style.display = useSchedule ? 'block' : 'none';
+    if (submitBtn) {
+        submitBtn.textContent = useSchedule ? "Schedule Message" : "Send Message";
+    }
+}
+
+// Send a message
+async function sendMessage(event) {
+    console.log("sendMessage called");
+    
+    // Prevent default form submission if event exists
+    if (event && event.preventDefault) {
+        event.preventDefault();
+    }
+
+    const channelId = document.getElementById("channelSelect").value;
+    const content = document.getElementById("messageContent").value;
+    const embeds = readEmbedEditors("embedList");
+    const files = Array.from(document.getElementById("messageFiles").files);
+
+    if (!channelId || (!content.trim() && embeds.length === 0 && files.length === 0)) {
+        showAlert(
+            "Please select a channel and enter message content, add an embed or attach a file",
+            "danger",
+        );
+        return;
+    }
+
+    const useSchedule = document.getElementById("useSchedule").checked;
+    const sendAtValue = document.getElementById("scheduleSendAt").value;
+    const recurrence = document.getElementById("scheduleRecurrence").value.trim();
+
+    if (useSchedule && !sendAtValue && !recurrence) {
+        showAlert("Please choose a send time or a repeat schedule", "danger");
+        return;
+    }
+
+    if (useSchedule && files.length > 0) {
+        showAlert("Attachments can only be sent right away, not scheduled", "danger");
+        return;
+    }
+
+    const extraChannelIds = crossPostChannelIds().filter((id) => id !== channelId);
+    if (useSchedule && extraChannelIds.length > 0) {
+        showAlert("Cross-posts can only be sent right away, not scheduled", "danger");
+        return;
+    }
+
+    // The server removes the draft once the message is sent
+    await flushDraftSave();
+    const payload = {
+        content: content.trim(),
+        embeds,
+        draftId: currentDraft ? currentDraft.id : undefined,
+    };
+    if (extraChannelIds.length > 0) {
+        payload.channelIds = [channelId, ...extraChannelIds];
+    } else {
+        payload.channelId = channelId;
+    }
+
+    if (useSchedule) {
+        // datetime-local is in the browser's time zone, send it as UTC
+        payload.sendAt = sendAtValue ? new Date(sendAtValue).toISOString() : null;
+        payload.recurrence = recurrence || null;
+    }
+
+    // Find the submit button
+    const submitBtn = document.querySelector('#messageForm button[type="submit"]');
+    if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = useSchedule ? "Scheduling..." : "Sending...";
+    }
+    try {
+        const response = await fetch(useSchedule ? "/api/scheduled" : "/api/send-message", {
+            method: "POST",
+            ...jsonOrMultipart(payload, files),
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        console.log("Send message result:", result);
+        // A cross-post reports each channel - the form is kept only when nothing went out
+        if (result.results && (result.sent > 0 || result.pendingApproval > 0)) {
+            showCrossPostResult(result);
+            document.getElementById("messageForm").reset();
+            fillEmbedEditors("embedList", []);
+            updateMessagePreview();
+            detachDraft();
+            loadDrafts();
+            loadMessages();
+        } else if (result.results) {
+            showCrossPostResult(result);
+        } else if (result.success) {
+            if (result.pendingApproval) {
+                showAlert("This channel is in review mode - your message was sent for approval", "info");
+            } else {
+                showAlert(useSchedule ? "Message scheduled successfully!" : "Message sent successfully!", "success");
+            }
+            document.getElementById("messageForm").reset();
+            fillEmbedEditors("embedList", []);
+            updateMessagePreview();
+            detachDraft();
+            loadDrafts();
+            if (useSchedule) {
+                loadScheduled();
+            } else {
+                loadMessages();
+            }
+        } else {
+            showAlert(escapeHtml(result.error) || "Failed to send message", "danger");
+        }
+    } catch (error) {
+        console.error("Error sending message:", error);
+        showAlert("Failed to send message", "danger");
+    } finally {
+        if (submitBtn) {
+            submitBtn.disabled = false;
+        }
+    }
+    toggleScheduleFields();
+}
+
+// Summarize a cross-post, naming every channel that failed
+function showCrossPostResult(result) {
+    const total = result.results.length;
+    const summary = [`Sent to ${result.sent} of ${total} channels`];
+    if (result.pendingApproval > 0) {
+        summary.push(`${result.pendingApproval} waiting for approval`);
+    }
+    const failures = result.results
+        .filter((r) => !r.success)
+        .map((r) => `<br>${escapeHtml(r.guildName)} / #${escapeHtml(r.channelName)}: ${escapeHtml(r.error)}`)
+        .join("");
+    showAlert(
+        `${summary.join(", ")}${failures}`,
+        result.failed === 0 ? (result.pendingApproval > 0 ? "info" : "success") : result.failed === total ? "danger" : "warning",
+    );
+}
+
+// Read the send form as a draft - the schedule time is kept as typed so it refills exactly
+function readDraftForm() {
+    const useSchedule = document.getElementById("useSchedule").checked;
+    return {
+        guildId: document.getElementById("guildSelect").value || null,
+        channelId: document.getElementById("channelSelect").value || null,
+        crossPostChannelIds: crossPostChannelIds(),
+        content: document.getElementById("messageContent").value,
+        embeds: readEmbedEditors("embedList"),
+        schedule: useSchedule
+            ? {
+                  sendAt: document.getElementById("scheduleSendAt").value || null,
+                  recurrence: document.getElementById("scheduleRecurrence").value.trim() || null,
+              }
+            : null,
+    };
+}
+
+function setDraftStatus(text) {
+    document.getElementById("draftStatus").textContent = text;
+}
+
+// Autosave a moment after the last change to the send form
+function queueDraftSave() {
+    clearTimeout(draftSaveTimer);
+    if (draftConflict) return;
+    draftSaveTimer = setTimeout(() => {
+        draftSaveTimer = null;
+        saveDraft();
+    }, 1500);
+}
+
+// Save the form to the current draft, creating one on the first change
+// Saves run one after another, so the draft is created before the first update
+function saveDraft({ keepalive = false } = {}) {
+    draftSaving = draftSaving.then(async () => {
+        const form = readDraftForm();
+        if (!currentDraft && !form.content.trim() && form.embeds.length === 0) return;
+
+        try {
+            const response = await fetch(currentDraft ? `/api/drafts/${currentDraft.id}` : "/api/drafts", {
+                method: currentDraft ? "PUT" : "POST",
+                headers: { "Content-Type": "application/json" },
+                credentials: "include",
+                keepalive,
+                body: JSON.stringify(currentDraft ? { ...form, baseUpdatedAt: currentDraft.updatedAt } : form),
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                currentDraft = result.draft;
+                setDraftStatus(`Draft saved ${new Date(result.draft.updatedAt).toLocaleTimeString()}`);
+                loadDrafts();
+            } else if (response.status === 409) {
+                draftConflict = true;
+                setDraftStatus(`Not saved - ${result.error}. Reopen it from Drafts to see their version.`);
+            } else {
+                setDraftStatus(`Draft not saved: ${result.error || "unknown error"}`);
+            }
+        } catch (error) {
+            console.error("Error saving draft:", error);
+            setDraftStatus("Draft not saved - check your connection");
+        }
+    });
+    return draftSaving;
+}
+
+// Save right away if a save is waiting, e.g. before switching drafts or sending
+async function flushDraftSave() {
+    if (draftSaveTimer) {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = null;
+        await saveDraft();
+    }
+    await draftSaving;
+}
+
+// Forget the current draft (after it was sent or discarded)
+function detachDraft(status = "") {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = null;
+    currentDraft = null;
+    draftConflict = false;
+    setDraftStatus(status);
+}
+
+// Load your drafts and the ones shared with you
+async function loadDrafts() {
+    try {
+        const response = await fetch("/api/drafts", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        drafts = await response.json();
+        document.getElementById("draftsCount").textContent = drafts.length || "";
+        renderDrafts();
+    } catch (error) {
+        console.error("Error loading drafts:", error);
+        document.getElementById("draftsContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load drafts</div>';
+    }
+}
+
+async function showDrafts() {
+    await flushDraftSave();
+    loadDrafts();
+    draftsModal.show();
+}
+
+// Render drafts in the UI
+function renderDrafts() {
+    const container = document.getElementById("draftsContainer");
+    const me = window.currentUser.username;
+
+    if (drafts.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">No drafts</div>';
+        return;
+    }
+
+    container.innerHTML = drafts
+        .map((draft) => {
+            const mine = draft.owner === me;
+            const guild = guilds.find((g) => g.id === draft.guildId);
+            const channel = guild && guild.channels.find((c) => c.id === draft.channelId);
+            const firstLine = draft.content.trim().split("\n")[0];
+            const fallback = firstLine ? escapeHtml(firstLine.slice(0, 80)) : "Untitled draft";
+
+            return `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">
+                            ${messageHeading(draft, fallback)}
+                            ${currentDraft && currentDraft.id === draft.id ? '<span class="badge bg-info ms-2">Open</span>' : ""}
+                            ${draft.shared ? '<span class="badge bg-success ms-2">Shared</span>' : ""}
+                        </h6>
+                        <div class="message-meta">
+                            ${channel ? `<span><strong>Channel:</strong> ${escapeHtml(guild.name)} / # ${escapeHtml(channel.name)}</span>` : ""}
+                            ${mine ? "" : `<span><strong>Owner:</strong> ${escapeHtml(draft.owner)}</span>`}
+                            <span><strong>Saved:</strong> ${new Date(draft.updatedAt).toLocaleString()}${draft.updatedBy !== me ? ` by ${escapeHtml(draft.updatedBy)}` : ""}</span>
+                            ${draft.schedule ? "<span><strong>Scheduled send</strong></span>" : ""}
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        <button class="btn btn-outline-primary btn-sm" onclick="resumeDraft('${draft.id}')">
+                            Resume
+                        </button>
+                        ${mine ? `
+                        <button class="btn btn-outline-secondary btn-sm" onclick="shareDraft('${draft.id}', ${!draft.shared})">
+                            ${draft.shared ? "Unshare" : "Share"}
+                        </button>
+                        <button class="btn btn-outline-danger btn-sm" onclick="discardDraft('${draft.id}')">
+                            Discard
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(draft)}
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// Fill the send form from a draft and keep autosaving into it
+async function resumeDraft(draftId) {
+    await flushDraftSave();
+    const draft = drafts.find((d) => d.id === draftId);
+    if (!draft) return;
+
+    document.getElementById("messageForm").reset();
+    if (draft.guildId) {
+        selectChannel(draft.guildId, draft.channelId || "");
+    }
+    updateCrossPostSelect(draft.crossPostChannelIds || []);
+    document.getElementById("messageContent").value = draft.content;
+    fillEmbedEditors("embedList", draft.embeds);
+    document.getElementById("useSchedule").checked = !!draft.schedule;
+    document.getElementById("scheduleSendAt").value = (draft.schedule && draft.schedule.sendAt) || "";
+    document.getElementById("scheduleRecurrence").value = (draft.schedule && draft.schedule.recurrence) || "";
+    toggleScheduleFields();
+    updateMessagePreview();
+
+    currentDraft = draft;
+    draftConflict = false;
+    setDraftStatus(draft.owner === window.currentUser.username ? "Editing draft" : `Editing ${draft.owner}'s shared draft`);
+    draftsModal.hide();
+}
+
+// Clear the send form for a new message; the current draft stays in the list
+async function startNewMessage() {
+    await flushDraftSave();
+    document.getElementById("messageForm").reset();
+    fillEmbedEditors("embedList", []);
+    toggleScheduleFields();
+    updateMessagePreview();
+    detachDraft();
+    draftsModal.hide();
+}
+
+async function shareDraft(draftId, shared) {
+    try {
+        const response = await fetch(`/api/drafts/${encodeURIComponent(draftId)}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ shared }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            if (currentDraft && currentDraft.id === draftId) currentDraft = result.draft;
+            showAlert(shared ? "Draft shared with other staff" : "Draft is private again", "success");
+        } else {
+            showAlert(result.error || "Failed to share draft", "danger");
+        }
+    } catch (error) {
+        console.error("Error sharing draft:", error);
+        showAlert("Failed to share draft", "danger");
+    }
+    loadDrafts();
+}
+
+async function discardDraft(draftId) {
+    if (!confirm("Discard this draft? It cannot be recovered.")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/drafts/${encodeURIComponent(draftId)}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            if (currentDraft && currentDraft.id === draftId) {
+                document.getElementById("messageForm").reset();
+                fillEmbedEditors("embedList", []);
+                toggleScheduleFields();
+                updateMessagePreview();
+                detachDraft();
+            }
+            showAlert("Draft discarded", "success");
+        } else {
+            showAlert(result.error || "Failed to discard draft", "danger");
+        }
+    } catch (error) {
+        console.error("Error discarding draft:", error);
+        showAlert("Failed to discard draft", "danger");
+    }
+    loadDrafts();
+}
+
+// Live draft_updated event - someone else changed, sent or discarded a shared draft
+function onDraftUpdated(data) {
+    if (data.actor === window.currentUser.username) return;
+
+    loadDrafts();
+    if (currentDraft && currentDraft.id === data.draftId) {
+        if (data.deleted) {
+            detachDraft(`${data.actor} sent or discarded this draft - your changes are no longer saved`);
+        } else if (data.updatedAt !== currentDraft.updatedAt) {
+            draftConflict = true;
+            clearTimeout(draftSaveTimer);
+            setDraftStatus(`${data.actor} changed this draft - reopen it from Drafts to see their version`);
+        }
+    }
+}
+
+// Load pending scheduled messages
+async function loadScheduled() {
+    try {
+        const response = await fetch("/api/scheduled?status=pending", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        scheduledJobs = await response.json();
+        renderScheduled();
+    } catch (error) {
+        console.error("Error loading scheduled messages:", error);
+        const container = document.getElementById("scheduledContainer");
+        if (container) {
+            container.innerHTML =
+                '<div class="alert alert-danger">Failed to load scheduled messages</div>';
+        }
+    }
+}
+
+// Render scheduled messages in the UI
+function renderScheduled() {
+    const container = document.getElementById("scheduledContainer");
+
+    if (scheduledJobs.length === 0) {
+        container.innerHTML =
+            '<div class="text-center text-muted p-4">No scheduled messages</div>';
+        return;
+    }
+
+    const sortedJobs = scheduledJobs.sort(
+        (a, b) => new Date(a.sendAt) - new Date(b.sendAt),
+    );
+
+    container.innerHTML = sortedJobs
+        .map((job) => {
+            const repeatText = job.recurrence
+                ? `<span><strong>Repeats:</strong> <code>${escapeHtml(job.recurrence)}</code></span>`
+                : "";
+            const errorText = job.lastError
+                ? `<span class="text-danger"><strong>Last error:</strong> ${escapeHtml(job.lastError)}</span>`
+                : "";
+
+            return `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">${messageHeading(job, "Scheduled Message")}</h6>
+                        <div class="message-meta">
+                            <span><strong>Server:</strong> ${escapeHtml(job.guildName)}</span>
+                            <span><strong>Channel:</strong> # ${escapeHtml(job.channelName)}</span>
+                            <span><strong>Next send:</strong> ${new Date(job.sendAt).toLocaleString()}</span>
+                            ${repeatText}
+                            ${errorText}
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        ${can("messages:send") ? `
+                        <button class="btn btn-outline-primary btn-sm" onclick="rescheduleMessage('${job.id}')">
+                            Reschedule
+                        </button>
+                        <button class="btn btn-outline-danger btn-sm" onclick="cancelScheduled('${job.id}')">
+                            Cancel
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(job)}
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// Move a scheduled message to a new time or recurrence
+async function rescheduleMessage(jobId) {
+    const job = scheduledJobs.find((j) => j.id === jobId);
+    if (!job) return;
+
+    const current = job.recurrence || new Date(job.sendAt).toLocaleString();
+    const input = prompt(
+        "Enter a new send time (e.g. 2025-01-31 18:00) or a cron expression (e.g. 0 18 * * 5):",
+        current,
+    );
+    if (input === null || !input.trim()) {
+        return;
+    }
+
+    // Five space-separated fields is a cron expression, anything else a date
+    const isCron = input.trim().split(/\s+/).length === 5;
+    let body;
+    if (isCron) {
+        body = { recurrence: input.trim() };
+    } else {
+        const sendAt = new Date(input.trim());
+        if (Number.isNaN(sendAt.getTime())) {
+            showAlert("Invalid date", "danger");
+            return;
+        }
+        body = { sendAt: sendAt.toISOString(), recurrence: null };
+    }
+
+    try {
+        const response = await fetch(`/api/scheduled/${jobId}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify(body),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message rescheduled", "success");
+            loadScheduled();
+        } else {
+            showAlert(escapeHtml(result.error) || "Failed to reschedule message", "danger");
+        }
+    } catch (error) {
+        console.error("Error rescheduling message:", error);
+        showAlert("Failed to reschedule message", "danger");
+    }
+}
+
+// Cancel a scheduled message
+async function cancelScheduled(jobId) {
+    if (!confirm("Are you sure you want to cancel this scheduled message?")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/scheduled/${jobId}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Scheduled message cancelled", "success");
+            loadScheduled();
+        } else {
+            showAlert(result.error || "Failed to cancel scheduled message", "danger");
+        }
+    } catch (error) {
+        console.error("Error cancelling scheduled message:", error);
+        showAlert("Failed to cancel scheduled message", "danger");
+    }
+}
+
+// Variables every template can use without filling them in (see BUILTIN_TEMPLATE_VARIABLES on the server)
+const BUILTIN_TEMPLATE_VARIABLES = ["date", "time", "user", "channel", "server"];
+
+// Load approval requests for the Approvals tab
+async function loadApprovals() {
+    const status = document.getElementById("approvalStatus").value;
+    try {
+        const response = await fetch(`/api/approvals${status ? `?status=${status}` : ""}`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        approvals = await response.json();
+        renderApprovals();
+    } catch (error) {
+        console.error("Error loading approvals:", error);
+        document.getElementById("approvalsContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load approval requests</div>';
+    }
+}
+
+// Render approval requests in the UI
+function renderApprovals() {
+    const container = document.getElementById("approvalsContainer");
+
+    if (approvals.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">No approval requests</div>';
+        return;
+    }
+
+    const statusBadges = {
+        pending: '<span class="badge bg-warning text-dark ms-2">Pending</span>',
+        approved: '<span class="badge bg-success ms-2">Approved</span>',
+        rejected: '<span class="badge bg-danger ms-2">Rejected</span>',
+        withdrawn: '<span class="badge bg-secondary ms-2">Withdrawn</span>',
+    };
+
+    container.innerHTML = approvals
+        .map((approval) => {
+            const mine = isOwnRequest(approval);
+            const schedule = approval.schedule
+                ? `<span><strong>Scheduled:</strong> ${approval.schedule.sendAt ? new Date(approval.schedule.sendAt).toLocaleString() : ""}${approval.schedule.recurrence ? ` <code>${escapeHtml(approval.schedule.recurrence)}</code>` : ""}</span>`
+                : "";
+            const files = approval.attachments.length > 0
+                ? `<div class="message-attachments">${approval.attachments
+                      .map((a) => `📎 ${escapeHtml(a.name)} <span class="text-muted small">(${formatBytes(a.size)})</span>`)
+                      .join("<br />")}</div>`
+                : "";
+            const review = approval.reviewedBy
+                ? `<div class="small mt-2"><strong>${approval.status === "approved" ? "Approved" : "Rejected"} by ${escapeHtml(approval.reviewedBy)}</strong>
+                       ${new Date(approval.reviewedAt).toLocaleString()}${approval.comment ? `: ${escapeHtml(approval.comment)}` : ""}</div>`
+                : "";
+
+            let actions = "";
+            if (approval.status === "pending" && mine) {
+                actions = `
+                    <button class="btn btn-outline-secondary btn-sm" onclick="withdrawApproval('${approval.id}')">
+                        Withdraw
+                    </button>`;
+            } else if (approval.status === "pending" && can("messages:approve")) {
+                actions = `
+                    <button class="btn btn-outline-success btn-sm" onclick="approveRequest('${approval.id}')">
+                        Approve
+                    </button>
+                    <button class="btn btn-outline-danger btn-sm" onclick="rejectRequest('${approval.id}')">
+                        Reject
+                    </button>`;
+            }
+
+            return `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">
+                            ${messageHeading(approval, "Message")}
+                            ${statusBadges[approval.status] || ""}
+                            ${mine ? '<span class="badge bg-info ms-2">Yours</span>' : ""}
+                            ${approval.groupId ? '<span class="badge bg-info text-dark ms-2" title="One copy of a message sent to several channels - once approved it is linked to the others">Cross-posted</span>' : ""}
+                        </h6>
+                        <div class="message-meta">
+                            <span><strong>Server:</strong> ${escapeHtml(approval.guildName)}</span>
+                            <span><strong>Channel:</strong> # ${escapeHtml(approval.channelName)}</span>
+                            <span><strong>By:</strong> ${escapeHtml(approval.requestedBy)}${sourceLabel(approval.requestedFrom)}</span>
+                            <span><strong>Requested:</strong> ${new Date(approval.requestedAt).toLocaleString()}</span>
+                            ${schedule}
+                        </div>
+                    </div>
+                    <div class="message-actions">${actions}</div>
+                </div>
+                ${renderMessageBody({ ...approval, attachments: [] })}
+                ${files}
+                ${review}
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// POST an approve or reject decision
+async function reviewApproval(approvalId, action, comment) {
+    try {
+        const response = await fetch(`/api/approvals/${encodeURIComponent(approvalId)}/${action}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ comment }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(action === "approve" ? "Request approved - the message is on its way" : "Request rejected", "success");
+        } else {
+            showAlert(result.error || `Failed to ${action} request`, "danger");
+        }
+    } catch (error) {
+        console.error(`Error trying to ${action} request:`, error);
+        showAlert(`Failed to ${action} request`, "danger");
+    }
+    loadApprovals();
+    updateApprovalsBadge();
+}
+
+function approveRequest(approvalId) {
+    const comment = prompt("Approve and post this message? Add a comment for the author (optional):", "");
+    if (comment === null) return;
+    reviewApproval(approvalId, "approve", comment);
+}
+
+function rejectRequest(approvalId) {
+    const comment = prompt("Why is this request rejected? The author will see your comment:");
+    if (comment === null) return;
+    if (!comment.trim()) {
+        showAlert("Please add a comment when rejecting a request", "warning");
+        return;
+    }
+    reviewApproval(approvalId, "reject", comment);
+}
+
+// Withdraw one of your own pending requests
+async function withdrawApproval(approvalId) {
+    if (!confirm("Withdraw this request? The message will not be posted.")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/approvals/${encodeURIComponent(approvalId)}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Request withdrawn", "success");
+        } else {
+            showAlert(result.error || "Failed to withdraw request", "danger");
+        }
+    } catch (error) {
+        console.error("Error withdrawing request:", error);
+        showAlert("Failed to withdraw request", "danger");
+    }
+    loadApprovals();
+}
+
+// Show how many pending requests the staff member could review on the tab
+async function updateApprovalsBadge() {
+    if (!can("messages:approve")) return;
+
+    try {
+        const response = await fetch("/api/approvals?status=pending", { credentials: "include" });
+        if (!response.ok) return;
+
+        const count = (await response.json()).filter((a) => !isOwnRequest(a)).length;
+        const badge = document.getElementById("approvalsBadge");
+        badge.textContent = count;
+        badge.style.display = count > 0 ? "inline-block" : "none";
+    } catch (error) {
+        console.error("Error counting approvals:", error);
+    }
+}
+
+// Decisions on your requests are shown once, also when they were made while you were away
+function approvalsSeenKey() {
+    return `approvalsSeenAt:${window.currentUser.username}`;
+}
+
+function markApprovalsSeen() {
+    localStorage.setItem(approvalsSeenKey(), new Date().toISOString());
+}
+
+function notifyApprovalDecision(approval) {
+    const outcome = approval.status === "approved" ? "approved" : "rejected";
+    showAlert(
+        `Your message to #${escapeHtml(approval.channelName)} was ${outcome} by ${escapeHtml(approval.reviewedBy)}${approval.comment ? `: "${escapeHtml(approval.comment)}"` : ""}`,
+        approval.status === "approved" ? "success" : "warning",
+    );
+}
+
+// On load: the badge, plus decisions made on your requests since you last looked
+async function checkApprovals() {
+    updateApprovalsBadge();
+
+    try {
+        const response = await fetch("/api/approvals", { credentials: "include" });
+        if (!response.ok) return;
+
+        const seenAt = localStorage.getItem(approvalsSeenKey()) || "";
+        (await response.json())
+            .filter((a) => isOwnRequest(a) && a.reviewedAt && a.reviewedAt > seenAt)
+            .forEach(notifyApprovalDecision);
+        markApprovalsSeen();
+    } catch (error) {
+        console.error("Error checking approvals:", error);
+    }
+}
+
+// Live approval_updated event - a request was made, decided or withdrawn
+function onApprovalUpdated(data) {
+    updateApprovalsBadge();
+    if (document.getElementById("approvalsTab").style.display !== "none") {
+        loadApprovals();
+    }
+    if (data.status === "approved") {
+        queueReload("messages", "scheduled");
+    }
+
+    if (isOwnRequest(data) && data.actor !== data.requestedBy &&
+        (data.status === "approved" || data.status === "rejected")) {
+        notifyApprovalDecision(data);
+        markApprovalsSeen();
+    }
+}
+
+// Review mode switches for every channel (admins only)
+function renderReviewChannels() {
+    if (!can("channels:manage")) return;
+
+    document.getElementById("reviewChannelsContainer").innerHTML = guilds
+        .map(
+            (guild) => `
+            <div class="mb-3">
+                <strong>${escapeHtml(guild.name)}</strong>
+                ${guild.channels
+                    .map(
+                        (channel) => `
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" id="review-${channel.id}"
+                            ${channel.requiresApproval ? "checked" : ""}
+                            onchange="setReviewMode('${channel.id}', this.checked)" />
+                        <label class="form-check-label" for="review-${channel.id}"># ${escapeHtml(channel.name)}</label>
+                    </div>`,
+                    )
+                    .join("")}
+            </div>
+        `,
+        )
+        .join("") || '<div class="text-muted">No channels</div>';
+}
+
+async function setReviewMode(channelId, required) {
+    try {
+        const response = await fetch(`/api/channels/${encodeURIComponent(channelId)}/review`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ required }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            guilds.forEach((guild) =>
+                guild.channels.forEach((channel) => {
+                    if (channel.id === channelId) channel.requiresApproval = required;
+                }),
+            );
+            showAlert(required ? "Sends to this channel now need approval" : "Review mode turned off for this channel", "success");
+        } else {
+            showAlert(result.error || "Failed to change review mode", "danger");
+        }
+    } catch (error) {
+        console.error("Error changing review mode:", error);
+        showAlert("Failed to change review mode", "danger");
+    }
+
+    // The send form's channel list marks channels that need approval
+    const channelSelect = document.getElementById("channelSelect");
+    const selected = channelSelect.value;
+    updateChannelSelect();
+    channelSelect.value = selected;
+    updateCrossPostSelect();
+    renderReviewChannels();
+}
+
+// Load the template library
+async function loadTemplates() {
+    try {
+        const response = await fetch("/api/templates", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        templates = await response.json();
+        renderTemplates();
+        updateTemplateSelect();
+    } catch (error) {
+        console.error("Error loading templates:", error);
+        document.getElementById("templatesContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load templates</div>';
+    }
+}
+
+// Render the template library
+function renderTemplates() {
+    const container = document.getElementById("templatesContainer");
+
+    if (templates.length === 0) {
+        container.innerHTML =
+            '<div class="text-center text-muted p-4">No templates yet</div>';
+        return;
+    }
+
+    container.innerHTML = templates
+        .map(
+            (template) => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">${escapeHtml(template.name)}</h6>
+                        <div class="message-meta">
+                            ${template.description ? `<span>${escapeHtml(template.description)}</span>` : ""}
+                            ${template.channelName ? `<span><strong>Channel:</strong> ${escapeHtml(template.guildName)} / # ${escapeHtml(template.channelName)}</span>` : ""}
+                            ${template.variables.length > 0 ? `<span><strong>Variables:</strong> ${template.variables.map((v) => `<code>{${escapeHtml(v.name)}}</code>`).join(" ")}</span>` : ""}
+                            <span><strong>By:</strong> ${escapeHtml(template.updatedBy || template.createdBy)}</span>
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        ${can("messages:send") ? `
+                        <button class="btn btn-outline-success btn-sm" onclick="useTemplate('${template.id}')">
+                            Use
+                        </button>` : ""}
+                        ${can("templates:manage") ? `
+                        <button class="btn btn-outline-primary btn-sm" onclick="editTemplate('${template.id}')">
+                            Edit
+                        </button>
+                        <button class="btn btn-outline-danger btn-sm" onclick="deleteTemplate('${template.id}')">
+                            Delete
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(template)}
+            </div>
+        `,
+        )
+        .join("");
+}
+
+// Fill the template dropdown of the send form
+function updateTemplateSelect() {
+    const select = document.getElementById("templateSelect");
+    const selected = select.value;
+
+    select.innerHTML =
+        '<option value="">No template</option>' +
+        templates.map((t) => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join("");
+    select.value = templates.some((t) => t.id === selected) ? selected : "";
+    onTemplateSelected();
+}
+
+// Show the variable inputs of the template picked in the send form
+function onTemplateSelected() {
+    const container = document.getElementById("templateVariables");
+    const template = templates.find((t) => t.id === document.getElementById("templateSelect").value);
+
+    if (!template) {
+        container.innerHTML = "";
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="template-variables">
+            ${template.variables
+                .map(
+                    (v) => `
+                <div class="mb-2">
+                    <label class="form-label small mb-1">${escapeHtml(v.label)} <code>{${escapeHtml(v.name)}}</code>${v.required ? " *" : ""}</label>
+                    <input type="text" class="form-control form-control-sm template-variable" data-name="${escapeHtml(v.name)}" />
+                </div>
+            `,
+                )
+                .join("")}
+            <div class="d-flex align-items-center gap-2">
+                <button type="button" class="btn btn-outline-success btn-sm" onclick="applyTemplate()">
+                    Fill In Message
+                </button>
+                <span class="text-muted small">{date}, {time}, {user}, {channel} and {server} are filled in automatically.</span>
+            </div>
+        </div>
+    `;
+
+    // Defaults go in as values so staff can see and change them
+    container.querySelectorAll(".template-variable").forEach((input) => {
+        const variable = template.variables.find((v) => v.name === input.dataset.name);
+        input.value = variable.defaultValue || "";
+    });
+}
+
+// Pick a template in the send form
+function useTemplate(templateId) {
+    document.getElementById("templateSelect").value = templateId;
+    onTemplateSelected();
+    document.getElementById("sendMessageCard").scrollIntoView({ behavior: "smooth" });
+}
+
+// Select a channel in the send form
+function selectChannel(guildId, channelId) {
+    document.getElementById("guildSelect").value = guildId;
+    updateChannelSelect();
+    document.getElementById("channelSelect").value = channelId;
+    updateCrossPostSelect();
+    loadMentions();
+}
+
+// Fill the send form from the selected template with the entered variables
+async function applyTemplate() {
+    const templateId = document.getElementById("templateSelect").value;
+    const template = templates.find((t) => t.id === templateId);
+    if (!template) return;
+
+    const values = {};
+    document.querySelectorAll("#templateVariables .template-variable").forEach((input) => {
+        values[input.dataset.name] = input.value;
+    });
+
+    try {
+        const response = await fetch(`/api/templates/${templateId}/render`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({
+                values,
+                channelId: document.getElementById("channelSelect").value || null,
+            }),
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            showAlert(result.error || "Failed to fill in template", "danger");
+            return;
+        }
+
+        if (!document.getElementById("channelSelect").value && template.channelId) {
+            selectChannel(template.guildId, template.channelId);
+        }
+        document.getElementById("messageContent").value = result.content;
+        fillEmbedEditors("embedList", result.embeds);
+        updateMessagePreview();
+    } catch (error) {
+        console.error("Error filling in template:", error);
+        showAlert("Failed to fill in template", "danger");
+    }
+}
+
+// Fill the default channel dropdown of the template modal
+function updateTemplateChannelSelect(channelId) {
+    const select = document.getElementById("templateChannel");
+    select.innerHTML =
+        '<option value="">No default channel</option>' +
+        guilds
+            .map((guild) => guild.channels
+                .map((channel) => `<option value="${channel.id}">${escapeHtml(guild.name)} / # ${escapeHtml(channel.name)}</option>`)
+                .join(""))
+            .join("");
+    select.value = channelId || "";
+}
+
+// Open the template modal for a new template, optionally starting from the send form
+function newTemplate(fromForm) {
+    document.getElementById("templateModalTitle").textContent = "New Template";
+    document.getElementById("templateId").value = "";
+    document.getElementById("templateName").value = "";
+    document.getElementById("templateDescription").value = "";
+    document.getElementById("templateVariableSettings").innerHTML = "";
+
+    if (fromForm) {
+        document.getElementById("templateContent").value = document.getElementById("messageContent").value;
+        fillEmbedEditors("templateEmbedList", readEmbedEditors("embedList"));
+        updateTemplateChannelSelect(document.getElementById("channelSelect").value);
+    } else {
+        document.getElementById("templateContent").value = "";
+        fillEmbedEditors("templateEmbedList", []);
+        updateTemplateChannelSelect(null);
+    }
+
+    renderTemplateVariableSettings();
+    templateModal.show();
+}
+
+// Open the template modal for an existing template
+function editTemplate(templateId) {
+    const template = templates.find((t) => t.id === templateId);
+    if (!template) return;
+
+    document.getElementById("templateModalTitle").textContent = "Edit Template";
+    document.getElementById("templateId").value = templateId;
+    document.getElementById("templateName").value = template.name;
+    document.getElementById("templateDescription").value = template.description || "";
+    document.getElementById("templateContent").value = template.content;
+    fillEmbedEditors("templateEmbedList", template.embeds);
+    updateTemplateChannelSelect(template.channelId);
+
+    document.getElementById("templateVariableSettings").innerHTML = "";
+    renderTemplateVariableSettings(template.variables);
+    templateModal.show();
+}
+
+// Show label/default/required inputs for each custom {variable} used in the template modal
+// Values already typed in are kept; `variables` seeds them when a template is opened
+function renderTemplateVariableSettings(variables) {
+    const container = document.getElementById("templateVariableSettings");
+    const current = variables || readTemplateVariableSettings();
+
+    const text = JSON.stringify([document.getElementById("templateContent").value, readEmbedEditors("templateEmbedList")]);
+    const names = [...new Set(Array.from(text.matchAll(/\{([a-zA-Z][a-zA-Z0-9_]*)\}/g), (m) => m[1]))]
+        .filter((name) => !BUILTIN_TEMPLATE_VARIABLES.includes(name));
+
+    const shown = Array.from(container.querySelectorAll(".template-variable-row"), (row) => row.dataset.name);
+    if (!variables && shown.join(",") === names.join(",")) {
+        return; // nothing to redraw - keeps focus in the inputs
+    }
+
+    if (names.length === 0) {
+        container.innerHTML = '<div class="text-muted small">Type {name} in the content or an embed to add a variable.</div>';
+        return;
+    }
+
+    container.innerHTML = names
+        .map(
+            (name) => `
+            <div class="row g-2 mb-2 align-items-center template-variable-row" data-name="${escapeHtml(name)}">
+                <div class="col-md-2"><code>{${escapeHtml(name)}}</code></div>
+                <div class="col-md-4">
+                    <input type="text" class="form-control form-control-sm template-variable-label" placeholder="Label" />
+                </div>
+                <div class="col-md-4">
+                    <input type="text" class="form-control form-control-sm template-variable-default" placeholder="Default value" />
+                </div>
+                <div class="col-md-2">
+                    <label class="form-check-label small">
+                        <input type="checkbox" class="form-check-input template-variable-required" /> Required
+                    </label>
+                </div>
+            </div>
+        `,
+        )
+        .join("");
+
+    container.querySelectorAll(".template-variable-row").forEach((row) => {
+        const variable = current.find((v) => v.name === row.dataset.name) || {};
+        row.querySelector(".template-variable-label").value = variable.label && variable.label !== variable.name ? variable.label : "";
+        row.querySelector(".template-variable-default").value = variable.defaultValue || "";
+        row.querySelector(".template-variable-required").checked = !!variable.required;
+    });
+}
+
+// Read the variable settings of the template modal
+function readTemplateVariableSettings() {
+    return Array.from(document.querySelectorAll("#templateVariableSettings .template-variable-row"), (row) => ({
+        name: row.dataset.name,
+        label: row.querySelector(".template-variable-label").value.trim() || null,
+        defaultValue: row.querySelector(".template-variable-default").value,
+        required: row.querySelector(".template-variable-required").checked,
+    }));
+}
+
+// Create or update the template in the modal
+async function saveTemplate() {
+    const templateId = document.getElementById("templateId").value;
+    const body = {
+        name: document.getElementById("templateName").value.trim(),
+        description: document.getElementById("templateDescription").value.trim() || null,
+        channelId: document.getElementById("templateChannel").value || null,
+        content: document.getElementById("templateContent").value,
+        embeds: readEmbedEditors("templateEmbedList"),
+        variables: readTemplateVariableSettings(),
+    };
+
+    if (!body.name) {
+        showAlert("Please give the template a name", "danger");
+        return;
+    }
+
+    try {
+        const response = await fetch(templateId ? `/api/templates/${templateId}` : "/api/templates", {
+            method: templateId ? "PUT" : "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify(body),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(templateId ? "Template updated" : "Template saved", "success");
+            templateModal.hide();
+            loadTemplates();
+        } else {
+            showAlert(result.error || "Failed to save template", "danger");
+        }
+    } catch (error) {
+        console.error("Error saving template:", error);
+        showAlert("Failed to save template", "danger");
+    }
+}
+
+// Delete a template
+async function deleteTemplate(templateId) {
+    const template = templates.find((t) => t.id === templateId);
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/templates/${templateId}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Template deleted", "success");
+            loadTemplates();
+        } else {
+            showAlert(result.error || "Failed to delete template", "danger");
+        }
+    } catch (error) {
+        console.error("Error deleting template:", error);
+        showAlert("Failed to delete template", "danger");
+    }
+}
+
+// Load message history
+// Load the current page of the history with the filters in the history card
+async function loadMessages() {
+    const params = new URLSearchParams({ offset: messagePage.offset, limit: messagePage.limit });
+    const filters = {
+        q: document.getElementById("messageSearch").value.trim(),
+        guildId: document.getElementById("messageGuildFilter").value,
+        channelId: document.getElementById("messageChannelFilter").value,
+        sentBy: document.getElementById("messageAuthorFilter").value.trim(),
+        type: document.getElementById("messageTypeFilter").value,
+    };
+    Object.entries(filters).forEach(([key, value]) => value && params.set(key, value));
+    // Date inputs are whole days in the browser's time zone
+    const from = document.getElementById("messageFromFilter").value;
+    const to = document.getElementById("messageToFilter").value;
+    if (from) params.set("from", new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set("to", new Date(`${to}T23:59:59.999`).toISOString());
+
+    try {
+        const response = await fetch(`/api/messages?${params}`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        // The page emptied (messages deleted or filtered away) - show the last page that has any
+        if (result.messages.length === 0 && result.total > 0 && messagePage.offset > 0) {
+            messagePage.offset = Math.floor((result.total - 1) / messagePage.limit) * messagePage.limit;
+            return loadMessages();
+        }
+        messages = result.messages;
+        messagePage.total = result.total;
+        renderMessages();
+        renderMessagePager();
+        updateBulkDeleteButton();
+    } catch (error) {
+        console.error("Error loading messages:", error);
+        const container = document.getElementById("messagesContainer");
+        if (container) {
+            if (error.message.includes("401")) {
+                container.innerHTML =
+                    '<div class="alert alert-warning">Please login to view message history</div>';
+            } else {
+                container.innerHTML =
+                    '<div class="alert alert-danger">Failed to load messages</div>';
+            }
+        }
+    }
+}
+
+// Render messages in the UI
+function renderMessages() {
+    const container = document.getElementById("messagesContainer");
+    // Keep the bulk delete selection when the list is redrawn by a live update
+    const selected = new Set(
+        Array.from(container.querySelectorAll(".message-select:checked"), (box) => box.value),
+    );
+
+    if (messages.length === 0) {
+        const filtered = Array.from(document.querySelectorAll("#messageFilters input, #messageFilters select")).some((input) => input.value);
+        container.innerHTML = filtered
+            ? '<div class="text-center text-muted p-4">No messages match these filters</div>'
+            : '<div class="text-center text-muted p-4">No messages sent yet</div>';
+        return;
+    }
+
+    // The server sends each page newest first
+    container.innerHTML = messages
+        .map((message) => {
+            const timestamp = new Date(message.timestamp).toLocaleString();
+            const driftBadge = message.discordStatus === "deleted"
+                ? '<span class="badge bg-danger ms-2" title="The message was deleted on Discord">Deleted on Discord</span>'
+                : message.discordStatus === "orphaned"
+                    ? '<span class="badge bg-warning text-dark ms-2" title="The channel was removed or the bot lost access to it">Channel missing</span>'
+                    : "";
+            const groupBadge = message.groupId
+                ? '<span class="badge bg-info text-dark ms-2" title="Sent to several channels - one edit can update every copy">Cross-posted</span>'
+                : "";
+            const editedText = message.lastEdited
+                ? ` (edited ${new Date(message.lastEdited).toLocaleString()}${message.lastEditedBy ? ` by ${escapeHtml(message.lastEditedBy)}` : ""}${sourceLabel(message.lastEditedFrom)})`
+                : "";
+
+            return `
+            <div class="message-item">
+                <div class="message-header">
+                    ${can("messages:delete") ? `
+                    <input class="form-check-input me-2 message-select" type="checkbox" value="${message.id}" ${selected.has(message.id) ? "checked" : ""} onchange="updateBulkDeleteButton()" title="Select for bulk delete" />` : ""}
+                    <div class="message-info">
+                        <h6 class="mb-1">${messageHeading(message, "Message")}${driftBadge}${groupBadge}</h6>
+                        <div class="message-meta">
+                            <span><strong>Server:</strong> ${escapeHtml(message.guildName)}</span>
+                            <span><strong>Channel:</strong> # ${escapeHtml(message.channelName)}</span>
                             <span><strong>Sent:</strong> ${timestamp}${editedText}</span>
+                            ${message.sentBy ? `<span><strong>By:</strong> ${escapeHtml(message.sentBy)}${sourceLabel(message.sentFrom)}</span>` : ""}
+                            ${message.adoptedBy ? `<span><strong>Imported by:</strong> ${escapeHtml(message.adoptedBy)}</span>` : ""}
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        ${message.revisions && message.revisions.length > 1 ? `
+                        <button class="btn btn-outline-secondary btn-sm" onclick="showRevisions('${message.id}')">
+                            History (${message.revisions.length})
+                        </button>` : ""}
+                        ${can("messages:edit") && (message.discordStatus || "ok") === "ok" ? `
+                        <button class="btn btn-outline-primary btn-sm" onclick="editMessage('${message.id}')">
+                            Edit
+                        </button>` : ""}
+                        ${can("messages:delete") ? `
+                        <button class="btn btn-outline-danger btn-sm" onclick="deleteMessage('${message.id}')">
+                            Delete
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(message)}
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// Position in the history and the buttons to move between pages
+function renderMessagePager() {
+    const pager = document.getElementById("messagesPager");
+    const { offset, limit, total } = messagePage;
+
+    if (total <= limit && offset === 0) {
+        pager.innerHTML = total > 0 ? `<span class="text-muted small">${total} message${total === 1 ? "" : "s"}</span>` : "";
+        return;
+    }
+
+    pager.innerHTML = `
+        <span class="text-muted small">${offset + 1}-${Math.min(offset + limit, total)} of ${total} messages</span>
+        <div>
+            <button class="btn btn-outline-secondary btn-sm" onclick="changeMessagePage(-1)" ${offset === 0 ? "disabled" : ""}>
+                Newer
+            </button>
+            <button class="btn btn-outline-secondary btn-sm" onclick="changeMessagePage(1)" ${offset + limit >= total ? "disabled" : ""}>
+                Older
+            </button>
+        </div>
+    `;
+}
+
+function changeMessagePage(direction) {
+    messagePage.offset = Math.max(messagePage.offset + direction * messagePage.limit, 0);
+    loadMessages();
+}
+
+// Fill the history's server filter, keeping the server picked before a refresh
+function updateMessageGuildFilter() {
+    const select = document.getElementById("messageGuildFilter");
+    const selected = select.value;
+    select.innerHTML =
+        '<option value="">All servers</option>' +
+        guilds.map((guild) => `<option value="${escapeHtml(guild.id)}">${escapeHtml(guild.name)}</option>`).join("");
+    select.value = guilds.some((guild) => guild.id === selected) ? selected : "";
+    updateMessageChannelFilter();
+}
+
+// The channel filter lists the channels of the server filter, and is off for all servers
+function updateMessageChannelFilter() {
+    const guild = guilds.find((g) => g.id === document.getElementById("messageGuildFilter").value);
+    const select = document.getElementById("messageChannelFilter");
+    const selected = select.value;
+    select.innerHTML =
+        '<option value="">All channels</option>' +
+        (guild ? guild.channels.map((channel) => `<option value="${escapeHtml(channel.id)}"># ${escapeHtml(channel.name)}</option>`).join("") : "");
+    select.value = guild && guild.channels.some((channel) => channel.id === selected) ? selected : "";
+    select.disabled = !guild;
+}
+
+function clearMessageFilters() {
+    document.getElementById("messageFilters").reset();
+    updateMessageChannelFilter();
+    messagePage.offset = 0;
+    loadMessages();
+}
+
+// Check the stored messages against Discord (deleted messages, removed or renamed channels)
+async function syncMessages() {
+    const button = document.getElementById("syncMessagesButton");
+    button.disabled = true;
+    button.textContent = "Syncing...";
+
+    try {
+        const response = await fetch("/api/messages/sync", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({}),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            const problems = result.deleted + result.orphaned;
+            showAlert(
+                `Checked ${result.checked} messages: ${result.deleted} deleted on Discord, ${result.orphaned} with a missing channel, ${result.renamed} renamed${result.failed ? `, ${result.failed} could not be checked` : ""}`,
+                problems || result.failed ? "warning" : "success",
+            );
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to sync messages", "danger");
+        }
+    } catch (error) {
+        console.error("Error syncing messages:", error);
+        showAlert("Failed to sync messages", "danger");
+    } finally {
+        button.disabled = false;
+        button.textContent = "Sync";
+    }
+}
+
+// Start tracking a bot message that is not in the history yet
+// A bare message id is looked up in the channel picked in the send form
+async function adoptMessage() {
+    const link = prompt("Paste the Discord message link (or the message id of a message in the channel picked in the send form):");
+    if (!link || !link.trim()) return;
+
+    try {
+        const response = await fetch("/api/messages/adopt", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({
+                link: link.trim(),
+                channelId: document.getElementById("channelSelect").value || null,
+            }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message imported - it can now be edited from the dashboard", "success");
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to import message", "danger");
+        }
+    } catch (error) {
+        console.error("Error importing message:", error);
+        showAlert("Failed to import message", "danger");
+    }
+}
+
+// Edit a message - a cross-posted message offers to update every copy
+async function editMessage(messageId) {
+    const message = messages.find((m) => m.id === messageId);
+    if (!message) return;
+
+    let group = null;
+    if (message.groupId) {
+        try {
+            const response = await fetch(`/api/message-groups/${encodeURIComponent(message.groupId)}`, {
+                credentials: "include",
+            });
+            if (response.ok) {
+                group = await response.json();
+            }
+        } catch (error) {
+            console.error("Error loading message group:", error);
+        }
+    }
+    const copies = group ? group.messages.filter((m) => (m.discordStatus || "ok") === "ok") : [];
+    document.getElementById("editGroupOptions").style.display = copies.length > 1 ? "block" : "none";
+    document.getElementById("editWholeGroup").checked = copies.length > 1;
+    document.getElementById("editWholeGroup").dataset.groupId = copies.length > 1 ? message.groupId : "";
+    document.getElementById("editWholeGroupLabel").innerHTML = copies.length > 1
+        ? `Update all ${copies.length} copies (${copies.map((m) => `#${escapeHtml(m.channelName)}`).join(", ")})${group.hidden ? ` - ${group.hidden} more in channels you cannot use stay as they are` : ""}`
+        : "";
+
+    const { content, embeds } = messageParts(message);
+    document.getElementById("editMessageId").value = messageId;
+    document.getElementById("editContent").value = content;
+    fillEmbedEditors("editEmbedList", embeds);
+
+    const attachments = message.attachments || [];
+    document.getElementById("editAttachments").innerHTML = attachments.length > 0
+        ? attachments
+              .map(
+                  (a) => `
+            <div class="form-check">
+                <label class="form-check-label">
+                    <input class="form-check-input edit-keep-attachment" type="checkbox" value="${escapeHtml(a.id)}" checked />
+                    ${escapeHtml(a.name)} <span class="text-muted small">(${formatBytes(a.size)})</span>
+                </label>
+            </div>
+        `,
+              )
+              .join("")
+        : '<div class="text-muted small">No attachments</div>';
+    document.getElementById("editFiles").value = "";
+    toggleEditAttachments();
+    updateEditPreview();
+
+    editModal.show();
+}
+
+// Attachments are changed one copy at a time, so they are hidden while every copy is updated
+function toggleEditAttachments() {
+    document.getElementById("editAttachmentOptions").style.display =
+        document.getElementById("editWholeGroup").checked ? "none" : "block";
+}
+
+// Save the edit to every copy of a cross-posted message, naming the copies that failed
+async function saveGroupEdit(groupId, content, embeds) {
+    try {
+        const response = await fetch(`/api/message-groups/${encodeURIComponent(groupId)}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ content, embeds }),
+        });
+
+        const result = await response.json();
+
+        if (!result.results) {
+            showAlert(result.error || "Failed to edit message", "danger");
+            return;
+        }
+        const failures = result.results
+            .filter((r) => !r.success)
+            .map((r) => `<br>${escapeHtml(r.guildName)} / #${escapeHtml(r.channelName)}: ${escapeHtml(r.error)}`)
+            .join("");
+        showAlert(
+            `Updated ${result.edited} of ${result.results.length} copies${failures}`,
+            result.success ? "success" : result.edited > 0 ? "warning" : "danger",
+        );
+        if (result.edited > 0) {
+            editModal.hide();
+            loadMessages();
+        }
+    } catch (error) {
+        console.error("Error editing message group:", error);
+        showAlert("Failed to edit message", "danger");
+    }
+}
+
+
+// Save edited message
+async function saveEdit() {
+    const messageId = document.getElementById("editMessageId").value;
+    const content = document.getElementById("editContent").value.trim();
+    const embeds = readEmbedEditors("editEmbedList");
+    const keepAttachments = Array.from(document.querySelectorAll("#editAttachments .edit-keep-attachment:checked")).map((input) => input.value);
+    const files = Array.from(document.getElementById("editFiles").files);
+
+    const wholeGroup = document.getElementById("editWholeGroup");
+    if (wholeGroup.checked) {
+        await saveGroupEdit(wholeGroup.dataset.groupId, content, embeds);
+        return;
+    }
+
+    if (!content && embeds.length === 0 && keepAttachments.length === 0 && files.length === 0) {
+        showAlert("A message needs content, an embed or an attachment", "danger");
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/edit-message/${messageId}`, {
+            method: "PUT",
+            ...jsonOrMultipart({ content, embeds, keepAttachments }, files),
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message updated successfully!", "success");
+            editModal.hide();
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to edit message", "danger");
+        }
+    } catch (error) {
+        console.error("Error editing message:", error);
+        showAlert("Failed to edit message", "danger");
+    }
+}
+
+
+// Show the edit history of a message
+async function showRevisions(messageId) {
+    try {
+        const response = await fetch(`/api/messages/${messageId}/revisions`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        revisions = await response.json();
+    } catch (error) {
+        console.error("Error loading revisions:", error);
+        showAlert("Failed to load edit history", "danger");
+        return;
+    }
+
+    document.getElementById("revisionsMessageId").value = messageId;
+
+    const options = revisions
+        .map((r) => `<option value="${r.revision}">Revision ${r.revision} - ${new Date(r.editedAt).toLocaleString()}</option>`)
+        .join("");
+    const diffFrom = document.getElementById("diffFrom");
+    const diffTo = document.getElementById("diffTo");
+    diffFrom.innerHTML = options;
+    diffTo.innerHTML = options;
+    diffFrom.value = revisions[Math.max(revisions.length - 2, 0)].revision;
+    diffTo.value = revisions[revisions.length - 1].revision;
+
+    const latest = revisions[revisions.length - 1].revision;
+    document.getElementById("revisionsList").innerHTML = revisions
+        .slice()
+        .reverse()
+        .map(
+            (r) => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">Revision ${r.revision}${r.revision === latest ? " (current)" : ""}</h6>
+                        <div class="message-meta">
+                            <span><strong>At:</strong> ${new Date(r.editedAt).toLocaleString()}</span>
+                            ${r.editedBy ? `<span><strong>By:</strong> ${escapeHtml(r.editedBy)}${sourceLabel(r.editedFrom)}</span>` : ""}
+                            ${r.restoredFrom ? `<span><strong>Restored from:</strong> revision ${r.restoredFrom}</span>` : ""}
+                            ${r.embeds.length > 0 ? `<span><strong>Embeds:</strong> ${r.embeds.length}</span>` : ""}
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        ${can("messages:edit") && r.revision !== latest ? `
+                        <button class="btn btn-outline-primary btn-sm" onclick="restoreRevision('${messageId}', ${r.revision})">
+                            Restore this version
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(r)}
+            </div>
+        `,
+        )
+        .join("");
+
+    showDiff();
+    revisionsModal.show();
+}
+
+// Show a line diff between the two selected revisions
+async function showDiff() {
+    const messageId = document.getElementById("revisionsMessageId").value;
+    const from = document.getElementById("diffFrom").value;
+    const to = document.getElementById("diffTo").value;
+    const container = document.getElementById("diffContainer");
+
+    if (from === to) {
+        container.innerHTML = '<div class="text-muted small">Pick two different revisions to compare.</div>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/messages/${messageId}/diff?from=${from}&to=${to}`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const diff = await response.json();
+        const renderLines = (parts) =>
+            `<pre class="diff-view">${parts
+                .map((part) => {
+                    const cls = part.added ? "diff-added" : part.removed ? "diff-removed" : "";
+                    return `<span class="${cls}">${escapeHtml(part.value)}</span>`;
+                })
+                .join("")}</pre>`;
+
+        const embedsHtml = diff.embeds
+            .map((embed) => {
+                const state = embed.added ? " (added)" : embed.removed ? " (removed)" : "";
+                return `
+                <div class="small mt-2"><strong>Embed ${embed.index + 1}${state}</strong></div>
+                ${embed.options ? `
+                <details class="small mb-2">
+                    <summary>Embed options changed</summary>
+                    <div class="row g-2 mt-1">
+                        <div class="col-md-6"><pre class="audit-state mb-0">${escapeHtml(JSON.stringify(embed.options.before, null, 2))}</pre></div>
+                        <div class="col-md-6"><pre class="audit-state mb-0">${escapeHtml(JSON.stringify(embed.options.after, null, 2))}</pre></div>
+                    </div>
+                </details>` : ""}
+                ${renderLines(embed.description)}
+            `;
+            })
+            .join("");
+
+        container.innerHTML = `
+            <div class="small"><strong>Content</strong></div>
+            ${renderLines(diff.content)}
+            ${embedsHtml}
+        `;
+    } catch (error) {
+        console.error("Error loading diff:", error);
+        container.innerHTML = '<div class="alert alert-danger">Failed to load diff</div>';
+    }
+}
+
+// Restore a message to an earlier revision
+async function restoreRevision(messageId, revision) {
+    if (!confirm(`Restore revision ${revision}? This edits the message on Discord.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/messages/${messageId}/revisions/${revision}/restore`, {
+            method: "POST",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(`Restored revision ${revision}`, "success");
+            revisionsModal.hide();
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to restore revision", "danger");
+        }
+    } catch (error) {
+        console.error("Error restoring revision:", error);
+        showAlert("Failed to restore revision", "danger");
+    }
+}
+
+// Delete a message from history
+async function deleteMessage(messageId) {
+    if (
+        !confirm(
+            "Delete this message from Discord? Its history entry is moved to the trash.",
+        )
+    ) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/delete-message/${messageId}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message deleted", "success");
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to delete message", "danger");
+        }
+    } catch (error) {
+        console.error("Error deleting message:", error);
+        showAlert("Failed to delete message", "danger");
+    }
+}
+
+// Enable the bulk delete button while messages are selected
+function updateBulkDeleteButton() {
+    const count = document.querySelectorAll("#messagesContainer .message-select:checked").length;
+    const button = document.getElementById("bulkDeleteButton");
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? `Delete Selected (${count})` : "Delete Selected";
+}
+
+// Delete every selected message from Discord
+async function bulkDeleteMessages() {
+    const messageIds = Array.from(
+        document.querySelectorAll("#messagesContainer .message-select:checked"),
+        (input) => input.value,
+    );
+    if (messageIds.length === 0) return;
+
+    if (!confirm(`Delete ${messageIds.length} message(s) from Discord? Their history entries are moved to the trash.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch("/api/messages/bulk-delete", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ messageIds }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(`${result.deleted} message(s) deleted`, "success");
+        } else if (result.results) {
+            const failed = result.results.filter((r) => !r.success);
+            showAlert(
+                `${result.deleted} deleted, ${failed.length} failed: ${failed.map((r) => r.error).join(", ")}`,
+                "warning",
+            );
+        } else {
+            showAlert(result.error || "Failed to delete messages", "danger");
+        }
+        loadMessages();
+    } catch (error) {
+        console.error("Error deleting messages:", error);
+        showAlert("Failed to delete messages", "danger");
+    }
+    updateBulkDeleteButton();
+}
+
+// Show the trash
+async function showTrash() {
+    if (await loadTrash()) {
+        trashModal.show();
+    }
+}
+
+// Load and render the trash - false when it could not be loaded
+async function loadTrash() {
+    try {
+        const response = await fetch("/api/trash", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        trashMessages = await response.json();
+    } catch (error) {
+        console.error("Error loading trash:", error);
+        showAlert("Failed to load trash", "danger");
+        return false;
+    }
+
+    renderTrash();
+    return true;
+}
+
+// Render the trash
+function renderTrash() {
+    const container = document.getElementById("trashContainer");
+
+    if (trashMessages.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">The trash is empty</div>';
+        return;
+    }
+
+    container.innerHTML = trashMessages
+        .map(
+            (message) => `
+            <div class="message-item">
+                <div class="message-header">
+                    <div class="message-info">
+                        <h6 class="mb-1">${messageHeading(message, "Message")}</h6>
+                        <div class="message-meta">
+                            <span><strong>Channel:</strong> ${escapeHtml(message.guildName)} / # ${escapeHtml(message.channelName)}</span>
+                            <span><strong>Deleted:</strong> ${new Date(message.deletedAt).toLocaleString()} by ${escapeHtml(message.deletedBy)}</span>
+                            <span>${message.removedFromDiscord ? "Removed from Discord" : "Still on Discord"}</span>
+                        </div>
+                    </div>
+                    <div class="message-actions">
+                        ${can("messages:delete") && !message.removedFromDiscord ? `
+                        <button class="btn btn-outline-primary btn-sm" onclick="restoreFromTrash('${message.id}')">
+                            Restore
+                        </button>` : ""}
+                        ${can("messages:delete") ? `
+                        <button class="btn btn-outline-danger btn-sm" onclick="purgeMessage('${message.id}')">
+                            Delete Forever
+                        </button>` : ""}
+                    </div>
+                </div>
+                ${renderMessageBody(message)}
+            </div>
+        `,
+        )
+        .join("");
+}
+
+// Move a message that is still on Discord back into the history
+async function restoreFromTrash(messageId) {
+    try {
+        const response = await fetch(`/api/trash/${messageId}/restore`, {
+            method: "POST",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message restored to the history", "success");
+            trashMessages = trashMessages.filter((m) => m.id !== messageId);
+            renderTrash();
+            loadMessages();
+        } else {
+            showAlert(result.error || "Failed to restore message", "danger");
+        }
+    } catch (error) {
+        console.error("Error restoring message:", error);
+        showAlert("Failed to restore message", "danger");
+    }
+}
+
+// Remove a message from the trash for good
+async function purgeMessage(messageId) {
+    if (!confirm("Remove this message and its edit history from the dashboard for good?")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/trash/${messageId}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Message removed for good", "success");
+            trashMessages = trashMessages.filter((m) => m.id !== messageId);
+            renderTrash();
+        } else {
+            showAlert(result.error || "Failed to remove message", "danger");
+        }
+    } catch (error) {
+        console.error("Error removing message:", error);
+        showAlert("Failed to remove message", "danger");
+    }
+}
+
+// Load staff accounts (admins only)
+async function loadUsers() {
+    try {
+        const response = await fetch("/api/users", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        staffUsers = await response.json();
+        renderUsers();
+    } catch (error) {
+        console.error("Error loading users:", error);
+        document.getElementById("usersContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load staff accounts</div>';
+    }
+}
+
+// Render staff accounts in the UI
+function renderUsers() {
+    const container = document.getElementById("usersContainer");
+
+    container.innerHTML = staffUsers
+        .map((user) => {
+            const isSelf = user.username === window.currentUser.username;
+            const roleOptions = ["admin", "editor", "viewer"]
+                .map((role) => `<option value="${role}" ${role === user.role ? "selected" : ""}>${role}</option>`)
+                .join("");
+            const accessCount =
+                (user.allowedGuildIds || []).length + (user.allowedChannelIds || []).length;
+            const locked = user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+            return `
+            <div class="d-flex justify-content-between align-items-center mb-2 p-2 border rounded">
+                <div>
+                    <strong>${user.username}</strong>
+                    ${user.disabled ? '<span class="badge bg-secondary ms-2">Disabled</span>' : ""}
+                    ${locked ? `<span class="badge bg-danger ms-2" title="Until ${new Date(user.lockedUntil).toLocaleString()}">Locked</span>` : ""}
+                    ${user.twoFactorEnabled ? '<span class="badge bg-success ms-2">2FA</span>' : ""}
+                    ${isSelf ? '<span class="badge bg-info ms-2">You</span>' : ""}
+                    ${user.lastFailedLoginAt ? `
+                    <div class="small text-muted">
+                        Last failed login ${new Date(user.lastFailedLoginAt).toLocaleString()} from ${escapeHtml(user.lastFailedLoginIp || "unknown IP")}${user.failedLogins ? ` (${user.failedLogins} in a row)` : ""}
+                    </div>` : ""}
+                </div>
+                <div class="d-flex gap-2">
+                    <select class="form-select form-select-sm" onchange="updateUser('${user.username}', { role: this.value })">
+                        ${roleOptions}
+                    </select>
+                    ${user.role !== "admin" ? `
+                    <button class="btn btn-outline-info btn-sm text-nowrap" onclick="editAccess('${user.username}')">
+                        Access${accessCount ? ` (${accessCount})` : ""}
+                    </button>` : ""}
+                    <button class="btn btn-outline-warning btn-sm text-nowrap" onclick="resetPassword('${user.username}')">
+                        Reset Password
+                    </button>
+                    ${locked ? `
+                    <button class="btn btn-outline-success btn-sm" onclick="updateUser('${user.username}', { unlock: true })">
+                        Unlock
+                    </button>` : ""}
+                    ${user.twoFactorEnabled && !isSelf ? `
+                    <button class="btn btn-outline-warning btn-sm text-nowrap" onclick="resetTwoFactor('${user.username}')">
+                        Reset 2FA
+                    </button>` : ""}
+                    <button class="btn btn-outline-${user.disabled ? "success" : "danger"} btn-sm" onclick="updateUser('${user.username}', { disabled: ${!user.disabled} })">
+                        ${user.disabled ? "Enable" : "Disable"}
+                    </button>
+                </div>
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// Load inbound webhooks
+async function loadWebhooks() {
+    try {
+        const response = await fetch("/api/webhooks", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        webhooks = await response.json();
+        renderWebhooks();
+    } catch (error) {
+        console.error("Error loading webhooks:", error);
+        document.getElementById("webhooksContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load webhooks</div>';
+    }
+}
+
+// Render inbound webhooks in the UI
+function renderWebhooks() {
+    const container = document.getElementById("webhooksContainer");
+
+    if (webhooks.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">No webhooks yet</div>';
+        return;
+    }
+
+    container.innerHTML = webhooks
+        .map((webhook) => {
+            const mapping = Object.entries(webhook.fieldMap)
+                .map(([variable, fieldPath]) => `{${escapeHtml(variable)}} ← <code>${escapeHtml(fieldPath)}</code>`)
+                .join(", ");
+
+            return `
+            <div class="message-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="flex-grow-1 me-2">
+                        <strong>${escapeHtml(webhook.name)}</strong>
+                        ${webhook.enabled ? "" : '<span class="badge bg-secondary ms-2">Disabled</span>'}
+                        <div class="input-group input-group-sm my-1">
+                            <span class="input-group-text">POST</span>
+                            <input type="text" class="form-control font-monospace" readonly value="${location.origin}/api/hooks/${webhook.id}" />
+                        </div>
+                        <div class="message-meta">
+                            <span><strong>Channel:</strong> ${escapeHtml(webhook.guildName)} / # ${escapeHtml(webhook.channelName)}</span>
+                            <span><strong>Template:</strong> ${escapeHtml(webhook.templateName)}</span>
+                            ${mapping ? `<span><strong>Fields:</strong> ${mapping}</span>` : ""}
+                        </div>
+                    </div>
+                    <div class="d-flex flex-column gap-1">
+                        <button class="btn btn-outline-primary btn-sm" onclick="editWebhook('${webhook.id}')">Edit</button>
+                        <button class="btn btn-outline-info btn-sm" onclick="showDeliveries('${webhook.id}')">Deliveries</button>
+                        <button class="btn btn-outline-warning btn-sm text-nowrap" onclick="rotateWebhookSecret('${webhook.id}')">New Secret</button>
+                        <button class="btn btn-outline-danger btn-sm" onclick="deleteWebhook('${webhook.id}')">Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        })
+        .join("");
+}
+
+// Fill the channel and template lists of the webhook modal
+function fillWebhookForm(webhook) {
+    document.getElementById("webhookChannel").innerHTML = guilds
+        .map((guild) => guild.channels
+            .map((channel) => `<option value="${channel.id}">${escapeHtml(guild.name)} / # ${escapeHtml(channel.name)}</option>`)
+            .join(""))
+        .join("");
+    document.getElementById("webhookTemplate").innerHTML = templates
+        .map((template) => `<option value="${template.id}">${escapeHtml(template.name)}</option>`)
+        .join("");
+
+    document.getElementById("webhookId").value = webhook ? webhook.id : "";
+    document.getElementById("webhookName").value = webhook ? webhook.name : "";
+    document.getElementById("webhookEnabled").checked = webhook ? webhook.enabled : true;
+    if (webhook) {
+        document.getElementById("webhookChannel").value = webhook.channelId;
+        document.getElementById("webhookTemplate").value = webhook.templateId;
+    }
+    renderWebhookFieldMap(webhook ? webhook.fieldMap : {});
+}
+
+// One payload field input per custom variable of the selected template
+function renderWebhookFieldMap(fieldMap) {
+    const current = fieldMap || readWebhookFieldMap();
+    const template = templates.find((t) => t.id === document.getElementById("webhookTemplate").value);
+    const variables = template ? template.variables || [] : [];
+
+    document.getElementById("webhookFieldMap").innerHTML = variables.length
+        ? variables
+            .map((variable) => `
+                <div class="input-group input-group-sm mb-1">
+                    <span class="input-group-text">{${escapeHtml(variable.name)}}${variable.required ? " *" : ""}</span>
+                    <input type="text" class="form-control webhook-field" data-variable="${escapeHtml(variable.name)}"
+                        value="${escapeHtml(current[variable.name] || "")}" placeholder="${escapeHtml(variable.defaultValue ? `default: ${variable.defaultValue}` : "payload.field")}" />
+                </div>`)
+            .join("")
+        : '<div class="text-muted small">This template has no custom variables - every delivery posts the same message.</div>';
+}
+
+function readWebhookFieldMap() {
+    const fieldMap = {};
+    document.querySelectorAll("#webhookFieldMap .webhook-field").forEach((input) => {
+        if (input.value.trim()) {
+            fieldMap[input.dataset.variable] = input.value.trim();
+        }
+    });
+    return fieldMap;
+}
+
+// Open the webhook modal for a new webhook
+function newWebhook() {
+    if (templates.length === 0) {
+        showAlert("Create a message template first - webhooks fill one in", "warning");
+        return;
+    }
+    document.getElementById("webhookModalTitle").textContent = "New Webhook";
+    fillWebhookForm(null);
+    webhookModal.show();
+}
+
+// Open the webhook modal for an existing webhook
+function editWebhook(webhookId) {
+    const webhook = webhooks.find((w) => w.id === webhookId);
+    if (!webhook) return;
+
+    document.getElementById("webhookModalTitle").textContent = "Edit Webhook";
+    fillWebhookForm(webhook);
+    webhookModal.show();
+}
+
+// Show a webhook secret once, after creating a webhook or rotating its secret
+function showWebhookSecret(webhook, secret) {
+    document.getElementById("webhookSecretName").textContent = webhook.name;
+    document.getElementById("webhookSecretValue").value = secret;
+    document.getElementById("webhookSecretBox").style.display = "block";
+}
+
+async function copyWebhookSecret() {
+    const input = document.getElementById("webhookSecretValue");
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showAlert("Secret copied", "success");
+    } catch (error) {
+        input.select();
+    }
+}
+
+// Create or update the webhook in the modal
+async function saveWebhook() {
+    const webhookId = document.getElementById("webhookId").value;
+    const body = {
+        name: document.getElementById("webhookName").value.trim(),
+        channelId: document.getElementById("webhookChannel").value,
+        templateId: document.getElementById("webhookTemplate").value,
+        fieldMap: readWebhookFieldMap(),
+        enabled: document.getElementById("webhookEnabled").checked,
+    };
+
+    try {
+        const response = await fetch(webhookId ? `/api/webhooks/${webhookId}` : "/api/webhooks", {
+            method: webhookId ? "PUT" : "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify(body),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            webhookModal.hide();
+            if (result.secret) {
+                showWebhookSecret(result.webhook, result.secret);
+            } else {
+                showAlert("Webhook saved", "success");
+            }
+            loadWebhooks();
+        } else {
+            showAlert(result.error || "Failed to save webhook", "danger");
+        }
+    } catch (error) {
+        console.error("Error saving webhook:", error);
+        showAlert("Failed to save webhook", "danger");
+    }
+}
+
+// Replace a webhook's secret
+async function rotateWebhookSecret(webhookId) {
+    const webhook = webhooks.find((w) => w.id === webhookId);
+    if (!confirm(`Create a new secret for "${webhook ? webhook.name : webhookId}"? The old secret stops working immediately.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/webhooks/${webhookId}/rotate-secret`, {
+            method: "POST",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showWebhookSecret(result.webhook, result.secret);
+        } else {
+            showAlert(result.error || "Failed to rotate secret", "danger");
+        }
+    } catch (error) {
+        console.error("Error rotating webhook secret:", error);
+        showAlert("Failed to rotate secret", "danger");
+    }
+}
+
+// Delete a webhook
+async function deleteWebhook(webhookId) {
+    const webhook = webhooks.find((w) => w.id === webhookId);
+    if (!confirm(`Delete the webhook "${webhook ? webhook.name : webhookId}"? Services posting to it will get errors.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/webhooks/${webhookId}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Webhook deleted", "success");
+            loadWebhooks();
+        } else {
+            showAlert(result.error || "Failed to delete webhook", "danger");
+        }
+    } catch (error) {
+        console.error("Error deleting webhook:", error);
+        showAlert("Failed to delete webhook", "danger");
+    }
+}
+
+// Show the delivery log of a webhook
+async function showDeliveries(webhookId) {
+    const webhook = webhooks.find((w) => w.id === webhookId);
+    deliveriesWebhookId = webhookId;
+    document.getElementById("deliveriesWebhookName").textContent = webhook ? webhook.name : "";
+
+    if (await loadDeliveries()) {
+        deliveriesModal.show();
+    }
+}
+
+// Load and render the deliveries of the open webhook - false when they could not be loaded
+async function loadDeliveries() {
+    let result;
+    try {
+        const response = await fetch(`/api/webhooks/${deliveriesWebhookId}/deliveries`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        result = await response.json();
+    } catch (error) {
+        console.error("Error loading deliveries:", error);
+        showAlert("Failed to load deliveries", "danger");
+        return false;
+    }
+
+    const container = document.getElementById("deliveriesContainer");
+    if (result.deliveries.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">No deliveries yet</div>';
+        return true;
+    }
+
+    const statusBadge = {
+        sent: '<span class="badge bg-success">Sent</span>',
+        failed: '<span class="badge bg-danger">Failed</span>',
+        rejected: '<span class="badge bg-secondary">Rejected</span>',
+        pending: '<span class="badge bg-warning text-dark">Waiting for approval</span>',
+    };
+
+    container.innerHTML = result.deliveries
+        .map((delivery) => `
+            <div class="message-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="flex-grow-1 me-2">
+                        ${statusBadge[delivery.status] || ""}
+                        <div class="message-meta">
+                            <span><strong>At:</strong> ${new Date(delivery.receivedAt).toLocaleString()}</span>
+                            ${delivery.messageId ? `<span><strong>Message:</strong> ${delivery.messageId}</span>` : ""}
+                            ${delivery.replayOf ? `<span><strong>Replayed by:</strong> ${escapeHtml(delivery.replayedBy)}</span>` : ""}
+                            ${delivery.error ? `<span class="text-danger"><strong>Error:</strong> ${escapeHtml(delivery.error)}</span>` : ""}
+                        </div>
+                        ${delivery.payload !== null ? `
+                        <details class="small">
+                            <summary>Payload</summary>
+                            <pre class="audit-state mb-0">${escapeHtml(JSON.stringify(delivery.payload, null, 2))}</pre>
+                        </details>` : ""}
+                    </div>
+                    ${delivery.payload !== null ? `
+                    <button class="btn btn-outline-primary btn-sm" onclick="replayDelivery('${delivery.id}')">Replay</button>` : ""}
+                </div>
+            </div>
+        `)
+        .join("");
+    return true;
+}
+
+// Run a logged delivery again
+async function replayDelivery(deliveryId) {
+    if (!confirm("Post this delivery again?")) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/webhooks/${deliveriesWebhookId}/deliveries/${deliveryId}/replay`, {
+            method: "POST",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success && result.delivery.status === "pending") {
+            showAlert("Delivery replayed - the channel is in review mode, so the post is waiting for approval", "info");
+        } else if (result.success) {
+            showAlert("Delivery replayed", "success");
+        } else {
+            showAlert(result.error || "Failed to replay delivery", "danger");
+        }
+        loadDeliveries();
+    } catch (error) {
+        console.error("Error replaying delivery:", error);
+        showAlert("Failed to replay delivery", "danger");
+    }
+}
+
+// What each API token scope allows - the server only accepts scopes the account itself has
+const TOKEN_SCOPES = {
+    "messages:read": "Read channels and messages",
+    "messages:send": "Send and schedule messages",
+    "messages:edit": "Edit, import and sync messages",
+    "messages:delete": "Delete messages",
+    "templates:manage": "Manage templates",
+};
+
+// Fill the scope checkboxes and the channel list of the token form
+function renderTokenForm() {
+    document.getElementById("tokenScopes").innerHTML = Object.entries(TOKEN_SCOPES)
+        .filter(([scope]) => can(scope))
+        .map(([scope, label]) => `
+            <div class="form-check">
+                <input class="form-check-input token-scope" type="checkbox" value="${scope}" id="scope-${scope}" ${scope === "messages:read" ? "checked" : ""} />
+                <label class="form-check-label small" for="scope-${scope}">${label} <code>${scope}</code></label>
+            </div>`)
+        .join("");
+
+    const selected = Array.from(document.getElementById("tokenChannels").selectedOptions, (option) => option.value);
+    document.getElementById("tokenChannels").innerHTML = guilds
+        .map((guild) => `
+            <optgroup label="${escapeHtml(guild.name)}">
+                ${guild.channels
+                    .map((channel) => `<option value="${channel.id}" ${selected.includes(channel.id) ? "selected" : ""}>#${escapeHtml(channel.name)}</option>`)
+                    .join("")}
+            </optgroup>`)
+        .join("");
+}
+
+// Load API tokens - your own, or everyone's for admins
+async function loadTokens() {
+    try {
+        const response = await fetch("/api/tokens", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        apiTokens = await response.json();
+        renderTokens();
+    } catch (error) {
+        console.error("Error loading API tokens:", error);
+        document.getElementById("tokensContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load API tokens</div>';
+    }
+}
+
+// Render API tokens in the UI
+function renderTokens() {
+    const container = document.getElementById("tokensContainer");
+
+    if (apiTokens.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted p-4">No API tokens yet</div>';
+        return;
+    }
+
+    const channelName = (channelId) => {
+        for (const guild of guilds) {
+            const channel = guild.channels.find((c) => c.id === channelId);
+            if (channel) return `#${channel.name}`;
+        }
+        return channelId;
+    };
+
+    container.innerHTML = apiTokens
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map((token) => {
+            const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+            const state = token.revokedAt
+                ? `<span class="badge bg-secondary ms-2">Revoked${token.revokedBy ? ` by ${escapeHtml(token.revokedBy)}` : ""}</span>`
+                : expired
+                    ? '<span class="badge bg-warning text-dark ms-2">Expired</span>'
+                    : "";
+            const channels = token.allowedChannelIds.length
+                ? token.allowedChannelIds.map(channelName).map(escapeHtml).join(", ")
+                : "All channels";
+
+            return `
+            <div class="message-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <strong>${escapeHtml(token.name)}</strong>
+                        <code class="ms-2">lcapi_...${escapeHtml(token.hint)}</code>
+                        ${state}
+                        <div class="message-meta">
+                            ${token.owner !== window.currentUser.username ? `<span><strong>Owner:</strong> ${escapeHtml(token.owner)}</span>` : ""}
+                            <span><strong>Scopes:</strong> ${token.scopes.map(escapeHtml).join(", ")}</span>
+                            <span><strong>Channels:</strong> ${channels}</span>
+                            <span><strong>Created:</strong> ${new Date(token.createdAt).toLocaleString()}</span>
+                            <span><strong>Last used:</strong> ${token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : "never"}</span>
+                            <span><strong>Expires:</strong> ${token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : "never"}</span>
                         </div>
                     </div>
-                    <div class="message-actions">
-                        <button class="btn btn-outline-primary btn-sm" onclick="editMessage('${message.id}')">
-                            Edit
-                        </button>
-                        <button class="btn btn-outline-danger btn-sm" onclick="deleteMessage('${message.id}')">
-                            Delete
-                        </button>
-                    </div>
-                </div>
-                <div class="message-content ${message.isEmbed ? "embed" : ""}" ${message.color ? `style="border-left-color: ${message.color};"` : ""}>
-                    ${message.content}
+                    ${token.revokedAt ? "" : `
+                    <button class="btn btn-outline-danger btn-sm" onclick="revokeToken('${token.id}')">
+                        Revoke
+                    </button>`}
                 </div>
             </div>
         `;
@@ -412,106 +3602,542 @@ function renderMessages() {
         .join("");
 }
 
-// Edit a message
-function editMessage(messageId) {
-    const message = messages.find((m) => m.id === messageId);
-    if (!message) return;
+// Create an API token and show it once
+async function createToken(event) {
+    event.preventDefault();
 
-    document.getElementById("editMessageId").value = messageId;
-    document.getElementById("editContent").value = message.content;
+    const name = document.getElementById("tokenName").value.trim();
+    const expiresInDays = document.getElementById("tokenExpiry").value || null;
+    const scopes = Array.from(document.querySelectorAll("#tokenScopes .token-scope:checked"), (box) => box.value);
+    const allowedChannelIds = Array.from(document.getElementById("tokenChannels").selectedOptions, (option) => option.value);
 
-    const editEmbedFields = document.getElementById("editEmbedFields");
+    if (scopes.length === 0) {
+        showAlert("Pick at least one scope", "warning");
+        return;
+    }
 
-    if (message.isEmbed) {
-        document.getElementById("editTitle").value = message.title || "";
-        document.getElementById("editColor").value = message.color || "#5865F2";
-        editEmbedFields.style.display = 'block';
-    } else {
-        console.log("disabling embed fields")
-        editEmbedFields.style.display = 'none';
+    try {
+        const response = await fetch("/api/tokens", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ name, scopes, allowedChannelIds, expiresInDays }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            document.getElementById("newTokenValue").value = result.token;
+            document.getElementById("newTokenBox").style.display = "block";
+            document.getElementById("tokenForm").reset();
+            renderTokenForm();
+            loadTokens();
+        } else {
+            showAlert(result.error || "Failed to create API token", "danger");
+        }
+    } catch (error) {
+        console.error("Error creating API token:", error);
+        showAlert("Failed to create API token", "danger");
     }
+}
 
-    editModal.show();
+// Copy the token that was just created
+async function copyNewToken() {
+    const input = document.getElementById("newTokenValue");
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showAlert("Token copied", "success");
+    } catch (error) {
+        input.select();
+    }
 }
 
+// Revoke an API token
+async function revokeToken(tokenId) {
+    const token = apiTokens.find((t) => t.id === tokenId);
+    if (!confirm(`Revoke the API token "${token ? token.name : tokenId}"? Anything using it will stop working.`)) {
+        return;
+    }
 
-// Save edited message
-async function saveEdit() {
-    const messageId = document.getElementById("editMessageId").value;
-    const content = document.getElementById("editContent").value.trim();
+    try {
+        const response = await fetch(`/api/tokens/${encodeURIComponent(tokenId)}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
 
-    if (!content) {
-        showAlert("Content cannot be empty", "danger");
-        return;
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("API token revoked", "success");
+            loadTokens();
+        } else {
+            showAlert(result.error || "Failed to revoke API token", "danger");
+        }
+    } catch (error) {
+        console.error("Error revoking API token:", error);
+        showAlert("Failed to revoke API token", "danger");
     }
+}
 
-    // Finde Nachricht, um zu prüfen, ob Embed oder nicht
-    const message = messages.find((m) => m.id === messageId);
-    if (!message) {
-        showAlert("Message not found", "danger");
+// POST to one of the /api/account/2fa endpoints
+async function postTwoFactor(action, body = {}) {
+    const response = await fetch(`/api/account/2fa/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body),
+    });
+    return response.json();
+}
+
+// Render the two-factor card on the Account tab
+function renderTwoFactor() {
+    const enabled = window.currentUser.twoFactorEnabled;
+    const left = window.currentUser.recoveryCodesLeft;
+
+    document.getElementById("twoFactorStatus").innerHTML = enabled
+        ? `<div class="alert alert-success">
+                Two-factor authentication is on.
+                ${left} recovery code${left === 1 ? "" : "s"} left.
+           </div>`
+        : `<div class="alert alert-warning d-flex justify-content-between align-items-center">
+                <span>Two-factor authentication is off.</span>
+                <button class="btn btn-primary btn-sm" onclick="startTwoFactorSetup()">Set Up</button>
+           </div>`;
+    document.getElementById("twoFactorManage").style.display = enabled ? "block" : "none";
+    if (enabled) {
+        document.getElementById("twoFactorSetup").style.display = "none";
+    }
+}
+
+// Get a new secret for the authenticator app
+async function startTwoFactorSetup() {
+    try {
+        const result = await postTwoFactor("setup");
+        if (!result.success) {
+            showAlert(result.error || "Failed to start two-factor setup", "danger");
+            return;
+        }
+
+        document.getElementById("twoFactorSecret").value = result.secret;
+        document.getElementById("twoFactorLink").href = result.otpauthUrl;
+        document.getElementById("recoveryCodesBox").style.display = "none";
+        document.getElementById("twoFactorSetup").style.display = "block";
+        document.getElementById("twoFactorEnableCode").focus();
+    } catch (error) {
+        console.error("Error starting two-factor setup:", error);
+        showAlert("Failed to start two-factor setup", "danger");
+    }
+}
+
+// Confirm the authenticator code and turn two-factor on
+async function enableTwoFactor(event) {
+    event.preventDefault();
+    const input = document.getElementById("twoFactorEnableCode");
+
+    try {
+        const result = await postTwoFactor("enable", { code: input.value.trim() });
+        if (!result.success) {
+            showAlert(result.error || "Failed to turn on two-factor authentication", "danger");
+            return;
+        }
+
+        input.value = "";
+        window.currentUser.twoFactorEnabled = true;
+        window.currentUser.recoveryCodesLeft = result.recoveryCodes.length;
+        renderTwoFactor();
+        showRecoveryCodes(result.recoveryCodes);
+        showAlert("Two-factor authentication is on", "success");
+    } catch (error) {
+        console.error("Error enabling two-factor:", error);
+        showAlert("Failed to turn on two-factor authentication", "danger");
+    }
+}
+
+// Replace the recovery codes
+async function regenerateRecoveryCodes(event) {
+    event.preventDefault();
+    const input = document.getElementById("recoveryCodesCode");
+
+    try {
+        const result = await postTwoFactor("recovery-codes", { code: input.value.trim() });
+        if (!result.success) {
+            showAlert(result.error || "Failed to make new recovery codes", "danger");
+            return;
+        }
+
+        input.value = "";
+        window.currentUser.recoveryCodesLeft = result.recoveryCodes.length;
+        renderTwoFactor();
+        showRecoveryCodes(result.recoveryCodes);
+        showAlert("New recovery codes made - the old ones no longer work", "success");
+    } catch (error) {
+        console.error("Error replacing recovery codes:", error);
+        showAlert("Failed to make new recovery codes", "danger");
+    }
+}
+
+// Turn two-factor off
+async function disableTwoFactor(event) {
+    event.preventDefault();
+    const password = document.getElementById("twoFactorDisablePassword");
+    const code = document.getElementById("twoFactorDisableCode");
+
+    try {
+        const result = await postTwoFactor("disable", { password: password.value, code: code.value.trim() });
+        if (!result.success) {
+            showAlert(result.error || "Failed to turn off two-factor authentication", "danger");
+            return;
+        }
+
+        password.value = "";
+        code.value = "";
+        window.currentUser.twoFactorEnabled = false;
+        window.currentUser.recoveryCodesLeft = 0;
+        document.getElementById("recoveryCodesBox").style.display = "none";
+        renderTwoFactor();
+        showAlert("Two-factor authentication is off", "success");
+    } catch (error) {
+        console.error("Error disabling two-factor:", error);
+        showAlert("Failed to turn off two-factor authentication", "danger");
+    }
+}
+
+// Load the staff member's logged-in sessions
+async function loadSessions() {
+    try {
+        const response = await fetch("/api/account/sessions", {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        accountSessions = await response.json();
+        renderSessions();
+    } catch (error) {
+        console.error("Error loading sessions:", error);
+        document.getElementById("sessionsContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load sessions</div>';
+    }
+}
+
+// Render logged-in sessions in the UI
+function renderSessions() {
+    const container = document.getElementById("sessionsContainer");
+
+    container.innerHTML = accountSessions
+        .map(
+            (entry) => `
+            <div class="message-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="flex-grow-1 me-2">
+                        <strong>${escapeHtml(entry.userAgent || "Unknown browser")}</strong>
+                        ${entry.current ? '<span class="badge bg-info ms-2">This session</span>' : ""}
+                        <div class="message-meta">
+                            <span><strong>IP:</strong> ${escapeHtml(entry.ip || "unknown")}</span>
+                            ${entry.createdAt ? `<span><strong>Logged in:</strong> ${new Date(entry.createdAt).toLocaleString()}</span>` : ""}
+                            ${entry.lastSeenAt ? `<span><strong>Last active:</strong> ${new Date(entry.lastSeenAt).toLocaleString()}</span>` : ""}
+                        </div>
+                    </div>
+                    ${entry.current ? "" : `
+                    <button class="btn btn-outline-danger btn-sm" onclick="revokeSession('${entry.id}')">
+                        Log Out
+                    </button>`}
+                </div>
+            </div>
+        `,
+        )
+        .join("");
+}
+
+// Log out one of the other sessions
+async function revokeSession(sessionId) {
+    try {
+        const response = await fetch(`/api/account/sessions/${encodeURIComponent(sessionId)}`, {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert("Session logged out", "success");
+        } else {
+            showAlert(result.error || "Failed to log out session", "danger");
+        }
+    } catch (error) {
+        console.error("Error revoking session:", error);
+        showAlert("Failed to log out session", "danger");
+    }
+    loadSessions();
+}
+
+// Log out everywhere except here
+async function revokeOtherSessions() {
+    if (!confirm("Log out all your other sessions?")) {
         return;
     }
 
-    let body = { content };
+    try {
+        const response = await fetch("/api/account/sessions", {
+            method: "DELETE",
+            credentials: "include",
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(`${result.revoked} other session${result.revoked === 1 ? "" : "s"} logged out`, "success");
+        } else {
+            showAlert(result.error || "Failed to log out sessions", "danger");
+        }
+    } catch (error) {
+        console.error("Error revoking sessions:", error);
+        showAlert("Failed to log out sessions", "danger");
+    }
+    loadSessions();
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById("recoveryCodesList").textContent = codes.join("\n");
+    document.getElementById("recoveryCodesBox").style.display = "block";
+}
 
-    if (message.isEmbed) {
-        // Nur dann Title/Color anhängen
-        body.title = document.getElementById("editTitle").value.trim() || null;
-        body.color = document.getElementById("editColor").value;
+async function copyRecoveryCodes() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById("recoveryCodesList").textContent);
+        showAlert("Recovery codes copied", "success");
+    } catch (error) {
+        showAlert("Copy failed - select the codes and copy them by hand", "warning");
     }
+}
+
+// Create a staff account
+async function createUser(event) {
+    event.preventDefault();
+
+    const username = document.getElementById("newUsername").value.trim();
+    const password = document.getElementById("newPassword").value;
+    const role = document.getElementById("newRole").value;
 
     try {
-        const response = await fetch(`/api/edit-message/${messageId}`, {
+        const response = await fetch("/api/users", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ username, password, role }),
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert(`Account ${username} created`, "success");
+            document.getElementById("userForm").reset();
+            loadUsers();
+        } else {
+            showAlert(result.error || "Failed to create account", "danger");
+        }
+    } catch (error) {
+        console.error("Error creating user:", error);
+        showAlert("Failed to create account", "danger");
+    }
+}
+
+// Change a staff account's role or disabled state
+async function updateUser(username, changes) {
+    try {
+        const response = await fetch(`/api/users/${encodeURIComponent(username)}`, {
             method: "PUT",
             headers: { "Content-Type": "application/json" },
             credentials: "include",
-            body: JSON.stringify(body),
+            body: JSON.stringify(changes),
         });
 
         const result = await response.json();
 
         if (result.success) {
-            showAlert("Message updated successfully!", "success");
-            editModal.hide();
-            loadMessages();
+            showAlert(`Account ${username} updated`, "success");
         } else {
-            showAlert(result.error || "Failed to edit message", "danger");
+            showAlert(result.error || "Failed to update account", "danger");
         }
     } catch (error) {
-        console.error("Error editing message:", error);
-        showAlert("Failed to edit message", "danger");
+        console.error("Error updating user:", error);
+        showAlert("Failed to update account", "danger");
     }
+    loadUsers();
 }
 
+// Turn off two-factor for a staff member who lost their authenticator and recovery codes
+function resetTwoFactor(username) {
+    if (!confirm(`Turn off two-factor authentication for ${username}? They can log in with just their password until they set it up again.`)) {
+        return;
+    }
+    updateUser(username, { resetTwoFactor: true });
+}
 
-// Delete a message from history
-async function deleteMessage(messageId) {
-    if (
-        !confirm(
-            "Are you sure you want to remove this message from history? This will not delete it from Discord.",
+// Open the channel access editor for a staff account
+function editAccess(username) {
+    const user = staffUsers.find((u) => u.username === username);
+    if (!user) return;
+
+    const allowedGuildIds = user.allowedGuildIds || [];
+    const allowedChannelIds = user.allowedChannelIds || [];
+
+    document.getElementById("accessUsername").textContent = username;
+    document.getElementById("accessList").innerHTML = guilds
+        .map(
+            (guild) => `
+            <div class="mb-3">
+                <div class="form-check">
+                    <input class="form-check-input access-guild" type="checkbox" value="${guild.id}" id="access-guild-${guild.id}"
+                        ${allowedGuildIds.includes(guild.id) ? "checked" : ""}>
+                    <label class="form-check-label fw-bold" for="access-guild-${guild.id}">${escapeHtml(guild.name)}</label>
+                </div>
+                ${guild.channels
+                    .map(
+                        (channel) => `
+                    <div class="form-check ms-4">
+                        <input class="form-check-input access-channel" type="checkbox" value="${channel.id}" id="access-channel-${channel.id}"
+                            ${allowedChannelIds.includes(channel.id) ? "checked" : ""}>
+                        <label class="form-check-label" for="access-channel-${channel.id}"># ${escapeHtml(channel.name)}</label>
+                    </div>
+                `,
+                    )
+                    .join("")}
+            </div>
+        `,
         )
-    ) {
+        .join("");
+
+    accessModal.show();
+}
+
+// Save the channel access editor
+async function saveAccess() {
+    const username = document.getElementById("accessUsername").textContent;
+    const checkedValues = (selector) =>
+        Array.from(document.querySelectorAll(`${selector}:checked`)).map((input) => input.value);
+
+    await updateUser(username, {
+        allowedGuildIds: checkedValues(".access-guild"),
+        allowedChannelIds: checkedValues(".access-channel"),
+    });
+    accessModal.hide();
+}
+
+// Reset a staff account's password to a generated temporary one
+async function resetPassword(username) {
+    if (!confirm(`Reset the password for ${username}? A temporary password will be generated.`)) {
         return;
     }
 
     try {
-        const response = await fetch(`/api/delete-message/${messageId}`, {
-            method: "DELETE",
+        const response = await fetch(`/api/users/${encodeURIComponent(username)}/reset-password`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
             credentials: "include",
+            body: JSON.stringify({}),
         });
 
         const result = await response.json();
 
         if (result.success) {
-            showAlert("Message removed from history", "success");
-            loadMessages();
+            prompt(`Temporary password for ${username} (shown only once):`, result.temporaryPassword);
         } else {
-            showAlert(result.error || "Failed to delete message", "danger");
+            showAlert(result.error || "Failed to reset password", "danger");
         }
     } catch (error) {
-        console.error("Error deleting message:", error);
-        showAlert("Failed to delete message", "danger");
+        console.error("Error resetting password:", error);
+        showAlert("Failed to reset password", "danger");
+    }
+}
+
+// Load the audit log with the selected filters
+async function loadAudit() {
+    const params = new URLSearchParams();
+    const action = document.getElementById("auditAction").value;
+    const actor = document.getElementById("auditActor").value.trim();
+    const from = document.getElementById("auditFrom").value;
+    const to = document.getElementById("auditTo").value;
+
+    if (action) params.set("action", action);
+    if (actor) params.set("actor", actor);
+    // Date inputs are whole days in the browser's time zone
+    if (from) params.set("from", new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set("to", new Date(`${to}T23:59:59.999`).toISOString());
+
+    try {
+        const response = await fetch(`/api/audit?${params}`, {
+            credentials: "include",
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        auditEntries = result.entries;
+        renderAudit(result.total);
+    } catch (error) {
+        console.error("Error loading audit log:", error);
+        document.getElementById("auditContainer").innerHTML =
+            '<div class="alert alert-danger">Failed to load audit log</div>';
+    }
+}
+
+// Render audit entries in the UI
+function renderAudit(total) {
+    const container = document.getElementById("auditContainer");
+
+    if (auditEntries.length === 0) {
+        container.innerHTML =
+            '<div class="text-center text-muted p-4">No audit entries found</div>';
+        return;
     }
+
+    const formatState = (state) =>
+        state ? `<pre class="audit-state mb-0">${escapeHtml(JSON.stringify(state, null, 2))}</pre>` : "";
+
+    const rows = auditEntries
+        .map((entry) => {
+            const target = entry.channelName
+                ? `${escapeHtml(entry.guildName)} / # ${escapeHtml(entry.channelName)}`
+                : entry.details
+                  ? escapeHtml(JSON.stringify(entry.details))
+                  : "";
+            const changes = entry.before || entry.after
+                ? `
+                    <details>
+                        <summary>Changes</summary>
+                        <div class="row g-2 mt-1">
+                            <div class="col-md-6"><small class="text-muted">Before</small>${formatState(entry.before)}</div>
+                            <div class="col-md-6"><small class="text-muted">After</small>${formatState(entry.after)}</div>
+                        </div>
+                    </details>`
+                : "";
+
+            return `
+            <div class="message-item">
+                <div class="message-meta">
+                    <span><strong>${escapeHtml(entry.action)}</strong></span>
+                    <span><strong>By:</strong> ${escapeHtml(entry.actor || "unknown")}</span>
+                    <span><strong>At:</strong> ${new Date(entry.timestamp).toLocaleString()}</span>
+                    ${target ? `<span><strong>Target:</strong> ${target}</span>` : ""}
+                    ${sourceLabel(entry.details?.from) ? `<span class="badge bg-secondary">${sourceLabel(entry.details.from).trim()}</span>` : ""}
+                    ${entry.ip ? `<span><strong>IP:</strong> ${escapeHtml(entry.ip)}</span>` : ""}
+                </div>
+                ${changes}
+            </div>
+        `;
+        })
+        .join("");
+
+    const shown = total > auditEntries.length
+        ? `<div class="text-muted small mb-2">Showing the newest ${auditEntries.length} of ${total} entries</div>`
+        : "";
+    container.innerHTML = shown + rows;
 }
 
 // Show alert messages
@@ -0,0 +1,652 @@
+const fs = require('fs').promises;
+const path = require('path');
+const session = require('express-session');
+
+// Write a JSON file atomically: write a temp file next to it, then rename over the original
+// A failed write leaves the original as it was and removes the temp file
+async function writeJsonAtomic(file, data) {
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+// Read a JSON file, falling back to a default only when it does not exist yet
+// A file that cannot be read or parsed throws - treating it as empty would overwrite it on the next save
+async function readJsonFile(file, fallback) {
+    let data;
+    try {
+        data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Split a message record, scheduled job or request body into its plain content and its embeds
+// Understands the older single-embed shape ({ content, useEmbed/isEmbed, title, color, embed })
+function getMessageParts(message) {
+    if (Array.isArray(message.embeds)) {
+        return { content: message.content || '', embeds: message.embeds };
+    }
+
+    if (message.useEmbed || message.isEmbed) {
+        return {
+            content: '',
+            embeds: [{
+                ...(message.embed || {}),
+                description: message.content || null,
+                title: message.title || null,
+                color: message.color || null
+            }]
+        };
+    }
+
+    return { content: message.content || '', embeds: [] };
+}
+
+// Lowercased text a history search looks in - content, and embed titles and descriptions
+function messageSearchText(message) {
+    const { content, embeds } = getMessageParts(message);
+    return [content, ...embeds.flatMap(embed => [embed.title, embed.description])]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+// Message filter shared by the stores' query() - every field is optional:
+// - deleted: false leaves out trashed messages, true keeps only them
+// - guildId, channelId, sentBy: exact matches
+// - from, to: ISO timestamps, inclusive
+// - embeds: true for messages with at least one embed, false for plain ones
+// - words: lowercase words that must all appear in the message text
+// - allowedGuildIds, allowedChannelIds: the message must be in one of these guilds or channels
+// - onlyChannelIds: the message must be in one of these channels
+function matchesMessageQuery(message, filter) {
+    const {
+        deleted, guildId, channelId, sentBy, from, to, embeds, words,
+        allowedGuildIds, allowedChannelIds, onlyChannelIds
+    } = filter;
+
+    if (deleted !== undefined && !!message.deletedAt !== deleted) return false;
+    if (guildId && message.guildId !== guildId) return false;
+    if (channelId && message.channelId !== channelId) return false;
+    if (sentBy && message.sentBy !== sentBy) return false;
+    if (from && !(message.timestamp >= from)) return false;
+    if (to && !(message.timestamp <= to)) return false;
+    if (embeds !== undefined && (getMessageParts(message).embeds.length > 0) !== embeds) return false;
+    if (allowedGuildIds || allowedChannelIds) {
+        if (!(allowedGuildIds || []).includes(message.guildId) && !(allowedChannelIds || []).includes(message.channelId)) return false;
+    }
+    if (onlyChannelIds && !onlyChannelIds.includes(message.channelId)) return false;
+    if (words && words.length > 0) {
+        const text = messageSearchText(message);
+        if (!words.every(word => text.includes(word))) return false;
+    }
+    return true;
+}
+
+// Legacy backend: all messages in one JSON file
+// Kept in memory with an id index; writes are queued one at a time and written atomically
+class JsonMessageStore {
+    constructor(file) {
+        this.file = file;
+        this.messages = null;
+        this.index = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        this.messages = await readJsonFile(this.file, []);
+        this.index = new Map(this.messages.map(message => [message.id, message]));
+    }
+
+    // Run a change and persist it after every change queued before it has finished
+    queueWrite(change) {
+        const result = this.writeQueue.then(async () => {
+            const value = change();
+            await writeJsonAtomic(this.file, this.messages);
+            return value;
+        });
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async all() {
+        return this.messages.map(message => ({ ...message }));
+    }
+
+    async get(id) {
+        const message = this.index.get(id);
+        return message ? { ...message } : null;
+    }
+
+    // A page of the messages matching a filter (see matchesMessageQuery), newest first
+    async query(filter = {}, { offset = 0, limit = 50 } = {}) {
+        const matches = this.messages
+            .filter(message => matchesMessageQuery(message, filter))
+            .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+        return {
+            total: matches.length,
+            messages: matches.slice(offset, offset + limit).map(message => ({ ...message }))
+        };
+    }
+
+    async insert(message) {
+        return this.queueWrite(() => {
+            if (this.index.has(message.id)) {
+                throw new Error(`Message ${message.id} already exists`);
+            }
+            this.messages.push(message);
+            this.index.set(message.id, message);
+            return message;
+        });
+    }
+
+    async update(message) {
+        return this.queueWrite(() => {
+            const position = this.messages.findIndex(m => m.id === message.id);
+            if (position === -1) {
+                throw new Error(`Message ${message.id} not found`);
+            }
+            this.messages[position] = message;
+            this.index.set(message.id, message);
+            return message;
+        });
+    }
+
+    async remove(id) {
+        return this.queueWrite(() => {
+            if (!this.index.has(id)) {
+                return false;
+            }
+            this.messages = this.messages.filter(message => message.id !== id);
+            this.index.delete(id);
+            return true;
+        });
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+// Embedded SQLite backend
+// The full record is stored as JSON; id, channel, guild and timestamp are real columns so they can be indexed
+class SqliteMessageStore {
+    constructor(file) {
+        this.file = file;
+        this.db = null;
+    }
+
+    async init() {
+        // Loaded lazily so the JSON backend works without the native module installed
+        const Database = require('better-sqlite3');
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        // Searches and the embed filter read the JSON record the same way the JSON backend does
+        this.db.function('message_search_text', { deterministic: true }, data => messageSearchText(JSON.parse(data)));
+        this.db.function('message_has_embeds', { deterministic: true }, data => getMessageParts(JSON.parse(data)).embeds.length > 0 ? 1 : 0);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id TEXT PRIMARY KEY,
+                channel_id TEXT,
+                guild_id TEXT,
+                timestamp TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS messages_channel_id ON messages (channel_id);
+            CREATE INDEX IF NOT EXISTS messages_guild_id ON messages (guild_id);
+            CREATE INDEX IF NOT EXISTS messages_timestamp ON messages (timestamp);
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+
+        this.statements = {
+            all: this.db.prepare('SELECT data FROM messages ORDER BY timestamp'),
+            get: this.db.prepare('SELECT data FROM messages WHERE id = ?'),
+            insert: this.db.prepare(`
+                INSERT INTO messages (id, channel_id, guild_id, timestamp, data)
+                VALUES (@id, @channelId, @guildId, @timestamp, @data)
+            `),
+            update: this.db.prepare(`
+                UPDATE messages SET channel_id = @channelId, guild_id = @guildId, timestamp = @timestamp, data = @data
+                WHERE id = @id
+            `),
+            remove: this.db.prepare('DELETE FROM messages WHERE id = ?'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+        };
+    }
+
+    static toRow(message) {
+        return {
+            id: message.id,
+            channelId: message.channelId || null,
+            guildId: message.guildId || null,
+            timestamp: message.timestamp || null,
+            data: JSON.stringify(message)
+        };
+    }
+
+    async all() {
+        return this.statements.all.all().map(row => JSON.parse(row.data));
+    }
+
+    async get(id) {
+        const row = this.statements.get.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    // A page of the messages matching a filter (see matchesMessageQuery), newest first
+    // Filtering, ordering and paging run in SQL; the indexed columns cover guild, channel and time
+    async query(filter = {}, { offset = 0, limit = 50 } = {}) {
+        const {
+            deleted, guildId, channelId, sentBy, from, to, embeds, words,
+            allowedGuildIds, allowedChannelIds, onlyChannelIds
+        } = filter;
+        const conditions = [];
+        const params = [];
+        const placeholders = list => list.map(() => '?').join(', ');
+
+        if (deleted !== undefined) {
+            conditions.push(`json_extract(data, '$.deletedAt') IS ${deleted ? 'NOT NULL' : 'NULL'}`);
+        }
+        if (guildId) {
+            conditions.push('guild_id = ?');
+            params.push(guildId);
+        }
+        if (channelId) {
+            conditions.push('channel_id = ?');
+            params.push(channelId);
+        }
+        if (sentBy) {
+            conditions.push("json_extract(data, '$.sentBy') = ?");
+            params.push(sentBy);
+        }
+        if (from) {
+            conditions.push('timestamp >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('timestamp <= ?');
+            params.push(to);
+        }
+        if (embeds !== undefined) {
+            conditions.push('message_has_embeds(data) = ?');
+            params.push(embeds ? 1 : 0);
+        }
+        if (allowedGuildIds || allowedChannelIds) {
+            const guildIds = allowedGuildIds || [];
+            const channelIds = allowedChannelIds || [];
+            conditions.push(`(guild_id IN (${placeholders(guildIds)}) OR channel_id IN (${placeholders(channelIds)}))`);
+            params.push(...guildIds, ...channelIds);
+        }
+        if (onlyChannelIds) {
+            conditions.push(`channel_id IN (${placeholders(onlyChannelIds)})`);
+            params.push(...onlyChannelIds);
+        }
+        for (const word of words || []) {
+            conditions.push('instr(message_search_text(data), ?) > 0');
+            params.push(word);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM messages ${where}`).get(...params);
+        const rows = this.db.prepare(`SELECT data FROM messages ${where} ORDER BY timestamp DESC LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset);
+        return { total, messages: rows.map(row => JSON.parse(row.data)) };
+    }
+
+    async insert(message) {
+        this.statements.insert.run(SqliteMessageStore.toRow(message));
+        return message;
+    }
+
+    async update(message) {
+        const result = this.statements.update.run(SqliteMessageStore.toRow(message));
+        if (result.changes === 0) {
+            throw new Error(`Message ${message.id} not found`);
+        }
+        return message;
+    }
+
+    async remove(id) {
+        return this.statements.remove.run(id).changes > 0;
+    }
+
+    // Import messages from a legacy messages.json once; later starts skip it even if the file is still there
+    // Remembered by file name, so moving the file into another directory does not import it again
+    async importJson(file) {
+        const key = `imported:${path.basename(file)}`;
+        if (this.statements.getMeta.get(key)) {
+            return 0;
+        }
+
+        try {
+            await fs.access(file);
+        } catch (error) {
+            return 0; // nothing to import
+        }
+
+        const messages = await readJsonFile(file, []);
+        const importAll = this.db.transaction((records) => {
+            let imported = 0;
+            for (const message of records) {
+                if (!message || !message.id || this.statements.get.get(message.id)) continue;
+                this.statements.insert.run(SqliteMessageStore.toRow(message));
+                imported++;
+            }
+            this.statements.setMeta.run(key, new Date().toISOString());
+            return imported;
+        });
+
+        return importAll(messages);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+// Create the message store selected by STORAGE_BACKEND ("sqlite" by default, or "json")
+async function createMessageStore({ backend, databaseFile, jsonFile }) {
+    if (backend === 'json') {
+        const store = new JsonMessageStore(jsonFile);
+        await store.init();
+        return store;
+    }
+
+    if (backend !== 'sqlite') {
+        throw new Error(`Unknown storage backend "${backend}"`);
+    }
+
+    const store = new SqliteMessageStore(databaseFile);
+    await store.init();
+
+    const imported = await store.importJson(jsonFile);
+    if (imported > 0) {
+        console.log(`📦 Imported ${imported} messages from ${jsonFile} into ${databaseFile}`);
+    }
+    return store;
+}
+
+// When a stored session runs out - its cookie expiry, or a day from now for sessions without one
+function sessionExpiry(data) {
+    const expires = data.cookie && data.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + 24 * 60 * 60 * 1000;
+}
+
+// Session store in a JSON file (STORAGE_BACKEND=json)
+// Same approach as JsonMessageStore: kept in memory, writes queued one at a time and written atomically
+class JsonSessionStore extends session.Store {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.sessions = {};
+        this.writeQueue = Promise.resolve();
+        // Sessions can be given up: an unreadable file only logs everyone out
+        this.ready = readJsonFile(file, {}).catch(error => {
+            console.error('Error loading sessions, starting without them:', error.message);
+            return {};
+        }).then(sessions => {
+            this.sessions = sessions;
+        });
+    }
+
+    queueWrite(change, callback) {
+        const result = this.writeQueue.then(async () => {
+            await this.ready;
+            change();
+            await writeJsonAtomic(this.file, this.sessions);
+        });
+        this.writeQueue = result.catch(() => {});
+        result.then(() => callback && callback(), error => callback && callback(error));
+    }
+
+    get(sid, callback) {
+        this.ready.then(() => {
+            const entry = this.sessions[sid];
+            if (!entry || entry.expires <= Date.now()) return callback(null, null);
+            callback(null, entry.data);
+        }, callback);
+    }
+
+    set(sid, data, callback) {
+        this.queueWrite(() => {
+            this.sessions[sid] = { expires: sessionExpiry(data), data };
+        }, callback);
+    }
+
+    touch(sid, data, callback) {
+        this.set(sid, data, callback);
+    }
+
+    destroy(sid, callback) {
+        this.queueWrite(() => {
+            delete this.sessions[sid];
+        }, callback);
+    }
+
+    // All live sessions by id
+    all(callback) {
+        this.ready.then(() => {
+            const now = Date.now();
+            const sessions = {};
+            for (const [sid, entry] of Object.entries(this.sessions)) {
+                if (entry.expires > now) sessions[sid] = entry.data;
+            }
+            callback(null, sessions);
+        }, callback);
+    }
+
+    prune() {
+        const now = Date.now();
+        this.queueWrite(() => {
+            for (const [sid, entry] of Object.entries(this.sessions)) {
+                if (entry.expires <= now) delete this.sessions[sid];
+            }
+        });
+    }
+}
+
+// Session store in a table of the SQLite database (the default)
+class SqliteSessionStore extends session.Store {
+    constructor(file) {
+        super();
+        const Database = require('better-sqlite3');
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                expires INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS sessions_expires ON sessions (expires);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM sessions WHERE sid = ? AND expires > ?'),
+            set: this.db.prepare('INSERT OR REPLACE INTO sessions (sid, expires, data) VALUES (?, ?, ?)'),
+            touch: this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+            destroy: this.db.prepare('DELETE FROM sessions WHERE sid = ?'),
+            all: this.db.prepare('SELECT sid, data FROM sessions WHERE expires > ?'),
+            prune: this.db.prepare('DELETE FROM sessions WHERE expires <= ?')
+        };
+    }
+
+    // Run a statement and hand its result (or error) to an express-session callback
+    run(callback, work) {
+        let result;
+        try {
+            result = work();
+        } catch (error) {
+            return callback && callback(error);
+        }
+        if (callback) callback(null, result);
+    }
+
+    get(sid, callback) {
+        this.run(callback, () => {
+            const row = this.statements.get.get(sid, Date.now());
+            return row ? JSON.parse(row.data) : null;
+        });
+    }
+
+    set(sid, data, callback) {
+        this.run(callback, () => {
+            this.statements.set.run(sid, sessionExpiry(data), JSON.stringify(data));
+        });
+    }
+
+    touch(sid, data, callback) {
+        this.run(callback, () => {
+            this.statements.touch.run(sessionExpiry(data), sid);
+        });
+    }
+
+    destroy(sid, callback) {
+        this.run(callback, () => {
+            this.statements.destroy.run(sid);
+        });
+    }
+
+    // All live sessions by id
+    all(callback) {
+        this.run(callback, () => {
+            const sessions = {};
+            for (const row of this.statements.all.all(Date.now())) {
+                sessions[row.sid] = JSON.parse(row.data);
+            }
+            return sessions;
+        });
+    }
+
+    prune() {
+        this.statements.prune.run(Date.now());
+    }
+}
+
+// Create the session store for STORAGE_BACKEND, so logins survive restarts
+// Expired sessions are removed every 15 minutes
+function createSessionStore({ backend, databaseFile, jsonFile }) {
+    if (backend !== 'json' && backend !== 'sqlite') {
+        throw new Error(`Unknown storage backend "${backend}"`);
+    }
+
+    const store = backend === 'json' ? new JsonSessionStore(jsonFile) : new SqliteSessionStore(databaseFile);
+    setInterval(() => store.prune(), 15 * 60 * 1000).unref();
+    return store;
+}
+
+// Ids that may be used only once until they expire - inbound webhook delivery ids, so a captured request
+// cannot be sent again, also not after a restart
+// claim(id, expiresAt) records an id and answers true, or answers false when it is already recorded and live
+
+// In a JSON file (STORAGE_BACKEND=json) - same approach as JsonSessionStore
+class JsonSeenIdStore {
+    constructor(file) {
+        this.file = file;
+        this.ids = {};
+        this.writeQueue = Promise.resolve();
+        this.ready = readJsonFile(file, {}).then(ids => {
+            this.ids = ids;
+        });
+    }
+
+    async claim(id, expiresAt) {
+        await this.ready;
+        const result = this.writeQueue.then(async () => {
+            if (this.ids[id] > Date.now()) return false;
+            this.ids[id] = expiresAt;
+            await writeJsonAtomic(this.file, this.ids);
+            return true;
+        });
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    prune() {
+        const now = Date.now();
+        const result = this.writeQueue.then(async () => {
+            await this.ready;
+            for (const [id, expires] of Object.entries(this.ids)) {
+                if (expires <= now) delete this.ids[id];
+            }
+            await writeJsonAtomic(this.file, this.ids);
+        });
+        this.writeQueue = result.catch(error => console.error('Error pruning seen ids:', error));
+    }
+}
+
+// In a table of the SQLite database (the default)
+class SqliteSeenIdStore {
+    constructor(file) {
+        const Database = require('better-sqlite3');
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS seen_ids (
+                id TEXT PRIMARY KEY,
+                expires INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS seen_ids_expires ON seen_ids (expires);
+        `);
+
+        this.statements = {
+            // An expired row is replaced, a live one is kept and reports no change
+            claim: this.db.prepare(`
+                INSERT INTO seen_ids (id, expires) VALUES (?, ?)
+                ON CONFLICT (id) DO UPDATE SET expires = excluded.expires WHERE seen_ids.expires <= ?
+            `),
+            prune: this.db.prepare('DELETE FROM seen_ids WHERE expires <= ?')
+        };
+    }
+
+    async claim(id, expiresAt) {
+        return this.statements.claim.run(id, expiresAt, Date.now()).changes > 0;
+    }
+
+    prune() {
+        this.statements.prune.run(Date.now());
+    }
+}
+
+// Create the seen id store for STORAGE_BACKEND - expired ids are removed every 15 minutes
+function createSeenIdStore({ backend, databaseFile, jsonFile }) {
+    if (backend !== 'json' && backend !== 'sqlite') {
+        throw new Error(`Unknown storage backend "${backend}"`);
+    }
+
+    const store = backend === 'json' ? new JsonSeenIdStore(jsonFile) : new SqliteSeenIdStore(databaseFile);
+    setInterval(() => store.prune(), 15 * 60 * 1000).unref();
+    return store;
+}
+
+module.exports = {
+    createMessageStore,
+    createSessionStore,
+    createSeenIdStore,
+    JsonMessageStore,
+    SqliteMessageStore,
+    JsonSessionStore,
+    SqliteSessionStore,
+    JsonSeenIdStore,
+    SqliteSeenIdStore,
+    getMessageParts,
+    readJsonFile,
+    writeJsonAtomic
+};